@@ -2,6 +2,11 @@
 -- DATABASE SETUP SCRIPT
 -- =====================================================
 -- Run these commands in PostgreSQL to set up the database
+--
+-- The API manages its own schema with versioned migrations
+-- (src/db/migrations). After creating the database, `npm run migrate`
+-- creates every table; it also adopts a users table created by this
+-- script, adding the columns it is missing.
 
 -- =====================================================
 -- STEP 1: CREATE DATABASE
@@ -27,6 +32,8 @@ CREATE TABLE users (
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+    "emailVerified" BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -37,6 +44,9 @@ CREATE TABLE users (
 -- username: User's chosen username (must be unique)
 -- email: User's email address (must be unique)
 -- password: Hashed password (never store plain text!)
+-- role: Access level ('user', 'moderator' or 'admin')
+-- "emailVerified": Set once the user clicks the emailed verification link
+--   (quoted: the API's columns are camelCase, like "deletedAt" below)
 -- created_at: Timestamp of when user registered
 
 -- =====================================================
@@ -81,6 +91,14 @@ CREATE INDEX idx_users_username ON users(username);
 -- View all users (without passwords):
 -- SELECT id, username, email, created_at FROM users;
 
+-- Promote the first admin (later admins can use PATCH /api/users/:id/role):
+-- UPDATE users SET role = 'admin' WHERE email = 'john@example.com';
+
+-- Accounts created before email verification existed need no update:
+-- when `npm run migrate` adds "emailVerified" to an existing users table
+-- it marks every existing row verified. To do it by hand:
+-- UPDATE users SET "emailVerified" = TRUE;
+
 -- Count total users:
 -- SELECT COUNT(*) FROM users;
 
@@ -92,6 +110,12 @@ CREATE INDEX idx_users_username ON users(username);
 
 -- Delete specific user:
 -- DELETE FROM users WHERE id = 1;
+-- (The API never does this directly: DELETE /api/users/:id only sets
+-- "deletedAt", and POST /api/users/:id/purge or `npm run users:purge`
+-- removes deactivated accounts for good.)
+
+-- Deactivated (soft-deleted) users:
+-- SELECT id, username, "deletedAt" FROM users WHERE "deletedAt" IS NOT NULL;
 
 -- =====================================================
 -- STEP 7: GRANT PERMISSIONS (if needed)
@@ -125,6 +149,10 @@ CREATE INDEX idx_users_username ON users(username);
 -- FOR STUDENTS: EXTENDED ASSIGNMENT TABLES
 -- =====================================================
 -- These are for the Blog Post assignment
+-- (The API's migrations now create "posts" and "comments"
+-- themselves, with camelCase columns such as "authorId", "postId" and
+-- "createdAt"; comments also get "parentId" for replies and "deletedAt"
+-- for soft deletion.)
 
 -- Posts table:
 -- CREATE TABLE posts (
@@ -15,6 +15,38 @@ const API_BASE_URL =
 let currentUser = null;
 let authToken = null;
 
+// ========================================
+// API ERRORS
+// ========================================
+// Errors come back as application/problem+json with a stable `code`
+// (full list: GET /problems on the API). Switch on the code, never on
+// the wording of `detail`.
+
+// Codes that mean the stored token is unusable: sign the user out
+const SESSION_ERROR_CODES = [
+  'AUTH_TOKEN_MISSING',
+  'AUTH_TOKEN_INVALID',
+  'AUTH_TOKEN_EXPIRED',
+  'AUTH_TOKEN_SUPERSEDED',
+  'AUTH_SESSION_REVOKED',
+  'AUTH_USER_NOT_FOUND',
+];
+
+const ERROR_MESSAGES = {
+  AUTH_TOKEN_EXPIRED: 'Session expired. Please login again.',
+  AUTH_TOKEN_SUPERSEDED: 'Your password was changed. Please login again.',
+  AUTH_SESSION_REVOKED: 'You have been logged out. Please login again.',
+  AUTH_TWO_FACTOR_SETUP_REQUIRED: 'Your role requires two-factor authentication. Please set it up first.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  VALIDATION_FAILED: 'Some of the values sent were invalid.',
+};
+
+function problemMessage(problem, fallback) {
+  if (problem && ERROR_MESSAGES[problem.code]) return ERROR_MESSAGES[problem.code];
+  if (problem && SESSION_ERROR_CODES.includes(problem.code)) return 'Please login again.';
+  return fallback;
+}
+
 // ========================================
 // INITIALIZE APP
 // ========================================
@@ -66,6 +98,11 @@ function setupEventListeners() {
   });
 
   document.getElementById('refresh-users').addEventListener('click', loadUsers);
+
+  // Wired here, not with onclick="": the CSP allows no inline scripts
+  document.getElementById('alert-close').addEventListener('click', () => {
+    document.getElementById('alert-box').style.display = 'none';
+  });
 }
 
 // ========================================
@@ -102,18 +139,18 @@ async function loadUsers() {
         : data.count ?? (data.users ? data.users.length : 0);
 
       displayUsers(users, count);
+    } else if (SESSION_ERROR_CODES.includes(data.code)) {
+      showAlert(problemMessage(data), 'error');
+      logout();
     } else {
-      if (response.status === 401) {
-        showAlert('Session expired. Please login again.', 'error');
-        logout();
-      } else {
-        throw new Error(data.error || `Server error: ${response.status}`);
-      }
+      const error = new Error(data.detail || `Server error: ${response.status}`);
+      error.problem = data;
+      throw error;
     }
   } catch (error) {
     console.error('Load users error:', error);
     document.getElementById('users-error').style.display = 'block';
-    showAlert('Failed to load users. Please try again.', 'error'); // ✅ clearer message
+    showAlert(problemMessage(error.problem, 'Failed to load users. Please try again.'), 'error'); // ✅ clearer message
   } finally {
     document.getElementById('loading-users').style.display = 'none';
   }
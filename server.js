@@ -2,145 +2,72 @@
 // =====================================================
 // APPLICATION ENTRY POINT (with Sequelize ORM)
 // =====================================================
-// This version integrates Sequelize for automatic model synchronization.
+// Thin bootstrap around createApp() (src/app.js): connect to the configured
+// database, refuse to start while migrations are pending (npm run migrate),
+// then listen.
 // =====================================================
 
 // STEP 1: IMPORT DEPENDENCIES
 // =====================================================
-const express = require('express');
 require('dotenv').config(); // Must be called early
 
-// Import Sequelize ORM connection + model sync
-const { sequelize, syncDatabase } = require('./src/models/userModel');
+const { createApp } = require('./src/app');
+const db = require('./src/models');
+const { createMigrator } = require('./src/db/migrator');
+const { checkMailConfig } = require('./src/mail');
+const logger = require('./src/utils/logger');
 
-// Import routes
-const userRoutes = require('./src/routes/userRoutes');
-
-// =====================================================
-// STEP 2: EXPRESS APP INITIALIZATION
-// =====================================================
-const app = express();
 const PORT = process.env.PORT || 3000;
 
 // =====================================================
-// STEP 3: CORS CONFIGURATION
-// =====================================================
-// In production, replace '*' with your frontend domain
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  next();
-});
-
-// =====================================================
-// STEP 4: MIDDLEWARE SETUP
-// =====================================================
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Simple logger middleware
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.url} - ${new Date().toISOString()}`);
-  next();
-});
-
-// =====================================================
-// STEP 5: ROUTES
-// =====================================================
-
-// Root route (API welcome)
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Welcome to User Management API (Sequelize Edition)',
-    version: '2.0.0',
-    endpoints: {
-      register: 'POST /api/users/register',
-      login: 'POST /api/users/login',
-      getUsers: 'GET /api/users (requires authentication)',
-    },
-  });
-});
-
-// User routes
-app.use('/api/users', userRoutes);
-
-// Health check route
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    database: sequelize.options.database,
-    timestamp: new Date().toISOString(),
-  });
-});
-
-// =====================================================
-// STEP 6: 404 HANDLER
-// =====================================================
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    message: `Cannot ${req.method} ${req.url}`,
-  });
-});
-
-// =====================================================
-// STEP 7: GLOBAL ERROR HANDLER
-// =====================================================
-app.use((err, req, res, next) => {
-  console.error('Error:', err.stack);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
-  });
-});
-
-// =====================================================
-// STEP 8: START SERVER + DATABASE SYNC
+// STEP 2: START SERVER + MIGRATION CHECK
 // =====================================================
 const startServer = async () => {
   try {
-    console.log('🧩 Testing database connection...');
+    const { sequelize } = db;
+
+    // Refuse to boot with settings that would silently break sign-up
+    checkMailConfig();
+
+    logger.info('Testing database connection');
     await sequelize.authenticate(); // Sequelize connection test
-    console.log('✅ Database connected successfully.');
+    logger.info('Database connected successfully');
 
-    // Sync models (create/alter tables)
-    await syncDatabase();
+    // Never alter the schema at boot; just refuse to run against an
+    // outdated one
+    const pending = await createMigrator({ sequelize }).pending();
+    if (pending.length) {
+      logger.error('Pending migrations; run "npm run migrate" before starting the server', { pending });
+      process.exit(1);
+    }
 
     // Start the HTTP server
-    app.listen(PORT, () => {
-      console.log('═══════════════════════════════════════════');
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📡 API Base URL: http://localhost:${PORT}`);
-      console.log('═══════════════════════════════════════════');
+    createApp().listen(PORT, () => {
+      logger.info('Server running', { port: Number(PORT), url: `http://localhost:${PORT}` });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error.message);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 };
 
 // =====================================================
-// STEP 9: GRACEFUL SHUTDOWN HANDLERS
+// STEP 3: GRACEFUL SHUTDOWN HANDLERS
 // =====================================================
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM signal received. Closing server...');
-  await sequelize.close();
+  logger.info('SIGTERM signal received. Closing server');
+  await db.sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-  console.log('SIGINT signal received. Closing server...');
-  await sequelize.close();
+  logger.info('SIGINT signal received. Closing server');
+  await db.sequelize.close();
   process.exit(0);
 });
 
 // =====================================================
-// STEP 10: EXECUTE STARTUP
+// STEP 4: EXECUTE STARTUP
 // =====================================================
 startServer();
 
@@ -0,0 +1,117 @@
+// src/app.js
+// =====================================================
+// APP FACTORY
+// =====================================================
+// Builds the Express app without connecting to anything, listening or
+// registering process handlers; server.js does that. Requiring this file
+// has no side effects, so tests can build an app around their own
+// database:
+//
+//   const app = createApp({
+//     db,             // registry from createModels(sequelize); default: configured database
+//     config,         // overrides for src/config/app.js
+//     clock,          // { now() → ms }; default: the real clock
+//     mailTransport,  // see src/mail; default: MAIL_DRIVER
+//     logger,         // see src/utils/logger; default: JSON lines at LOG_LEVEL
+//   });
+//
+// db, clock, mailTransport and logger are process-wide (the same registries the
+// controllers read), so run one app per process.
+// =====================================================
+
+const express = require('express');
+const { loadAppConfig } = require('./config/app');
+const db = require('./models');
+const { setClock } = require('./utils/clock');
+const { setTransport } = require('./mail');
+const logger = require('./utils/logger');
+const { requestLogger } = require('./middleware/requestLogger');
+const { cors } = require('./middleware/cors');
+const { securityHeaders } = require('./middleware/securityHeaders');
+const { httpMetrics } = require('./middleware/httpMetrics');
+const { createRouteTable } = require('./routes');
+const { buildOpenApiDocument } = require('./openapi');
+const { ApiError, sendProblem } = require('./errors/problem');
+
+const createApp = ({ db: database, config = {}, clock, mailTransport, logger: customLogger } = {}) => {
+  const settings = { ...loadAppConfig(), ...config };
+
+  if (database) db.setDatabase(database);
+  if (clock) setClock(clock);
+  if (mailTransport) setTransport(mailTransport);
+  if (customLogger) logger.setLogger(customLogger);
+
+  const app = express();
+
+  // First, so every later line (and the access log) has the request id
+  app.use(requestLogger());
+  app.use(httpMetrics({ exclude: ['/metrics'] }));
+
+  // Before anything can answer, so 404s, preflight rejections and
+  // problem responses carry the headers too
+  app.disable('x-powered-by');
+  app.use(securityHeaders(settings.security));
+
+  if (settings.trustProxy !== undefined) {
+    app.set('trust proxy', settings.trustProxy);
+  }
+
+  // =====================================================
+  // CORS CONFIGURATION
+  // =====================================================
+  // Allowlist from CORS_ORIGINS (src/config/cors.js); preflights are
+  // answered here, before the body parsers and routes
+  app.use(cors(settings.cors));
+
+  // =====================================================
+  // MIDDLEWARE SETUP
+  // =====================================================
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // =====================================================
+  // ROUTES
+  // =====================================================
+  // /api/users, /api/posts, then the root-level system routes (index,
+  // /openapi.json, /docs, health, /metrics, /problems); see src/routes
+  const routeTable = createRouteTable(settings);
+  routeTable.forEach(({ path, router }) => app.use(path || '/', router));
+
+  // Generated from the same table, so it lists exactly what is mounted
+  app.locals.openapi = buildOpenApiDocument(routeTable);
+
+  // =====================================================
+  // 404 HANDLER
+  // =====================================================
+  app.use((req, res) => {
+    sendProblem(res, 'ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.url}`);
+  });
+
+  // =====================================================
+  // GLOBAL ERROR HANDLER
+  // =====================================================
+  // ApiErrors thrown (or passed to next) by routes keep their code;
+  // body parser failures become REQUEST_BODY_*; anything else is a 500
+  app.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+      return sendProblem(res, err.code, err.message, err.extensions);
+    }
+
+    if (err.status === 413) {
+      return sendProblem(res, 'REQUEST_BODY_TOO_LARGE', err.message);
+    }
+
+    if (err.status >= 400 && err.status < 500) {
+      return sendProblem(res, 'REQUEST_BODY_INVALID', err.message);
+    }
+
+    logger.error('Unhandled error', { err });
+    sendProblem(res, 'INTERNAL_ERROR', err.message || 'Internal Server Error', {
+      ...(settings.exposeErrorStack && { stack: err.stack }),
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
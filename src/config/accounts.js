@@ -0,0 +1,28 @@
+// src/config/accounts.js
+// =====================================================
+// ACCOUNT DEACTIVATION CONFIGURATION
+// =====================================================
+//   ACCOUNT_DEACTIVATION_GRACE_DAYS → how long a deactivated account
+//                          keeps its username and email (default 30).
+//                          Until then an admin can restore it; after
+//                          that `npm run users:purge` deletes it for
+//                          good, and registering with its username or
+//                          email purges it on the spot.
+// =====================================================
+
+require('dotenv').config();
+
+const DEFAULT_GRACE_DAYS = 30;
+
+const loadAccountConfig = (env = process.env) => {
+  const raw = env.ACCOUNT_DEACTIVATION_GRACE_DAYS;
+  const graceDays = raw === undefined || raw === '' ? DEFAULT_GRACE_DAYS : Number(raw);
+
+  if (!Number.isInteger(graceDays) || graceDays < 0) {
+    throw new Error(`ACCOUNT_DEACTIVATION_GRACE_DAYS must be a whole number of days, got "${raw}"`);
+  }
+
+  return { graceDays };
+};
+
+module.exports = { DEFAULT_GRACE_DAYS, loadAccountConfig };
@@ -0,0 +1,38 @@
+// src/config/app.js
+// =====================================================
+// APP CONFIGURATION
+// =====================================================
+// Settings createApp() applies to the Express app itself. Defaults come
+// from the environment; createApp({ config }) overrides any of them.
+//
+//   trustProxy       → TRUST_PROXY: hop count (e.g. 1) or true/false.
+//                      Behind a load balancer (Render, Heroku, nginx)
+//                      req.ip would otherwise be the proxy's address, and
+//                      per-IP throttling would lump all clients together.
+//   exposeErrorStack → include stack traces in 500s (NODE_ENV=development)
+//   metricsToken     → METRICS_TOKEN: bearer token required by GET /metrics
+//                      (unset: open)
+//   cors             → CORS_* allowlist and options (src/config/cors.js)
+//   security         → HSTS_* and CSP_* header options (src/config/security.js)
+// =====================================================
+
+require('dotenv').config();
+
+const { loadCorsConfig } = require('./cors');
+const { loadSecurityConfig } = require('./security');
+
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const hops = Number(value);
+  return Number.isInteger(hops) ? hops : value === 'true';
+};
+
+const loadAppConfig = (env = process.env) => ({
+  trustProxy: parseTrustProxy(env.TRUST_PROXY),
+  exposeErrorStack: env.NODE_ENV === 'development',
+  metricsToken: env.METRICS_TOKEN || undefined,
+  cors: loadCorsConfig(env),
+  security: loadSecurityConfig(env),
+});
+
+module.exports = { loadAppConfig };
@@ -0,0 +1,27 @@
+// src/config/audit.js
+// =====================================================
+// AUDIT LOG CONFIGURATION
+// =====================================================
+//   AUDIT_RETENTION_DAYS → audit events older than this are deleted
+//                          (default 365; 0 keeps them forever). Pruning
+//                          runs now and then as events are written, and
+//                          on demand with `npm run audit:prune` (e.g. a
+//                          daily cron job).
+// =====================================================
+
+require('dotenv').config();
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+const loadAuditConfig = (env = process.env) => {
+  const raw = env.AUDIT_RETENTION_DAYS;
+  const retentionDays = raw === undefined || raw === '' ? DEFAULT_RETENTION_DAYS : Number(raw);
+
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error(`AUDIT_RETENTION_DAYS must be a whole number of days, got "${raw}"`);
+  }
+
+  return { retentionDays };
+};
+
+module.exports = { DEFAULT_RETENTION_DAYS, loadAuditConfig };
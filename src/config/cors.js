@@ -0,0 +1,78 @@
+// src/config/cors.js
+// =====================================================
+// CORS CONFIGURATION
+// =====================================================
+// Which browser origins may call the API (src/middleware/cors.js):
+//
+//   CORS_ORIGINS           → comma-separated allowlist. Entries are exact
+//                            origins (https://app.example.com), subdomain
+//                            patterns (https://*.example.com: any depth,
+//                            not the apex itself) or '*' for any origin.
+//                            Default '*'.
+//   CORS_METHODS           → methods allowed on preflight
+//   CORS_ALLOWED_HEADERS   → request headers allowed on preflight
+//   CORS_EXPOSED_HEADERS   → response headers scripts may read
+//   CORS_MAX_AGE           → seconds browsers may cache a preflight
+//   CORS_CREDENTIALS=true  → allow cookies / HTTP auth on cross-origin
+//                            requests. Needs an explicit allowlist: '*'
+//                            with credentials is refused at startup.
+//
+// Unlisted origins get no CORS headers, and their preflights are
+// rejected with CORS_ORIGIN_NOT_ALLOWED.
+// =====================================================
+
+require('dotenv').config();
+
+const DEFAULT_CORS = {
+  origins: ['*'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id'],
+  maxAge: 600,
+  credentials: false,
+};
+
+// scheme://host[:port], where the host may start with '*.'
+const ORIGIN_ENTRY = /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i;
+
+const parseList = (value) =>
+  value === undefined || value.trim() === ''
+    ? undefined
+    : value.split(',').map((item) => item.trim()).filter(Boolean);
+
+const normalizeOrigin = (entry) => (entry === '*' ? entry : entry.replace(/\/+$/, '').toLowerCase());
+
+// Throws on entries the middleware could never match, so a typo fails
+// the deploy instead of silently locking the frontend out
+const checkCorsConfig = (config) => {
+  config.origins.forEach((origin) => {
+    if (origin !== '*' && origin !== 'null' && !ORIGIN_ENTRY.test(origin)) {
+      throw new Error(`Invalid CORS origin "${origin}" (expected scheme://host[:port], https://*.host or *)`);
+    }
+  });
+
+  if (config.credentials && config.origins.includes('*')) {
+    throw new Error('CORS_CREDENTIALS=true needs an explicit CORS_ORIGINS allowlist, not *');
+  }
+
+  if (!Number.isInteger(config.maxAge) || config.maxAge < 0) {
+    throw new Error(`CORS_MAX_AGE must be a whole number of seconds, got "${config.maxAge}"`);
+  }
+
+  return config;
+};
+
+const loadCorsConfig = (env = process.env) => {
+  const maxAge = env.CORS_MAX_AGE === undefined || env.CORS_MAX_AGE === '' ? DEFAULT_CORS.maxAge : Number(env.CORS_MAX_AGE);
+
+  return checkCorsConfig({
+    origins: (parseList(env.CORS_ORIGINS) || DEFAULT_CORS.origins).map(normalizeOrigin),
+    methods: (parseList(env.CORS_METHODS) || DEFAULT_CORS.methods).map((method) => method.toUpperCase()),
+    allowedHeaders: parseList(env.CORS_ALLOWED_HEADERS) || DEFAULT_CORS.allowedHeaders,
+    exposedHeaders: parseList(env.CORS_EXPOSED_HEADERS) || DEFAULT_CORS.exposedHeaders,
+    maxAge,
+    credentials: env.CORS_CREDENTIALS === 'true',
+  });
+};
+
+module.exports = { DEFAULT_CORS, loadCorsConfig, checkCorsConfig, normalizeOrigin };
@@ -1,69 +1,119 @@
 // src/config/database.js
+// =====================================================
+// DATABASE CONNECTION (the one Sequelize instance)
+// =====================================================
+// DB_DIALECT picks the database: postgres (default) or sqlite.
+//
+// Postgres settings, in order of precedence:
+//   DATABASE_URL                    → full connection string (Render, Heroku)
+//   DB_HOST, DB_PORT, DB_NAME,
+//   DB_USER, DB_PASSWORD            → discrete settings (DB_PASS also accepted)
+// SSL is on in production (managed Postgres usually requires it) and can
+// be forced either way with DB_SSL=true|false.
+//
+// SQLite (local development and tests, no server needed):
+//   DB_DIALECT=sqlite DB_STORAGE=./tmp/dev.sqlite   (":memory:" for tests)
+// A DATABASE_URL starting with "sqlite:" also selects it. Postgres-only
+// features degrade on SQLite; see src/db/dialect.js.
+//
+// DB_LOGGING=true logs every SQL statement at debug level (LOG_LEVEL=debug).
+// =====================================================
 const { Sequelize } = require('sequelize');
+require('dotenv').config();
+const logger = require('../utils/logger');
 
-const {
-  DB_HOST,
-  DB_PORT = 5432,
-  DB_NAME,
-  DB_USER,
-  DB_PASS,
-  NODE_ENV = 'development'
-} = process.env;
-
-if (!DB_HOST || !DB_NAME || !DB_USER || !DB_PASS) {
-  console.warn('Missing one or more DB environment variables (DB_HOST, DB_NAME, DB_USER, DB_PASS).');
-}
-
-const sequelize = new Sequelize(DB_NAME, DB_USER, DB_PASS, {
-  host: DB_HOST,
-  port: DB_PORT,
-  dialect: 'postgres',
-  logging: NODE_ENV === 'development' ? console.log : false,
-  pool: {
-    max: 10,
-    min: 0,
-    acquire: 30000,
-    idle: 10000
-  },
-  dialectOptions: {
-    // Render requires SSL; this also works for many managed Postgres providers.
-    ssl: {
-      require: true,
-      // For many managed providers you must set rejectUnauthorized false.
-      rejectUnauthorized: false
-    }
+const DEFAULT_SQLITE_STORAGE = './tmp/dev.sqlite';
+
+const getDialect = (env) => {
+  if (env.DB_DIALECT) return env.DB_DIALECT;
+  return env.DATABASE_URL && env.DATABASE_URL.startsWith('sqlite:') ? 'sqlite' : 'postgres';
+};
+
+const buildConnectionUrl = (env) => {
+  if (env.DATABASE_URL) return env.DATABASE_URL;
+
+  const { DB_HOST, DB_PORT = 5432, DB_NAME, DB_USER } = env;
+  const password = env.DB_PASSWORD !== undefined ? env.DB_PASSWORD : env.DB_PASS;
+
+  if (!DB_HOST || !DB_NAME || !DB_USER) {
+    throw new Error('Database is not configured: set DATABASE_URL or DB_HOST, DB_NAME, DB_USER and DB_PASSWORD');
   }
-});
+
+  const credentials = password
+    ? `${encodeURIComponent(DB_USER)}:${encodeURIComponent(password)}`
+    : encodeURIComponent(DB_USER);
+  return `postgresql://${credentials}@${DB_HOST}:${DB_PORT}/${DB_NAME}`;
+};
+
+const useSsl = (env) =>
+  env.DB_SSL !== undefined ? env.DB_SSL === 'true' : env.NODE_ENV === 'production';
+
+const logging = (env) => (env.DB_LOGGING === 'true' ? (sql) => logger.debug('SQL', { sql }) : false);
+
+const createPostgres = (env) =>
+  new Sequelize(buildConnectionUrl(env), {
+    dialect: 'postgres',
+    logging: logging(env),
+    pool: {
+      max: Number(env.DB_POOL_MAX) || 10,
+      min: 0,
+      acquire: 30000,
+      idle: 10000,
+    },
+    dialectOptions: useSsl(env)
+      ? {
+          ssl: {
+            require: true,
+            // Most managed providers use certificates Node doesn't trust by default
+            rejectUnauthorized: false,
+          },
+        }
+      : {},
+  });
+
+// The sqlite3 package is a dev dependency; only needed when selected
+const createSqlite = (env) => {
+  const fromUrl = env.DATABASE_URL && env.DATABASE_URL.startsWith('sqlite:')
+    ? env.DATABASE_URL.replace(/^sqlite:(\/\/)?/, '')
+    : '';
+
+  return new Sequelize({
+    dialect: 'sqlite',
+    storage: env.DB_STORAGE || fromUrl || DEFAULT_SQLITE_STORAGE,
+    logging: logging(env),
+  });
+};
+
+// Builds a Sequelize instance from an env-like object (process.env by default)
+const createSequelize = (env = process.env) => {
+  const dialect = getDialect(env);
+
+  if (dialect === 'sqlite') return createSqlite(env);
+  if (dialect === 'postgres') return createPostgres(env);
+
+  throw new Error(`Unsupported DB_DIALECT "${dialect}" (expected postgres or sqlite)`);
+};
+
+const sequelize = createSequelize();
 
 // Test connection helper
 const testConnection = async () => {
   try {
     await sequelize.authenticate();
-    console.log('✅ Database connection has been established successfully.');
+    logger.info('Database connection has been established successfully');
     return true;
   } catch (error) {
-    console.error('❌ Unable to connect to the database:', error.message || error);
+    logger.error('Unable to connect to the database', { err: error });
     return false;
   }
 };
 
-// Helper to sync models
-const syncModels = async (options = { alter: true }) => {
-  try {
-    // alter: true updates existing tables to match models (safe-ish for dev)
-    // use force: true only if you want to drop and recreate tables
-    await sequelize.sync(options);
-    console.log('✅ Models synchronized with the database.');
-  } catch (err) {
-    console.error('❌ Failed to synchronize models:', err);
-    throw err;
-  }
-};
+// Schema changes go through migrations (src/db/migrations), never sync()
 
 module.exports = {
   sequelize,
-  testConnection,
-  syncModels
+  createSequelize,
+  testConnection
 };
 // =====================================================Local database.js commented below
 
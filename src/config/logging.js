@@ -0,0 +1,37 @@
+// src/config/logging.js
+// =====================================================
+// LOGGING CONFIGURATION
+// =====================================================
+// LOG_LEVEL picks the least severe level that is written:
+//
+//   debug → everything, including SQL when DB_LOGGING=true
+//   info  → plus one line per request
+//   warn  → 4xx responses and recoverable problems
+//   error → failures only
+//   silent → nothing
+//
+// When LOG_LEVEL is not set the default depends on NODE_ENV:
+// development → debug, test → silent, anything else → info.
+// =====================================================
+
+require('dotenv').config();
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const DEFAULT_LOG_LEVELS = {
+  development: 'debug',
+  test: 'silent',
+  production: 'info',
+};
+
+const loadLogConfig = (env = process.env) => {
+  const level = (env.LOG_LEVEL || DEFAULT_LOG_LEVELS[env.NODE_ENV] || 'info').toLowerCase();
+
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown LOG_LEVEL "${env.LOG_LEVEL}" (expected ${LOG_LEVELS.join(', ')})`);
+  }
+
+  return { level };
+};
+
+module.exports = { LOG_LEVELS, loadLogConfig };
@@ -0,0 +1,80 @@
+// src/config/rateLimits.js
+// =====================================================
+// RATE LIMIT CONFIGURATION
+// =====================================================
+// Named policies used by the routes. Each one can be tuned per
+// deployment without code changes through RATE_LIMITS (JSON), e.g.
+//
+//   RATE_LIMITS='{"login":{"limit":10,"windowSeconds":600},"api":{"algorithm":"fixed-window"}}'
+//
+// Policy fields:
+//   algorithm     → 'fixed-window' | 'token-bucket'
+//   limit         → requests per window (bucket size for token-bucket)
+//   windowSeconds → window length (full refill time for token-bucket)
+//   keyBy         → 'ip' | 'user' | 'apiKey'
+//
+// keyBy 'apiKey' only gives a client its own bucket when its X-API-Key is
+// listed in RATE_LIMIT_API_KEYS: comma-separated SHA-256 hex digests of
+// the issued keys (so the environment never holds the keys themselves).
+// Any other value is limited by IP.
+//
+// RATE_LIMIT_ENABLED=false turns every limiter off (e.g. load tests).
+// =====================================================
+
+require('dotenv').config();
+
+const DEFAULT_RATE_LIMITS = {
+  // Everything under /api/users, /api/posts and /api/audit-events, per
+  // client IP (one bucket shared by all three)
+  api: { algorithm: 'token-bucket', limit: 100, windowSeconds: 60, keyBy: 'ip' },
+  // Account creation
+  register: { algorithm: 'fixed-window', limit: 5, windowSeconds: 60 * 60, keyBy: 'ip' },
+  // Credential checks (login brute force is also throttled per account)
+  login: { algorithm: 'fixed-window', limit: 20, windowSeconds: 15 * 60, keyBy: 'ip' },
+  // Endpoints that send email or redeem emailed tokens
+  email: { algorithm: 'fixed-window', limit: 5, windowSeconds: 60 * 60, keyBy: 'ip' },
+  // Browser CSP violation reports (a broken page can send many)
+  cspReport: { algorithm: 'fixed-window', limit: 60, windowSeconds: 60, keyBy: 'ip' },
+  // Logged-in traffic, per user rather than per IP
+  authenticated: { algorithm: 'token-bucket', limit: 120, windowSeconds: 60, keyBy: 'user' },
+};
+
+const parseOverrides = (raw) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS must be valid JSON: ${error.message}`);
+  }
+};
+
+const overrides = parseOverrides(process.env.RATE_LIMITS);
+
+const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_RATE_LIMITS).map(([name, policy]) => [
+    name,
+    { name, ...policy, ...(overrides[name] || {}) },
+  ])
+);
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const parseApiKeyHashes = (raw = '') => {
+  const hashes = raw.split(',').map((hash) => hash.trim().toLowerCase()).filter(Boolean);
+  hashes.forEach((hash) => {
+    if (!/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`RATE_LIMIT_API_KEYS must list SHA-256 hex digests, got "${hash}"`);
+    }
+  });
+  return new Set(hashes);
+};
+
+const RATE_LIMIT_API_KEY_HASHES = parseApiKeyHashes(process.env.RATE_LIMIT_API_KEYS);
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  RATE_LIMITS,
+  RATE_LIMIT_ENABLED,
+  RATE_LIMIT_API_KEY_HASHES,
+  parseApiKeyHashes,
+};
@@ -0,0 +1,69 @@
+// src/config/security.js
+// =====================================================
+// SECURITY HEADERS CONFIGURATION
+// =====================================================
+// Defaults for src/middleware/securityHeaders.js. Strict unless relaxed:
+//
+//   HSTS_MAX_AGE            → Strict-Transport-Security max-age in seconds
+//                             (default 180 days; 0 turns HSTS off)
+//   HSTS_INCLUDE_SUBDOMAINS → default true
+//   HSTS_PRELOAD=true       → only once the domain is submitted to the
+//                             browser preload lists
+//   CSP_REPORT_ONLY=true    → send Content-Security-Policy-Report-Only:
+//                             violations are reported, nothing is blocked.
+//                             Use it to try a tighter policy first.
+//   CSP_REPORT_URI          → where browsers POST violations
+//                             (default /csp-report; '' sends none)
+//
+// The policies themselves are below: API_CSP for every response, and
+// per-route ones (DOCS_CSP) applied with contentSecurityPolicy().
+// =====================================================
+
+require('dotenv').config();
+
+const CSP_REPORT_PATH = '/csp-report';
+
+// JSON responses never load anything, so nothing is allowed
+const API_CSP = {
+  'default-src': ["'none'"],
+  'base-uri': ["'none'"],
+  'form-action': ["'none'"],
+  'frame-ancestors': ["'none'"],
+};
+
+// The /docs UI: its own JS and CSS, plus fetch() to /openapi.json and
+// the "Try it" calls. No inline code (see src/openapi/ui).
+const DOCS_CSP = {
+  'default-src': ["'none'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:'],
+  'connect-src': ["'self'"],
+  'base-uri': ["'none'"],
+  'form-action': ["'none'"],
+  'frame-ancestors': ["'none'"],
+};
+
+const parseSeconds = (name, value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw new Error(`${name} must be a whole number of seconds, got "${value}"`);
+  }
+  return seconds;
+};
+
+const loadSecurityConfig = (env = process.env) => ({
+  hsts: {
+    maxAge: parseSeconds('HSTS_MAX_AGE', env.HSTS_MAX_AGE, 180 * 24 * 60 * 60),
+    includeSubDomains: env.HSTS_INCLUDE_SUBDOMAINS !== 'false',
+    preload: env.HSTS_PRELOAD === 'true',
+  },
+  csp: {
+    directives: API_CSP,
+    reportOnly: env.CSP_REPORT_ONLY === 'true',
+    reportUri: env.CSP_REPORT_URI === undefined ? CSP_REPORT_PATH : env.CSP_REPORT_URI || undefined,
+  },
+});
+
+module.exports = { API_CSP, DOCS_CSP, CSP_REPORT_PATH, loadSecurityConfig };
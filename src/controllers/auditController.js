@@ -0,0 +1,68 @@
+// =====================================================
+// AUDIT CONTROLLER - SECURITY EVENT LOG (ADMIN ONLY)
+// =====================================================
+//
+// Read-only view of the audit_events table. Events are written by
+// src/utils/audit.js from the user, 2FA and auth middleware paths.
+// =====================================================
+
+const db = require('../models');
+const { AUDIT_SORT_FIELDS } = require('../models/auditEventModel');
+const { PaginationError, parseLimit, parseSort, buildNextLink } = require('../utils/pagination');
+const { sendValidationError } = require('../middleware/validate');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+
+// =====================================================
+// LIST AUDIT EVENTS
+// =====================================================
+const listAuditEvents = async (req, res) => {
+  const { cursor, action, outcome, actorId, targetType, targetId, ip, requestId, from, to } = req.query;
+  const limit = parseLimit(req.query.limit);
+  const sort = parseSort(req.query.sort, AUDIT_SORT_FIELDS, '-occurredAt');
+
+  try {
+    const { events, count, nextCursor } = await db.AuditEventModel.search({
+      limit,
+      sort,
+      cursor,
+      filters: {
+        action,
+        outcome,
+        actorId,
+        targetType,
+        targetId,
+        ip,
+        requestId,
+        from: from !== undefined ? new Date(from) : undefined,
+        to: to !== undefined ? new Date(to) : undefined,
+      },
+    });
+
+    res.status(200).json({
+      events,
+      count,
+      message: 'Audit events retrieved successfully',
+      pageInfo: {
+        limit,
+        hasMore: nextCursor !== null,
+        nextCursor,
+      },
+      links: {
+        next: buildNextLink(req, nextCursor),
+      },
+    });
+  } catch (error) {
+    // Only known once the cursor is decoded
+    if (error instanceof PaginationError) {
+      return sendValidationError(res, [
+        { location: 'query', field: 'cursor', code: 'invalid_cursor', message: error.message },
+      ]);
+    }
+
+    logger.error('Fetch audit events error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving audit events. Please try again later.');
+  }
+};
+
+module.exports = { listAuditEvents };
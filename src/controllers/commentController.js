@@ -0,0 +1,211 @@
+// =====================================================
+// COMMENT CONTROLLER - THREADED COMMENTS ON POSTS
+// =====================================================
+//
+// Anyone can read a thread; commenting requires a login. Authors may
+// edit their own comments for COMMENT_EDIT_WINDOW_MINUTES after posting.
+// Authors, moderators and admins may delete; deletion is soft and
+// leaves a "[deleted]" placeholder so replies stay in place.
+// =====================================================
+
+require('dotenv').config();
+const db = require('../models');
+const { DELETED_PLACEHOLDER } = require('../models/commentModel');
+const clock = require('../utils/clock');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+
+const COMMENT_EDIT_WINDOW_MINUTES = Number(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Hides everything but the thread position for deleted comments
+const serializeComment = (comment) => {
+  const deleted = comment.deletedAt !== null;
+  return {
+    id: comment.id,
+    postId: comment.postId,
+    parentId: comment.parentId,
+    content: deleted ? DELETED_PLACEHOLDER : comment.content,
+    author: deleted || !comment.author ? null : { id: comment.author.id, username: comment.author.username },
+    deleted,
+    createdAt: comment.createdAt,
+    editedAt: deleted ? null : comment.editedAt,
+  };
+};
+
+// Turns the flat, oldest-first list into nested `replies` arrays
+const buildThread = (comments) => {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach((comment) => {
+    byId.set(comment.id, { ...serializeComment(comment), replies: [] });
+  });
+
+  byId.forEach((node) => {
+    const parent = node.parentId !== null ? byId.get(node.parentId) : null;
+    (parent ? parent.replies : roots).push(node);
+  });
+
+  return roots;
+};
+
+// Loads the post from :id or answers 404; returns null if it answered
+const loadPost = async (req, res) => {
+  const { id } = req.params;
+
+  const post = await db.PostModel.findPostById(id);
+  if (!post) {
+    sendProblem(res, 'POST_NOT_FOUND', 'Post not found');
+    return null;
+  }
+  return post;
+};
+
+// Loads :commentId and checks it belongs to the post
+const loadComment = async (req, res, post) => {
+  const { commentId } = req.params;
+
+  const comment = await db.CommentModel.findCommentById(commentId);
+  if (!comment || comment.postId !== post.id) {
+    sendProblem(res, 'COMMENT_NOT_FOUND', 'Comment not found');
+    return null;
+  }
+  return comment;
+};
+
+// =====================================================
+// GET COMMENTS (THREADED)
+// =====================================================
+const getComments = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const comments = await db.CommentModel.getCommentsForPost(post.id);
+
+    res.status(200).json({
+      comments: buildThread(comments),
+      count: comments.filter((comment) => comment.deletedAt === null).length,
+      message: 'Comments retrieved successfully',
+    });
+  } catch (error) {
+    logger.error('Fetch comments error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving comments. Please try again later.');
+  }
+};
+
+// =====================================================
+// CREATE COMMENT / REPLY
+// =====================================================
+const createComment = async (req, res) => {
+  const { content, parentId } = req.body;
+
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    if (parentId !== undefined && parentId !== null) {
+      const parent = await db.CommentModel.findCommentById(parentId);
+      if (!parent || parent.postId !== post.id) {
+        return sendProblem(res, 'COMMENT_PARENT_MISMATCH', 'Parent comment does not belong to this post');
+      }
+      if (parent.deletedAt !== null) {
+        return sendProblem(res, 'COMMENT_PARENT_DELETED', 'Cannot reply to a deleted comment');
+      }
+    }
+
+    const comment = await db.CommentModel.createComment({
+      postId: post.id,
+      userId: req.user.userId,
+      parentId: parentId || null,
+      content,
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: serializeComment(comment),
+    });
+  } catch (error) {
+    logger.error('Create comment error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error adding comment. Please try again.');
+  }
+};
+
+// =====================================================
+// UPDATE COMMENT (AUTHOR, WITHIN EDIT WINDOW)
+// =====================================================
+const updateComment = async (req, res) => {
+  const { content } = req.body;
+
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const comment = await loadComment(req, res, post);
+    if (!comment) return;
+
+    if (comment.deletedAt !== null) {
+      return sendProblem(res, 'COMMENT_DELETED', 'Deleted comments cannot be edited');
+    }
+
+    if (comment.userId !== req.user.userId) {
+      return sendProblem(res, 'AUTH_NOT_OWNER', 'Access denied. You can only edit your own comments.');
+    }
+
+    const editableUntil = comment.createdAt.getTime() + COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (clock.now() > editableUntil) {
+      return sendProblem(
+        res,
+        'COMMENT_EDIT_WINDOW_CLOSED',
+        `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      );
+    }
+
+    const updated = await db.CommentModel.updateContent(comment.id, content);
+
+    res.status(200).json({
+      message: 'Comment updated successfully',
+      comment: serializeComment(updated),
+    });
+  } catch (error) {
+    logger.error('Update comment error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error updating comment. Please try again.');
+  }
+};
+
+// =====================================================
+// DELETE COMMENT (AUTHOR, MODERATOR OR ADMIN)
+// =====================================================
+const deleteComment = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const comment = await loadComment(req, res, post);
+    if (!comment) return;
+
+    const isAuthor = comment.userId === req.user.userId;
+    if (!isAuthor && !MODERATOR_ROLES.includes(req.user.role)) {
+      return sendProblem(res, 'AUTH_NOT_OWNER', 'Access denied. You can only delete your own comments.');
+    }
+
+    // Deleting twice is harmless
+    await db.CommentModel.softDelete(comment.id);
+
+    res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    logger.error('Delete comment error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error deleting comment. Please try again.');
+  }
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
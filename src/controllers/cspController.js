@@ -0,0 +1,101 @@
+// =====================================================
+// CSP CONTROLLER - VIOLATION REPORTS
+// =====================================================
+//
+// Browsers POST here when a page breaks its Content-Security-Policy
+// (the API's own, /docs, and the frontend's; see report-uri/report-to
+// in src/config/security.js and vercel.json). Two formats exist:
+//
+//   application/csp-report   → { "csp-report": { "document-uri", ... } }
+//                              (report-uri, every browser)
+//   application/reports+json → [{ type: "csp-violation", body: { documentURL, ... } }]
+//                              (Reporting API, report-to)
+//
+// Each violation becomes a warn log line and a csp_violations_total
+// sample. The endpoint is unauthenticated by nature, so reports are
+// capped per request and labels are limited to known directives.
+// =====================================================
+
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+const metrics = require('../metrics');
+
+const MAX_REPORTS_PER_REQUEST = 20;
+
+// Anything else is counted as "other" so junk can't create new series
+const KNOWN_DIRECTIVES = [
+  'default-src', 'script-src', 'script-src-elem', 'script-src-attr', 'style-src', 'style-src-elem',
+  'style-src-attr', 'img-src', 'font-src', 'connect-src', 'media-src', 'object-src', 'frame-src',
+  'child-src', 'worker-src', 'manifest-src', 'base-uri', 'form-action', 'frame-ancestors',
+  'trusted-types', 'require-trusted-types-for',
+];
+
+const text = (value) => (typeof value === 'string' ? value.slice(0, 500) : undefined);
+
+// Reported URLs can carry tokens (?token=...) like any other
+const urlText = (value) => text(value) && logger.redactUrl(text(value));
+
+const lineNumber = (value) => (Number.isInteger(value) ? value : undefined);
+
+// Both formats → one flat shape
+const fromLegacy = (report) => ({
+  documentURL: urlText(report['document-uri']),
+  blockedURL: urlText(report['blocked-uri']),
+  effectiveDirective: text(report['effective-directive']) || text(report['violated-directive']),
+  disposition: text(report.disposition),
+  sourceFile: urlText(report['source-file']),
+  lineNumber: lineNumber(report['line-number']),
+  sample: text(report['script-sample']),
+});
+
+// The endpoint is public, so body may be anything (null included)
+const fromReportingApi = (report) => {
+  const body = report.body && typeof report.body === 'object' ? report.body : {};
+
+  return {
+    documentURL: urlText(body.documentURL),
+    blockedURL: urlText(body.blockedURL),
+    effectiveDirective: text(body.effectiveDirective),
+    disposition: text(body.disposition),
+    sourceFile: urlText(body.sourceFile),
+    lineNumber: lineNumber(body.lineNumber),
+    sample: text(body.sample),
+  };
+};
+
+const parseReports = (payload) => {
+  if (Array.isArray(payload)) {
+    return payload
+      .filter((report) => report && report.type === 'csp-violation')
+      .map(fromReportingApi);
+  }
+  if (payload && payload['csp-report'] && typeof payload['csp-report'] === 'object') {
+    return [fromLegacy(payload['csp-report'])];
+  }
+  return [];
+};
+
+// =====================================================
+// REPORT VIOLATION
+// =====================================================
+const reportCspViolation = (req, res) => {
+  const violations = parseReports(req.body).slice(0, MAX_REPORTS_PER_REQUEST);
+
+  if (!violations.length) {
+    return sendProblem(res, 'REQUEST_BODY_INVALID', 'Expected a CSP violation report');
+  }
+
+  violations.forEach((violation) => {
+    // "script-src-elem 'self'" (older browsers send the whole directive)
+    const name = (violation.effectiveDirective || '').split(' ')[0];
+    const directive = KNOWN_DIRECTIVES.includes(name) ? name : 'other';
+    const disposition = violation.disposition === 'report' ? 'report' : 'enforce';
+
+    metrics.cspViolations.inc({ directive, disposition });
+    logger.warn('CSP violation', { csp: { ...violation, effectiveDirective: directive, disposition } });
+  });
+
+  res.status(204).end();
+};
+
+module.exports = { reportCspViolation };
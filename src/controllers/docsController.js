@@ -0,0 +1,51 @@
+// =====================================================
+// DOCS CONTROLLER - API INDEX, OPENAPI + ERROR CATALOG
+// =====================================================
+//
+// index    → welcome message plus every operation in the OpenAPI
+//            document, so the list can't go stale
+// openapi  → the document createApp() built from the mounted routers
+//            (src/openapi); the /docs UI renders it
+// problems → every problem `type` (e.g. /problems/user-email-taken)
+//            resolves here
+// =====================================================
+
+const { ERROR_CATALOG } = require('../errors/catalog');
+const { sendProblem, describeProblems, codeToSlug, slugToCode } = require('../errors/problem');
+const { API_VERSION, listOperations } = require('../openapi');
+
+// =====================================================
+// API INDEX
+// =====================================================
+const getApiIndex = (req, res) => {
+  res.json({
+    message: 'Welcome to User Management API (Sequelize Edition)',
+    version: API_VERSION,
+    documentation: { openapi: '/openapi.json', docs: '/docs/' },
+    endpoints: listOperations(req.app.locals.openapi),
+  });
+};
+
+// =====================================================
+// OPENAPI DOCUMENT
+// =====================================================
+const getOpenApiDocument = (req, res) => {
+  res.status(200).json(req.app.locals.openapi);
+};
+
+// =====================================================
+// ERROR CATALOG
+// =====================================================
+const listProblems = (req, res) => {
+  res.status(200).json({ problems: describeProblems() });
+};
+
+const getProblem = (req, res) => {
+  const code = slugToCode(req.params.slug);
+  if (!ERROR_CATALOG[code] || codeToSlug(code) !== req.params.slug) {
+    return sendProblem(res, 'ROUTE_NOT_FOUND', `Unknown problem type: ${req.params.slug}`);
+  }
+  res.status(200).json(describeProblems().find((problem) => problem.code === code));
+};
+
+module.exports = { getApiIndex, getOpenApiDocument, listProblems, getProblem };
@@ -0,0 +1,105 @@
+// =====================================================
+// HEALTH CONTROLLER - PROBES + METRICS
+// =====================================================
+//
+// liveness  → the process is up and serving HTTP; never touches the
+//             database, so a database outage doesn't get the app
+//             restarted in a loop
+// readiness → the app can do useful work: the database answers through
+//             the pool and no migrations are pending. 503 otherwise, so
+//             load balancers stop routing traffic here. Polled every few
+//             seconds, so both checks only read (no DDL).
+// metrics   → Prometheus text format (src/metrics)
+// =====================================================
+
+const db = require('../models');
+const { createMigrator } = require('../db/migrator');
+const { sendProblem } = require('../errors/problem');
+const metrics = require('../metrics');
+const logger = require('../utils/logger');
+
+// A hung database must not hang the probe
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// One migrator per connection; it reads the migration files once
+const migrators = new WeakMap();
+const migratorFor = (sequelize) => {
+  if (!migrators.has(sequelize)) {
+    migrators.set(sequelize, createMigrator({ sequelize, logger: { log: () => {} } }));
+  }
+  return migrators.get(sequelize);
+};
+
+const checkDatabase = async (sequelize) => {
+  const startedAt = process.hrtime.bigint();
+  try {
+    await withTimeout(sequelize.query('SELECT 1'), READINESS_TIMEOUT_MS);
+    return { status: 'up', latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100 };
+  } catch (error) {
+    logger.warn('Readiness: database check failed', { err: error });
+    return { status: 'down', error: error.message };
+  }
+};
+
+const checkMigrations = async (sequelize) => {
+  try {
+    const pending = await withTimeout(migratorFor(sequelize).pending(), READINESS_TIMEOUT_MS);
+    return { status: pending.length ? 'pending' : 'up', pending };
+  } catch (error) {
+    logger.warn('Readiness: migration check failed', { err: error });
+    return { status: 'unknown', error: error.message };
+  }
+};
+
+// =====================================================
+// LIVENESS
+// =====================================================
+const liveness = (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// =====================================================
+// READINESS
+// =====================================================
+const readiness = async (req, res) => {
+  const { sequelize } = db;
+  const database = await checkDatabase(sequelize);
+  // No point asking for migrations when the database is unreachable
+  const migrations = database.status === 'up'
+    ? await checkMigrations(sequelize)
+    : { status: 'unknown' };
+
+  const checks = { database, migrations };
+
+  if (database.status !== 'up' || migrations.status !== 'up') {
+    return sendProblem(res, 'SERVICE_NOT_READY', 'One or more readiness checks failed', { checks });
+  }
+
+  res.status(200).json({
+    status: 'ready',
+    checks,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// =====================================================
+// METRICS
+// =====================================================
+const getMetrics = (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType);
+  res.status(200).send(metrics.registry.render());
+};
+
+module.exports = { liveness, readiness, getMetrics };
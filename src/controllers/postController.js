@@ -0,0 +1,192 @@
+// =====================================================
+// POST CONTROLLER - BLOG POSTS
+// =====================================================
+//
+// Anyone can read posts; creating requires a login, and only the
+// author (or an admin) may edit or delete a post.
+// =====================================================
+
+const db = require('../models');
+const { SORTABLE_POST_FIELDS } = require('../models/postModel');
+const { PaginationError, parseLimit, parseSort, buildNextLink } = require('../utils/pagination');
+const { sendValidationError } = require('../middleware/validate');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+
+const canModifyPost = (post, user) => post.authorId === user.userId || user.role === 'admin';
+
+// Shared by the plain listing and the per-author listing
+const listPosts = async (req, res, { authorId } = {}) => {
+  const limit = parseLimit(req.query.limit);
+  const sort = parseSort(req.query.sort, SORTABLE_POST_FIELDS, '-createdAt');
+
+  try {
+    const { posts, count, nextCursor } = await db.PostModel.getAllPosts({
+      limit,
+      sort,
+      cursor: req.query.cursor,
+      filters: {
+        authorId: authorId || req.query.authorId,
+        search: req.query.search !== undefined ? req.query.search.trim() : undefined,
+      },
+    });
+
+    res.status(200).json({
+      posts,
+      count,
+      message: 'Posts retrieved successfully',
+      pageInfo: {
+        limit,
+        hasMore: nextCursor !== null,
+        nextCursor,
+      },
+      links: {
+        next: buildNextLink(req, nextCursor),
+      },
+    });
+  } catch (error) {
+    // Only known once the cursor is decoded
+    if (error instanceof PaginationError) {
+      return sendValidationError(res, [
+        { location: 'query', field: 'cursor', code: 'invalid_cursor', message: error.message },
+      ]);
+    }
+
+    logger.error('Fetch posts error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving posts. Please try again later.');
+  }
+};
+
+// =====================================================
+// CREATE POST
+// =====================================================
+const createPost = async (req, res) => {
+  const { title, content } = req.body;
+
+  try {
+    const post = await db.PostModel.createPost({
+      title,
+      content,
+      authorId: req.user.userId,
+    });
+
+    res.status(201).json({
+      message: 'Post created successfully',
+      post,
+    });
+  } catch (error) {
+    logger.error('Create post error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error creating post. Please try again.');
+  }
+};
+
+// =====================================================
+// GET ALL POSTS
+// =====================================================
+// Query params: limit, cursor, sort, search, authorId
+const getAllPosts = async (req, res) => await listPosts(req, res);
+
+// =====================================================
+// GET POSTS BY AUTHOR
+// =====================================================
+// A deactivated author's posts stay listed, as under /api/posts
+const getPostsByAuthor = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const author = await db.UserModel.findUserById(id, { includeDeactivated: true });
+    if (!author) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+  } catch (error) {
+    logger.error('Fetch author error', { err: error });
+    return sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving posts. Please try again later.');
+  }
+
+  return await listPosts(req, res, { authorId: id });
+};
+
+// =====================================================
+// GET POST BY ID
+// =====================================================
+const getPostById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const post = await db.PostModel.findPostById(id);
+    if (!post) {
+      return sendProblem(res, 'POST_NOT_FOUND', 'Post not found');
+    }
+
+    res.status(200).json({ post });
+  } catch (error) {
+    logger.error('Fetch post error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving post. Please try again later.');
+  }
+};
+
+// =====================================================
+// UPDATE POST (AUTHOR OR ADMIN)
+// =====================================================
+const updatePost = async (req, res) => {
+  const { id } = req.params;
+  const { title, content } = req.body;
+
+  try {
+    const post = await db.PostModel.findPostById(id);
+    if (!post) {
+      return sendProblem(res, 'POST_NOT_FOUND', 'Post not found');
+    }
+
+    if (!canModifyPost(post, req.user)) {
+      return sendProblem(res, 'AUTH_NOT_OWNER', 'Access denied. You can only edit your own posts.');
+    }
+
+    const updatedPost = await db.PostModel.updatePost(id, { title, content });
+
+    res.status(200).json({
+      message: 'Post updated successfully',
+      post: updatedPost,
+    });
+  } catch (error) {
+    logger.error('Update post error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error updating post. Please try again.');
+  }
+};
+
+// =====================================================
+// DELETE POST (AUTHOR OR ADMIN)
+// =====================================================
+const deletePost = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const post = await db.PostModel.findPostById(id);
+    if (!post) {
+      return sendProblem(res, 'POST_NOT_FOUND', 'Post not found');
+    }
+
+    if (!canModifyPost(post, req.user)) {
+      return sendProblem(res, 'AUTH_NOT_OWNER', 'Access denied. You can only delete your own posts.');
+    }
+
+    await db.PostModel.deletePost(id);
+
+    res.status(200).json({ message: 'Post deleted successfully' });
+  } catch (error) {
+    logger.error('Delete post error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error deleting post. Please try again.');
+  }
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = {
+  createPost,
+  getAllPosts,
+  getPostsByAuthor,
+  getPostById,
+  updatePost,
+  deletePost,
+};
@@ -0,0 +1,393 @@
+// =====================================================
+// TWO-FACTOR CONTROLLER - TOTP ENROLLMENT & LOGIN STEP 2
+// =====================================================
+//
+// Enrollment:  setup → (scan QR / otpauth URI) → confirm → recovery codes
+// Login:       POST /login (password) → challengeToken
+//              POST /login/2fa (challengeToken + code) → access/refresh tokens
+// =====================================================
+
+const bcrypt = require('bcryptjs');
+const db = require('../models');
+const { hashToken, issueTokens, verifyTwoFactorChallengeToken } = require('../utils/tokens');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { getRequiredRoles, setRequiredRoles } = require('../utils/twoFactorPolicy');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+const metrics = require('../metrics');
+const audit = require('../utils/audit');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/totp');
+
+// Hashes + stores a fresh set of recovery codes and returns the plain ones
+const createRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await db.RecoveryCodeModel.replaceCodes(
+    userId,
+    codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  );
+  return codes;
+};
+
+// Checks a TOTP code (with replay protection) for a user with 2FA data
+const verifyUserCode = async (user, code) => {
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return false;
+  return await db.UserModel.recordTwoFactorStep(user.id, step);
+};
+
+// Password and code re-checks on a logged-in request go through the
+// login throttle (the account's email + client IP), so a stolen access
+// token can't be used to guess them faster than at POST /login.
+// Answers the request and returns true while the caller is throttled.
+const rejectIfThrottled = async (req, res, user) => {
+  const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+  if (throttle.allowed) return false;
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  sendProblem(res, throttle.code, throttle.detail, { retryAfter: throttle.retryAfter });
+  return true;
+};
+
+const recordCheck = async (req, user, passed) => {
+  const attempt = { email: user.email, ip: req.ip };
+  await (passed ? recordLoginSuccess(attempt) : recordLoginFailure(attempt));
+};
+
+// Enrollment re-checks the password, like disabling 2FA, so a stolen
+// access token alone can't bind the attacker's authenticator
+const checkEnrollmentPassword = async (req, user, currentPassword) => {
+  const isValid = await bcrypt.compare(currentPassword, user.password);
+  await recordCheck(req, user, isValid);
+  if (isValid) return true;
+
+  await audit.record(req, {
+    action: audit.AUDIT_ACTIONS.TWO_FACTOR_ENABLED,
+    outcome: audit.AUDIT_OUTCOMES.FAILURE,
+    reason: 'AUTH_CURRENT_PASSWORD_INCORRECT',
+    targetType: 'user',
+    targetId: user.id,
+  });
+  return false;
+};
+
+// =====================================================
+// SETUP (START ENROLLMENT)
+// =====================================================
+const setupTwoFactor = async (req, res) => {
+  const { currentPassword } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      return sendProblem(res, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+
+    if (await rejectIfThrottled(req, res, user)) return;
+
+    if (!(await checkEnrollmentPassword(req, user, currentPassword))) {
+      return sendProblem(res, 'AUTH_CURRENT_PASSWORD_INCORRECT', 'Current password is incorrect');
+    }
+
+    const secret = generateSecret();
+    await db.UserModel.setPendingTwoFactorSecret(user.id, encryptSecret(secret));
+
+    res.status(200).json({
+      message: 'Scan the otpauth URI with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email),
+    });
+  } catch (error) {
+    logger.error('2FA setup error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during two-factor setup. Please try again.');
+  }
+};
+
+// =====================================================
+// CONFIRM (FINISH ENROLLMENT)
+// =====================================================
+const confirmTwoFactor = async (req, res) => {
+  const { currentPassword, code } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      return sendProblem(res, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      return sendProblem(res, 'TWO_FACTOR_SETUP_NOT_STARTED', 'Start two-factor setup first');
+    }
+
+    if (await rejectIfThrottled(req, res, user)) return;
+
+    if (!(await checkEnrollmentPassword(req, user, currentPassword))) {
+      return sendProblem(res, 'AUTH_CURRENT_PASSWORD_INCORRECT', 'Current password is incorrect');
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return sendProblem(res, 'TWO_FACTOR_SETUP_CODE_INVALID', 'Invalid authentication code');
+    }
+
+    await db.UserModel.enableTwoFactor(user.id, step);
+    const recoveryCodes = await createRecoveryCodes(user.id);
+    await audit.record(req, { action: audit.AUDIT_ACTIONS.TWO_FACTOR_ENABLED, targetType: 'user', targetId: user.id });
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error('2FA confirm error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during two-factor confirmation. Please try again.');
+  }
+};
+
+// =====================================================
+// DISABLE
+// =====================================================
+// Needs the password AND a current code (or recovery code)
+const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+      return sendProblem(res, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+
+    const requiredRoles = await getRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      return sendProblem(
+        res,
+        'TWO_FACTOR_REQUIRED_BY_POLICY',
+        `Two-factor authentication is required for the ${user.role} role`
+      );
+    }
+
+    if (await rejectIfThrottled(req, res, user)) return;
+
+    // Password first, so a wrong password doesn't burn a recovery code
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isCodeValid = isPasswordValid && (code
+      ? await verifyUserCode(user, code)
+      : await db.RecoveryCodeModel.consumeCode(user.id, hashToken(normalizeRecoveryCode(recoveryCode))));
+    await recordCheck(req, user, isCodeValid);
+
+    if (!isCodeValid) {
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.TWO_FACTOR_DISABLED,
+        outcome: audit.AUDIT_OUTCOMES.FAILURE,
+        reason: 'TWO_FACTOR_CODE_INVALID',
+        targetType: 'user',
+        targetId: user.id,
+      });
+      return sendProblem(res, 'TWO_FACTOR_CODE_INVALID', 'Invalid password or authentication code');
+    }
+
+    await db.UserModel.disableTwoFactor(user.id);
+    await db.RecoveryCodeModel.deleteAllForUser(user.id);
+    await audit.record(req, { action: audit.AUDIT_ACTIONS.TWO_FACTOR_DISABLED, targetType: 'user', targetId: user.id });
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('2FA disable error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error while disabling two-factor authentication. Please try again.');
+  }
+};
+
+// =====================================================
+// REGENERATE RECOVERY CODES
+// =====================================================
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user || !user.twoFactorEnabled) {
+      return sendProblem(res, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+
+    if (await rejectIfThrottled(req, res, user)) return;
+
+    const isCodeValid = await verifyUserCode(user, code);
+    await recordCheck(req, user, isCodeValid);
+    if (!isCodeValid) {
+      return sendProblem(res, 'TWO_FACTOR_CODE_INVALID', 'Invalid authentication code');
+    }
+
+    const recoveryCodes = await createRecoveryCodes(user.id);
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.RECOVERY_CODES_REGENERATED,
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    res.status(200).json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error('Recovery code error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error while generating recovery codes. Please try again.');
+  }
+};
+
+// =====================================================
+// LOGIN STEP 2: VERIFY CODE
+// =====================================================
+const countLogin = (result) => metrics.loginAttempts.inc({ method: 'two_factor', result });
+
+const auditLogin = (req, { outcome, reason, userId, recoveryCode }) =>
+  audit.record(req, {
+    action: audit.AUDIT_ACTIONS.LOGIN,
+    outcome,
+    reason,
+    actorId: outcome === audit.AUDIT_OUTCOMES.SUCCESS ? userId : null,
+    targetType: userId ? 'user' : undefined,
+    targetId: userId,
+    metadata: { method: 'two_factor', factor: recoveryCode ? 'recovery_code' : 'totp' },
+  });
+
+const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorChallengeToken(challengeToken);
+  } catch (error) {
+    countLogin(metrics.LOGIN_RESULTS.FAILURE);
+    const reason = error.name === 'TokenExpiredError' ? 'TWO_FACTOR_CHALLENGE_EXPIRED' : 'TWO_FACTOR_CHALLENGE_INVALID';
+    await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.FAILURE, reason, recoveryCode });
+    if (error.name === 'TokenExpiredError') {
+      return sendProblem(res, 'TWO_FACTOR_CHALLENGE_EXPIRED', 'Login challenge has expired. Please login again.');
+    }
+    return sendProblem(res, 'TWO_FACTOR_CHALLENGE_INVALID', 'Invalid login challenge');
+  }
+
+  const attempt = { email: decoded.email, ip: req.ip };
+
+  try {
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      countLogin(metrics.LOGIN_RESULTS.BLOCKED);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.DENIED, reason: throttle.code, userId: decoded.userId, recoveryCode });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendProblem(res, throttle.code, throttle.detail, { retryAfter: throttle.retryAfter });
+    }
+
+    const user = await db.UserModel.findUserByIdWithPassword(decoded.userId);
+    if (!user || !user.twoFactorEnabled || user.tokenVersion !== decoded.tv) {
+      countLogin(metrics.LOGIN_RESULTS.FAILURE);
+      await auditLogin(req, {
+        outcome: audit.AUDIT_OUTCOMES.FAILURE,
+        reason: 'TWO_FACTOR_CHALLENGE_INVALID',
+        userId: decoded.userId,
+        recoveryCode,
+      });
+      return sendProblem(res, 'TWO_FACTOR_CHALLENGE_INVALID', 'Invalid login challenge');
+    }
+
+    const isValid = code
+      ? await verifyUserCode(user, code)
+      : await db.RecoveryCodeModel.consumeCode(user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+
+    if (!isValid) {
+      await recordLoginFailure(attempt);
+      countLogin(metrics.LOGIN_RESULTS.FAILURE);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.FAILURE, reason: 'TWO_FACTOR_CODE_INVALID', userId: user.id, recoveryCode });
+      return sendProblem(res, 'TWO_FACTOR_CODE_INVALID', 'Invalid authentication code');
+    }
+
+    await recordLoginSuccess(attempt);
+    countLogin(metrics.LOGIN_RESULTS.SUCCESS);
+    await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.SUCCESS, userId: user.id, recoveryCode });
+    const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
+
+    res.status(200).json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      ...(recoveryCode && { recoveryCodesRemaining: await db.RecoveryCodeModel.countRemaining(user.id) }),
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      },
+    });
+  } catch (error) {
+    logger.error('2FA login error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during login. Please try again.');
+  }
+};
+
+// =====================================================
+// 2FA POLICY (ADMIN ONLY)
+// =====================================================
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.status(200).json({ requiredRoles: await getRequiredRoles() });
+  } catch (error) {
+    logger.error('2FA policy error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving two-factor policy. Please try again.');
+  }
+};
+
+const updateTwoFactorPolicy = async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  try {
+    const previous = await getRequiredRoles();
+    const saved = await setRequiredRoles([...new Set(requiredRoles)]);
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.TWO_FACTOR_POLICY_UPDATED,
+      targetType: 'setting',
+      targetId: 'two_factor_policy',
+      metadata: { from: previous, to: saved },
+    });
+
+    res.status(200).json({
+      message: 'Two-factor policy updated',
+      requiredRoles: saved,
+    });
+  } catch (error) {
+    logger.error('2FA policy error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error updating two-factor policy. Please try again.');
+  }
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+};
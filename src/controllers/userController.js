@@ -3,128 +3,822 @@
 // =====================================================
 //
 // Handles registration, login, and retrieval of user data.
-// Works with UserModel (Sequelize abstraction).
+// Works with UserModel (Sequelize abstraction). Params, query and body
+// are checked by the route schemas (src/validation/userSchemas.js)
+// before these handlers run.
 // =====================================================
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
-const { UserModel } = require('../models/userModel');
+const db = require('../models');
+const { PUBLIC_ATTRIBUTES } = require('../models/userModel');
+const { loadAccountConfig } = require('../config/accounts');
+const {
+  EMAIL_VERIFICATION_TTL,
+  hashToken,
+  generateResetToken,
+  issueTokens,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallengeToken,
+} = require('../utils/tokens');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { sendMail } = require('../mail');
+const { verificationEmail, passwordResetEmail } = require('../mail/templates');
+const { PaginationError, parseLimit, parseSort, buildNextLink } = require('../utils/pagination');
+const { sendValidationError } = require('../middleware/validate');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+const metrics = require('../metrics');
+const audit = require('../utils/audit');
+const accounts = require('../utils/accounts');
+const clock = require('../utils/clock');
+
+const BCRYPT_ROUNDS = 10;
 
 // =====================================================
-// REGISTER USER
+// EMAIL VERIFICATION HELPERS
 // =====================================================
-const registerUser = async (req, res) => {
-  const { username, email, password } = req.body;
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+const VERIFICATION_COOLDOWN_SECONDS = Number(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+const VERIFICATION_MAX_PER_DAY = Number(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  if (!username || !email || !password) {
-    return res.status(400).json({ error: 'All fields are required (username, email, password)' });
+// Returns seconds to wait before another email may be sent, or 0
+const verificationRetryAfter = (user, now = clock.currentDate()) => {
+  if (user.verificationSentAt) {
+    const cooldownEnds = user.verificationSentAt.getTime() + VERIFICATION_COOLDOWN_SECONDS * 1000;
+    if (cooldownEnds > now.getTime()) {
+      return Math.ceil((cooldownEnds - now.getTime()) / 1000);
+    }
   }
 
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ error: 'Please provide a valid email address' });
+  if (user.verificationWindowStart && user.verificationSendCount >= VERIFICATION_MAX_PER_DAY) {
+    const windowEnds = user.verificationWindowStart.getTime() + DAY_MS;
+    if (windowEnds > now.getTime()) {
+      return Math.ceil((windowEnds - now.getTime()) / 1000);
+    }
   }
 
-  if (password.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-  }
+  return 0;
+};
+
+// Rotates the nonce (older links die), records the send and mails the link
+const sendVerificationEmail = async (user, now = clock.currentDate()) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const windowOpen =
+    user.verificationWindowStart && user.verificationWindowStart.getTime() + DAY_MS > now.getTime();
+
+  await db.UserModel.recordVerificationSent(user.id, {
+    nonce,
+    sentAt: now,
+    windowStart: windowOpen ? user.verificationWindowStart : now,
+    sendCount: windowOpen ? user.verificationSendCount + 1 : 1,
+  });
+
+  const token = signEmailVerificationToken(user, nonce);
+  const link = `${APP_URL}/api/users/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({ username: user.username, link, expiresIn: EMAIL_VERIFICATION_TTL }),
+  });
+};
+
+// =====================================================
+// REGISTER USER
+// =====================================================
+const registerUser = async (req, res) => {
+  const { username, email, password } = req.body;
 
   try {
-    // Check for duplicates
-    const existingEmail = await UserModel.findUserByEmail(email);
+    // Check for duplicates (deactivated accounts keep theirs reserved)
+    const existingEmail = await accounts.releaseIfExpired(
+      req,
+      await db.UserModel.findUserByEmail(email, { includeDeactivated: true })
+    );
     if (existingEmail) {
-      return res.status(409).json({ error: 'Email is already registered' });
+      return sendProblem(res, 'USER_EMAIL_TAKEN', 'Email is already registered');
     }
 
-    const existingUsername = await UserModel.findUserByUsername(username);
+    const existingUsername = await accounts.releaseIfExpired(
+      req,
+      await db.UserModel.findUserByUsername(username, { includeDeactivated: true })
+    );
     if (existingUsername) {
-      return res.status(409).json({ error: 'Username is already taken' });
+      return sendProblem(res, 'USER_USERNAME_TAKEN', 'Username is already taken');
     }
 
     // Hash password and create user
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = await UserModel.createUser(username, email, hashedPassword);
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const newUser = await db.UserModel.createUser(username, email, hashedPassword);
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.USER_REGISTERED,
+      actorId: newUser.id,
+      targetType: 'user',
+      targetId: newUser.id,
+      metadata: { username, email },
+    });
+
+    // The account exists either way; a failed send can be retried via resend
+    let verificationSent = true;
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      verificationSent = false;
+      logger.error('Verification email error', { err: mailError });
+    }
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: verificationSent
+        ? 'User registered successfully. Please check your email to verify your account.'
+        : 'User registered successfully, but the verification email could not be sent. Please request a new one.',
       user: {
         id: newUser.id,
         username: newUser.username,
         email: newUser.email,
+        role: newUser.role,
+        emailVerified: newUser.emailVerified,
         createdAt: newUser.createdAt,
       },
     });
   } catch (error) {
-    console.error('❌ Registration error:', error);
-    res.status(500).json({ error: 'Server error during registration. Please try again.' });
+    logger.error('Registration error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during registration. Please try again.');
   }
 };
 
 // =====================================================
 // LOGIN USER
 // =====================================================
+const countLogin = (result) => metrics.loginAttempts.inc({ method: 'password', result });
+
+// Only a successful login identifies the actor; failures name the
+// account that was tried (if it exists) as the target
+const auditLogin = (req, { outcome, reason, user }) =>
+  audit.record(req, {
+    action: audit.AUDIT_ACTIONS.LOGIN,
+    outcome,
+    reason,
+    actorId: outcome === audit.AUDIT_OUTCOMES.SUCCESS ? user.id : null,
+    targetType: user ? 'user' : undefined,
+    targetId: user ? user.id : undefined,
+    metadata: { method: 'password', email: req.body.email },
+  });
+
 const loginUser = async (req, res) => {
   const { email, password } = req.body;
-
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
-  }
+  const attempt = { email, ip: req.ip };
 
   try {
-    const user = await UserModel.findUserByEmail(email);
+    // Checked before touching the password so throttled guesses cost nothing
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      countLogin(metrics.LOGIN_RESULTS.BLOCKED);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.DENIED, reason: throttle.code });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return sendProblem(res, throttle.code, throttle.detail, { retryAfter: throttle.retryAfter });
+    }
+
+    const user = await db.UserModel.findUserByEmail(email, { includeDeactivated: true });
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      await recordLoginFailure(attempt);
+      countLogin(metrics.LOGIN_RESULTS.FAILURE);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.FAILURE, reason: 'AUTH_INVALID_CREDENTIALS' });
+      return sendProblem(res, 'AUTH_INVALID_CREDENTIALS', 'Invalid email or password');
     }
 
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      await recordLoginFailure(attempt);
+      countLogin(metrics.LOGIN_RESULTS.FAILURE);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.FAILURE, reason: 'AUTH_INVALID_CREDENTIALS', user });
+      return sendProblem(res, 'AUTH_INVALID_CREDENTIALS', 'Invalid email or password');
     }
 
-    const payload = {
-      userId: user.id,
-      email: user.email,
-      username: user.username,
-    };
+    // Checked after the password so neither status is leaked to guessers
+    if (user.deletedAt) {
+      countLogin(metrics.LOGIN_RESULTS.ACCOUNT_DEACTIVATED);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.DENIED, reason: 'AUTH_ACCOUNT_DEACTIVATED', user });
+      return sendProblem(res, 'AUTH_ACCOUNT_DEACTIVATED', 'This account is deactivated. Contact an administrator to restore it.');
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      countLogin(metrics.LOGIN_RESULTS.EMAIL_UNVERIFIED);
+      await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.DENIED, reason: 'AUTH_EMAIL_NOT_VERIFIED', user });
+      return sendProblem(res, 'AUTH_EMAIL_NOT_VERIFIED', 'Please verify your email address before logging in');
+    }
+
+    // Step one of two: no session yet, only a short-lived challenge token.
+    // Throttle counters are cleared once the second factor succeeds.
+    if (user.twoFactorEnabled) {
+      countLogin(metrics.LOGIN_RESULTS.TWO_FACTOR_REQUIRED);
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.TWO_FACTOR_CHALLENGE,
+        actorId: user.id,
+        targetType: 'user',
+        targetId: user.id,
+      });
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallengeToken(user),
+      });
+    }
+
+    await recordLoginSuccess(attempt);
+    countLogin(metrics.LOGIN_RESULTS.SUCCESS);
+    await auditLogin(req, { outcome: audit.AUDIT_OUTCOMES.SUCCESS, user });
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // Starts a new session: short-lived access token + rotating refresh token
+    const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
 
     res.status(200).json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({ error: 'Server error during login. Please try again.' });
+    logger.error('Login error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during login. Please try again.');
+  }
+};
+
+// =====================================================
+// VERIFY EMAIL
+// =====================================================
+// Token comes from the emailed link (?token=...) or a JSON body
+const verifyEmail = async (req, res) => {
+  const token = req.query.token || req.body.token;
+
+  let decoded;
+  try {
+    decoded = verifyEmailVerificationToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return sendProblem(res, 'EMAIL_VERIFICATION_LINK_EXPIRED', 'Verification link has expired. Please request a new one.');
+    }
+    return sendProblem(res, 'EMAIL_VERIFICATION_LINK_INVALID', 'Invalid verification link');
+  }
+
+  try {
+    const user = await db.UserModel.findUserByEmail(decoded.email);
+    if (!user || user.id !== decoded.userId) {
+      return sendProblem(res, 'EMAIL_VERIFICATION_LINK_INVALID', 'Invalid verification link');
+    }
+
+    if (user.emailVerified) {
+      return res.status(200).json({ message: 'Email address is already verified' });
+    }
+
+    const verified = await db.UserModel.markEmailVerified(user.id, decoded.nonce);
+    if (!verified) {
+      return sendProblem(res, 'EMAIL_VERIFICATION_LINK_USED', 'Verification link has already been used or replaced by a newer one');
+    }
+
+    res.status(200).json({ message: 'Email verified successfully. You can now log in.' });
+  } catch (error) {
+    logger.error('Email verification error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during email verification. Please try again.');
+  }
+};
+
+// =====================================================
+// RESEND VERIFICATION EMAIL
+// =====================================================
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body;
+
+  // Same answer whether or not the account exists
+  const genericResponse = {
+    message: 'If an unverified account exists for this email, a new verification link has been sent.',
+  };
+
+  try {
+    const user = await db.UserModel.findUserByEmail(email);
+    if (!user || user.emailVerified) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const retryAfter = verificationRetryAfter(user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return sendProblem(
+        res,
+        'EMAIL_VERIFICATION_COOLDOWN',
+        `Too many verification emails requested. Please try again in ${retryAfter} seconds.`,
+        { retryAfter }
+      );
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error('Resend verification error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Could not send verification email. Please try again later.');
+  }
+};
+
+// =====================================================
+// FORGOT PASSWORD
+// =====================================================
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || `${APP_URL}/reset-password`;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  // Identical for known and unknown addresses so accounts can't be enumerated
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent.',
+  };
+
+  try {
+    const user = await db.UserModel.findUserByEmail(email);
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const token = generateResetToken();
+    await db.PasswordResetTokenModel.createToken({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(clock.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    });
+
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        username: user.username,
+        link: `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`,
+        token,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+      }),
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    // Still generic: an error here must not reveal that the account exists
+    logger.error('Forgot password error', { err: error });
+    res.status(200).json(genericResponse);
+  }
+};
+
+// =====================================================
+// RESET PASSWORD
+// =====================================================
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const resetToken = await db.PasswordResetTokenModel.findValidByHash(hashToken(token));
+
+    // markUsed guards against the same token being redeemed twice concurrently;
+    // the account may also have been deactivated since the link was sent
+    if (
+      !resetToken ||
+      !(await db.PasswordResetTokenModel.markUsed(resetToken.id)) ||
+      !(await db.UserModel.findUserById(resetToken.userId))
+    ) {
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.PASSWORD_RESET,
+        outcome: audit.AUDIT_OUTCOMES.FAILURE,
+        reason: 'AUTH_PASSWORD_RESET_TOKEN_INVALID',
+      });
+      return sendProblem(res, 'AUTH_PASSWORD_RESET_TOKEN_INVALID', 'Invalid or expired password reset token');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await db.UserModel.updatePassword(resetToken.userId, hashedPassword);
+
+    // Whoever knew the old password must not stay logged in
+    await db.RefreshTokenModel.revokeAllForUser(resetToken.userId);
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.PASSWORD_RESET,
+      actorId: resetToken.userId,
+      targetType: 'user',
+      targetId: resetToken.userId,
+    });
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    logger.error('Reset password error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during password reset. Please try again.');
+  }
+};
+
+// =====================================================
+// CHANGE PASSWORD (AUTHENTICATED)
+// =====================================================
+// Every existing session ends (including this one); the caller gets a
+// fresh token pair so they stay logged in on the current device.
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.PASSWORD_CHANGED,
+        outcome: audit.AUDIT_OUTCOMES.FAILURE,
+        reason: 'AUTH_CURRENT_PASSWORD_INCORRECT',
+        targetType: 'user',
+        targetId: user.id,
+      });
+      return sendProblem(res, 'AUTH_CURRENT_PASSWORD_INCORRECT', 'Current password is incorrect');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    await db.UserModel.updatePassword(user.id, hashedPassword);
+    await db.RefreshTokenModel.revokeAllForUser(user.id);
+    await audit.record(req, { action: audit.AUDIT_ACTIONS.PASSWORD_CHANGED, targetType: 'user', targetId: user.id });
+
+    const tokens = await issueTokens(await db.UserModel.findUserForAuth(user.id), { req });
+
+    res.status(200).json({
+      message: 'Password changed successfully. All other sessions have been logged out.',
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('Change password error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error while changing password. Please try again.');
+  }
+};
+
+// =====================================================
+// REFRESH ACCESS TOKEN (ROTATION)
+// =====================================================
+// Only refusals are audited; successful rotations are routine
+const auditRefreshFailure = (req, reason, stored) =>
+  audit.record(req, {
+    action: audit.AUDIT_ACTIONS.TOKEN_REFRESH,
+    outcome: audit.AUDIT_OUTCOMES.FAILURE,
+    reason,
+    actorId: null,
+    targetType: stored ? 'user' : undefined,
+    targetId: stored ? stored.userId : undefined,
+    metadata: stored ? { sessionId: stored.familyId } : undefined,
+  });
+
+const refreshTokens = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const stored = await db.RefreshTokenModel.findByHash(hashToken(refreshToken));
+    if (!stored) {
+      await auditRefreshFailure(req, 'AUTH_REFRESH_TOKEN_INVALID');
+      return sendProblem(res, 'AUTH_REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+    }
+
+    // Reuse of a rotated token means it leaked: kill the whole session
+    if (stored.revokedAt || !(await db.RefreshTokenModel.revokeToken(stored.id))) {
+      await db.RefreshTokenModel.revokeFamily(stored.familyId);
+      await auditRefreshFailure(req, 'AUTH_REFRESH_TOKEN_REUSED', stored);
+      return sendProblem(res, 'AUTH_REFRESH_TOKEN_REUSED', 'Refresh token reuse detected. Please login again.');
+    }
+
+    if (stored.expiresAt <= clock.currentDate()) {
+      await auditRefreshFailure(req, 'AUTH_REFRESH_TOKEN_EXPIRED', stored);
+      return sendProblem(res, 'AUTH_REFRESH_TOKEN_EXPIRED', 'Refresh token has expired. Please login again.');
+    }
+
+    const user = await db.UserModel.findUserForAuth(stored.userId);
+    if (!user) {
+      await db.RefreshTokenModel.revokeFamily(stored.familyId);
+      await auditRefreshFailure(req, 'AUTH_USER_NOT_FOUND', stored);
+      return sendProblem(res, 'AUTH_USER_NOT_FOUND', 'User not found. Token invalid.');
+    }
+
+    const tokens = await issueTokens(user, { familyId: stored.familyId, req });
+
+    res.status(200).json({
+      message: 'Token refreshed successfully',
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('Refresh token error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during token refresh. Please try again.');
+  }
+};
+
+// =====================================================
+// LOGOUT USER
+// =====================================================
+// Revokes the whole session, so both the refresh token and any access
+// token issued for it stop working immediately.
+const logoutUser = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const stored = await db.RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+    // Unknown tokens are treated as already logged out
+    if (stored) {
+      await db.RefreshTokenModel.revokeFamily(stored.familyId);
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.LOGOUT,
+        actorId: stored.userId,
+        targetType: 'user',
+        targetId: stored.userId,
+        metadata: { sessionId: stored.familyId },
+      });
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Server error during logout. Please try again.');
   }
 };
 
 // =====================================================
 // GET ALL USERS
 // =====================================================
+// Query params (all optional, checked by listUsersSchema):
+//   limit, cursor          → cursor pagination (follow links.next)
+//   sort                   → any public field, '-' prefix for descending
+//   search                 → substring match on username or email
+//   role                   → exact role
+//   createdFrom, createdTo → ISO dates, inclusive range on createdAt
 const getAllUsers = async (req, res) => {
+  const { cursor, search, role, createdFrom, createdTo } = req.query;
+  const limit = parseLimit(req.query.limit);
+  const sort = parseSort(req.query.sort, PUBLIC_ATTRIBUTES, '-createdAt');
+
   try {
-    const users = await UserModel.getAllUsers();
+    const { users, count, nextCursor } = await db.UserModel.getAllUsers({
+      limit,
+      sort,
+      cursor,
+      filters: {
+        search: search !== undefined ? search.trim() : undefined,
+        role,
+        createdFrom: createdFrom !== undefined ? new Date(createdFrom) : undefined,
+        createdTo: createdTo !== undefined ? new Date(createdTo) : undefined,
+      },
+    });
 
-    // ✅ Fix: Return in JSON structure expected by frontend
+    // ✅ users/count/message kept in the shape the frontend expects
     res.status(200).json({
-      users: users || [],
-      count: users?.length || 0,
+      users,
+      count,
       message: 'Users retrieved successfully',
+      pageInfo: {
+        limit,
+        hasMore: nextCursor !== null,
+        nextCursor,
+      },
+      links: {
+        next: buildNextLink(req, nextCursor),
+      },
     });
   } catch (error) {
-    console.error('❌ Fetch users error:', error);
-    res.status(500).json({
-      error: 'Error retrieving users. Please try again later.',
-      users: [],
-      count: 0,
+    // Only known once the cursor is decoded
+    if (error instanceof PaginationError) {
+      return sendValidationError(res, [
+        { location: 'query', field: 'cursor', code: 'invalid_cursor', message: error.message },
+      ]);
+    }
+
+    logger.error('Fetch users error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving users. Please try again later.');
+  }
+};
+
+// =====================================================
+// GET USER BY ID
+// =====================================================
+const getUserById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await db.UserModel.findUserById(id);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    res.status(200).json({ user });
+  } catch (error) {
+    logger.error('Fetch user error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error retrieving user. Please try again later.');
+  }
+};
+
+// =====================================================
+// UPDATE USER (OWNER OR ADMIN)
+// =====================================================
+const updateUser = async (req, res) => {
+  const { id } = req.params;
+  const { username, email } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserById(id);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    // Duplicates are only a conflict when they belong to someone else
+    if (email !== undefined) {
+      const existingEmail = await accounts.releaseIfExpired(
+        req,
+        await db.UserModel.findUserByEmail(email, { includeDeactivated: true })
+      );
+      if (existingEmail && existingEmail.id !== user.id) {
+        return sendProblem(res, 'USER_EMAIL_TAKEN', 'Email is already registered');
+      }
+    }
+
+    if (username !== undefined) {
+      const existingUsername = await accounts.releaseIfExpired(
+        req,
+        await db.UserModel.findUserByUsername(username, { includeDeactivated: true })
+      );
+      if (existingUsername && existingUsername.id !== user.id) {
+        return sendProblem(res, 'USER_USERNAME_TAKEN', 'Username is already taken');
+      }
+    }
+
+    // Re-sending the current address must not reset its verified status
+    const emailChanged = email !== undefined && email !== user.email;
+    const updatedUser = await db.UserModel.updateUser(id, {
+      username,
+      email: emailChanged ? email : undefined,
+    });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(await db.UserModel.findUserByEmail(email));
+      } catch (mailError) {
+        logger.error('Verification email error', { err: mailError });
+      }
+    }
+
+    res.status(200).json({
+      message: 'User updated successfully',
+      user: updatedUser,
     });
+  } catch (error) {
+    logger.error('Update user error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error updating user. Please try again.');
+  }
+};
+
+// =====================================================
+// DELETE USER (OWNER OR ADMIN)
+// =====================================================
+// Deactivates (soft delete, src/utils/accounts.js); admins can restore
+// the account or purge it for good
+const deleteUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await accounts.deactivate(req, id))) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    res.status(200).json({ message: 'User deactivated successfully' });
+  } catch (error) {
+    logger.error('Delete user error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error deleting user. Please try again.');
+  }
+};
+
+// =====================================================
+// DEACTIVATE OWN ACCOUNT
+// =====================================================
+// Needs the password, like disabling 2FA, so a stolen access token
+// alone can't take the account offline
+const deactivateAccount = async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await db.UserModel.findUserByIdWithPassword(req.user.userId);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      await audit.record(req, {
+        action: audit.AUDIT_ACTIONS.USER_DEACTIVATED,
+        outcome: audit.AUDIT_OUTCOMES.FAILURE,
+        reason: 'AUTH_CURRENT_PASSWORD_INCORRECT',
+        targetType: 'user',
+        targetId: user.id,
+      });
+      return sendProblem(res, 'AUTH_CURRENT_PASSWORD_INCORRECT', 'Password is incorrect');
+    }
+
+    await accounts.deactivate(req, user.id);
+
+    res.status(200).json({
+      message: 'Account deactivated. Contact an administrator to restore it.',
+      graceDays: loadAccountConfig().graceDays,
+    });
+  } catch (error) {
+    logger.error('Deactivate account error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error deactivating account. Please try again.');
+  }
+};
+
+// =====================================================
+// RESTORE USER (ADMIN ONLY)
+// =====================================================
+const restoreUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await db.UserModel.restoreUser(id))) {
+      return sendProblem(res, 'USER_NOT_DEACTIVATED', 'No deactivated user with this id');
+    }
+
+    await audit.record(req, { action: audit.AUDIT_ACTIONS.USER_RESTORED, targetType: 'user', targetId: id });
+
+    res.status(200).json({
+      message: 'User restored successfully',
+      user: await db.UserModel.findUserById(id),
+    });
+  } catch (error) {
+    logger.error('Restore user error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error restoring user. Please try again.');
+  }
+};
+
+// =====================================================
+// PURGE USER (ADMIN ONLY)
+// =====================================================
+// Permanent, and only for deactivated accounts: deactivate first
+const purgeUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await db.UserModel.findDeactivatedUser(id);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_DEACTIVATED', 'No deactivated user with this id');
+    }
+
+    await accounts.purge(req, user.id, 'admin');
+
+    res.status(200).json({ message: 'User permanently deleted' });
+  } catch (error) {
+    logger.error('Purge user error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error deleting user. Please try again.');
+  }
+};
+
+// =====================================================
+// UPDATE USER ROLE (ADMIN ONLY)
+// =====================================================
+const updateUserRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Prevents the last admin from locking everyone out by demoting themselves
+  if (String(req.user.userId) === String(id)) {
+    return sendProblem(res, 'USER_CANNOT_CHANGE_OWN_ROLE', 'You cannot change your own role');
+  }
+
+  try {
+    const user = await db.UserModel.findUserById(id);
+    if (!user) {
+      return sendProblem(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    await db.UserModel.updateUserRole(id, role);
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.USER_ROLE_CHANGED,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { from: user.role, to: role },
+    });
+
+    res.status(200).json({
+      message: `User role updated to ${role}`,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role,
+      },
+    });
+  } catch (error) {
+    logger.error('Update role error', { err: error });
+    sendProblem(res, 'INTERNAL_ERROR', 'Error updating user role. Please try again.');
   }
 };
 
@@ -134,5 +828,19 @@ const getAllUsers = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshTokens,
+  logoutUser,
   getAllUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+  deactivateAccount,
+  restoreUser,
+  purgeUser,
+  updateUserRole,
 };
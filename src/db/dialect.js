@@ -0,0 +1,38 @@
+// src/db/dialect.js
+// =====================================================
+// DIALECT DIFFERENCES (POSTGRES vs SQLITE)
+// =====================================================
+// Production runs on Postgres; SQLite is for local development and tests.
+// How Postgres-only features behave on SQLite:
+//
+//   ILIKE search          → LIKE ... ESCAPE '\' (SQLite's LIKE is already
+//                           case-insensitive, but only for ASCII letters)
+//   SELECT ... FOR UPDATE → ignored by Sequelize; SQLite serializes writers
+//                           with a database-wide lock instead
+//   advisory locks        → skipped by the migrator (same reason)
+//   ENUM / UUID / JSON    → stored as TEXT, validated by the models
+//
+// None of this matters for a single developer or a test run, but SQLite
+// is not meant to back several app instances.
+// =====================================================
+const { Op } = require('sequelize');
+const { escapeLike } = require('../utils/pagination');
+
+const isPostgres = (sequelize) => sequelize.getDialect() === 'postgres';
+
+// Case-insensitive "column contains value" condition, with LIKE
+// wildcards in `value` matched literally
+const containsInsensitive = (model, column, value) => {
+  const pattern = `%${escapeLike(value)}%`;
+  const { sequelize } = model;
+
+  if (isPostgres(sequelize)) {
+    return { [column]: { [Op.iLike]: pattern } };
+  }
+
+  // Sequelize can't add an ESCAPE clause, and SQLite has no default escape
+  const columnSql = sequelize.getQueryInterface().quoteIdentifiers(`${model.name}.${column}`);
+  return sequelize.literal(`${columnSql} LIKE ${sequelize.escape(pattern)} ESCAPE '\\'`);
+};
+
+module.exports = { isPostgres, containsInsensitive };
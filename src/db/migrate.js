@@ -0,0 +1,92 @@
+// src/db/migrate.js
+// =====================================================
+// MIGRATIONS CLI
+// =====================================================
+// npm run migrate                       → apply all pending migrations
+// npm run migrate -- --to <name>        → apply up to and including <name>
+// npm run migrate:rollback              → revert the last migration
+// npm run migrate:rollback -- --steps 3 → revert the last 3
+// npm run migrate:rollback -- --to <name> → revert everything after <name>
+// npm run migrate:status                → list applied / pending migrations
+// npm run migrate:create -- add-foo     → new empty migration file
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { MIGRATIONS_DIR } = require('./migrator');
+
+const TEMPLATE = `module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+  },
+};
+`;
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--to') options.to = args[++i];
+    else if (args[i] === '--steps') options.steps = Number(args[++i]);
+    else options.name = args[i];
+  }
+  return options;
+};
+
+const timestamp = () => new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+const createMigrationFile = (name) => {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) throw new Error('Usage: npm run migrate:create -- <description>');
+
+  const file = path.join(MIGRATIONS_DIR, `${timestamp()}-${slug}.js`);
+  fs.writeFileSync(file, TEMPLATE, { flag: 'wx' });
+  console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+};
+
+const run = async () => {
+  const [command = 'up', ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (command === 'create') {
+    return createMigrationFile(options.name);
+  }
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+  }
+
+  // Loaded lazily so `create` works without database settings
+  const { sequelize } = require('../config/database');
+  const { createMigrator } = require('./migrator');
+  const migrator = createMigrator({ sequelize });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up({ to: options.to });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      if (options.steps !== undefined && (!Number.isInteger(options.steps) || options.steps < 1)) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await migrator.down({ steps: options.steps, to: options.to });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'ℹ️  Nothing to roll back');
+    } else if (command === 'status') {
+      const rows = await migrator.status();
+      rows.forEach((row) => {
+        const state = row.applied ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+        console.log(`${row.applied ? '✅' : '⏳'} ${row.name}  (${state})`);
+      });
+      if (!rows.length) console.log('No migrations found');
+    }
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
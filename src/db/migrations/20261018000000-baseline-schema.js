@@ -0,0 +1,209 @@
+// =====================================================
+// BASELINE SCHEMA
+// =====================================================
+// Every table that existed when the app stopped using
+// sequelize.sync({ alter: true }).
+//
+// Databases created by the old sync (or by database_setup.sql) already
+// have some of these tables, so each table is created only when missing
+// and otherwise just gets the columns/indexes it lacks. Fresh databases
+// get the full schema.
+//
+// Columns added to an existing table can be backfilled (BACKFILL): users
+// that predate email verification count as verified, or
+// REQUIRE_EMAIL_VERIFICATION would lock every one of them out.
+// =====================================================
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const TABLES = ['users', 'refresh_tokens', 'password_reset_tokens', 'login_throttles', 'rate_limits',
+  'two_factor_recovery_codes', 'settings', 'posts', 'comments'];
+
+// Values for existing rows when a column is added to an existing table
+const BACKFILL = {
+  users: { emailVerified: true },
+};
+
+const schema = (DataTypes, Sequelize) => {
+  const id = { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false };
+  const timestamps = {
+    createdAt: { type: DataTypes.DATE, allowNull: true, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+    updatedAt: { type: DataTypes.DATE, allowNull: true, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+  };
+  const reference = (table, onDelete, allowNull = false) => ({
+    type: DataTypes.INTEGER,
+    allowNull,
+    references: { model: table, key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete,
+  });
+
+  return {
+    users: {
+      columns: {
+        id,
+        username: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+        email: { type: DataTypes.STRING(150), allowNull: false, unique: true },
+        password: { type: DataTypes.STRING(255), allowNull: false },
+        role: { type: DataTypes.ENUM(...ROLES), allowNull: false, defaultValue: 'user' },
+        emailVerified: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        emailVerificationNonce: { type: DataTypes.STRING(64), allowNull: true },
+        tokenVersion: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        twoFactorEnabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        twoFactorSecret: { type: DataTypes.STRING(255), allowNull: true },
+        twoFactorLastStep: { type: DataTypes.BIGINT, allowNull: true },
+        verificationSentAt: { type: DataTypes.DATE, allowNull: true },
+        verificationWindowStart: { type: DataTypes.DATE, allowNull: true },
+        verificationSendCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        ...timestamps,
+      },
+      indexes: [],
+    },
+
+    refresh_tokens: {
+      columns: {
+        id,
+        userId: reference('users', 'CASCADE'),
+        tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+        familyId: { type: DataTypes.UUID, allowNull: false },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+        revokedAt: { type: DataTypes.DATE, allowNull: true },
+        userAgent: { type: DataTypes.STRING(255), allowNull: true },
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+        ...timestamps,
+      },
+      indexes: [['familyId'], ['userId']],
+    },
+
+    password_reset_tokens: {
+      columns: {
+        id,
+        userId: reference('users', 'CASCADE'),
+        tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+        usedAt: { type: DataTypes.DATE, allowNull: true },
+        ...timestamps,
+      },
+      indexes: [['userId']],
+    },
+
+    login_throttles: {
+      columns: {
+        id,
+        key: { type: DataTypes.STRING(255), allowNull: false, unique: true },
+        failedCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        lastFailedAt: { type: DataTypes.DATE, allowNull: true },
+        lockedUntil: { type: DataTypes.DATE, allowNull: true },
+        ...timestamps,
+      },
+      indexes: [],
+    },
+
+    rate_limits: {
+      columns: {
+        id,
+        key: { type: DataTypes.STRING(255), allowNull: false, unique: true },
+        state: { type: DataTypes.JSON, allowNull: true },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+      },
+      indexes: [['expiresAt']],
+    },
+
+    two_factor_recovery_codes: {
+      columns: {
+        id,
+        userId: reference('users', 'CASCADE'),
+        codeHash: { type: DataTypes.STRING(64), allowNull: false },
+        usedAt: { type: DataTypes.DATE, allowNull: true },
+        ...timestamps,
+      },
+      indexes: [['userId', 'codeHash']],
+    },
+
+    settings: {
+      columns: {
+        id,
+        key: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+        value: { type: DataTypes.JSON, allowNull: true },
+        ...timestamps,
+      },
+      indexes: [],
+    },
+
+    posts: {
+      columns: {
+        id,
+        title: { type: DataTypes.STRING(200), allowNull: false },
+        content: { type: DataTypes.TEXT, allowNull: false },
+        authorId: reference('users', 'CASCADE'),
+        ...timestamps,
+      },
+      indexes: [['authorId'], ['createdAt']],
+    },
+
+    comments: {
+      columns: {
+        id,
+        postId: reference('posts', 'CASCADE'),
+        // Null once the author's account is gone
+        userId: reference('users', 'SET NULL', true),
+        parentId: reference('comments', 'CASCADE', true),
+        content: { type: DataTypes.TEXT, allowNull: false },
+        editedAt: { type: DataTypes.DATE, allowNull: true },
+        deletedAt: { type: DataTypes.DATE, allowNull: true },
+        ...timestamps,
+      },
+      indexes: [['postId'], ['userId'], ['parentId']],
+    },
+  };
+};
+
+const tableExists = async (queryInterface, table, transaction) => {
+  const tables = await queryInterface.showAllTables({ transaction });
+  return tables.map((entry) => (typeof entry === 'string' ? entry : entry.tableName)).includes(table);
+};
+
+// Sequelize's default index name, which the old sync used too
+const indexName = (table, fields) => `${table}_${fields.map((field) => field.replace(/([A-Z])/g, '_$1').toLowerCase()).join('_')}`;
+
+module.exports = {
+  up: async ({ queryInterface, Sequelize, DataTypes, transaction }) => {
+    const tables = schema(DataTypes, Sequelize);
+
+    for (const table of TABLES) {
+      const { columns, indexes } = tables[table];
+
+      if (!(await tableExists(queryInterface, table, transaction))) {
+        await queryInterface.createTable(table, columns, { transaction });
+      } else {
+        const existing = await queryInterface.describeTable(table, { transaction });
+        for (const [column, definition] of Object.entries(columns)) {
+          if (existing[column]) continue;
+          // unique/references are left to the index step or already exist
+          const { unique, primaryKey, autoIncrement, ...addable } = definition;
+          await queryInterface.addColumn(table, column, addable, { transaction });
+
+          const backfill = BACKFILL[table] || {};
+          if (column in backfill) {
+            await queryInterface.bulkUpdate(table, { [column]: backfill[column] }, {}, { transaction });
+          }
+        }
+      }
+
+      const existingIndexes = (await queryInterface.showIndex(table, { transaction })).map((index) => index.name);
+      for (const fields of indexes) {
+        const name = indexName(table, fields);
+        if (!existingIndexes.includes(name)) {
+          await queryInterface.addIndex(table, fields, { name, transaction });
+        }
+      }
+    }
+  },
+
+  // Irreversible: on an adopted database up() only added columns to
+  // tables that already held data, so dropping them would delete every
+  // account. Restore a backup instead.
+  down: async () => {
+    throw new Error('The baseline migration is irreversible; restore a backup to undo it');
+  },
+};
@@ -0,0 +1,72 @@
+// =====================================================
+// AUDIT EVENTS
+// =====================================================
+// Append-only log of security-relevant events (src/utils/audit.js).
+//
+// actorId/targetId are plain values, not foreign keys: the record of
+// what a user did must outlive the user. A trigger rejects UPDATEs on
+// both dialects; DELETE stays allowed for the retention policy.
+// =====================================================
+
+const TABLE = 'audit_events';
+const APPEND_ONLY_MESSAGE = 'audit_events is append-only';
+
+const INDEXES = [['occurredAt'], ['action', 'occurredAt'], ['actorId', 'occurredAt'], ['targetType', 'targetId']];
+
+const indexName = (fields) => `${TABLE}_${fields.map((field) => field.replace(/([A-Z])/g, '_$1').toLowerCase()).join('_')}`;
+
+module.exports = {
+  up: async ({ queryInterface, Sequelize, DataTypes, transaction }) => {
+    await queryInterface.createTable(
+      TABLE,
+      {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+        occurredAt: { type: DataTypes.DATE, allowNull: false, defaultValue: Sequelize.literal('CURRENT_TIMESTAMP') },
+        action: { type: DataTypes.STRING(64), allowNull: false },
+        outcome: { type: DataTypes.STRING(16), allowNull: false },
+        reason: { type: DataTypes.STRING(64), allowNull: true },
+        actorId: { type: DataTypes.INTEGER, allowNull: true },
+        targetType: { type: DataTypes.STRING(32), allowNull: true },
+        targetId: { type: DataTypes.STRING(64), allowNull: true },
+        ip: { type: DataTypes.STRING(64), allowNull: true },
+        userAgent: { type: DataTypes.STRING(512), allowNull: true },
+        requestId: { type: DataTypes.STRING(128), allowNull: true },
+        metadata: { type: DataTypes.JSON, allowNull: true },
+      },
+      { transaction }
+    );
+
+    for (const fields of INDEXES) {
+      await queryInterface.addIndex(TABLE, fields, { name: indexName(fields), transaction });
+    }
+
+    const { sequelize } = queryInterface;
+    if (sequelize.getDialect() === 'postgres') {
+      await sequelize.query(
+        `CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+         BEGIN RAISE EXCEPTION '${APPEND_ONLY_MESSAGE}'; END;
+         $$ LANGUAGE plpgsql`,
+        { transaction }
+      );
+      await sequelize.query(
+        `CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON "${TABLE}"
+         FOR EACH ROW EXECUTE PROCEDURE audit_events_append_only()`,
+        { transaction }
+      );
+    } else {
+      await sequelize.query(
+        `CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON "${TABLE}"
+         BEGIN SELECT RAISE(ABORT, '${APPEND_ONLY_MESSAGE}'); END`,
+        { transaction }
+      );
+    }
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    // Dropping the table drops its trigger
+    await queryInterface.dropTable(TABLE, { transaction });
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS audit_events_append_only()', { transaction });
+    }
+  },
+};
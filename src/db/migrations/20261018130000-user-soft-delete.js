@@ -0,0 +1,24 @@
+// =====================================================
+// USER SOFT DELETE
+// =====================================================
+// users."deletedAt" for paranoid deletion (src/models/userModel.js):
+// a deactivated account keeps its row, and with it the unique username
+// and email, until it is restored or purged.
+// =====================================================
+
+const TABLE = 'users';
+const INDEX = 'users_deleted_at';
+
+module.exports = {
+  up: async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.addColumn(TABLE, 'deletedAt', { type: DataTypes.DATE, allowNull: true }, { transaction });
+    await queryInterface.addIndex(TABLE, ['deletedAt'], { name: INDEX, transaction });
+  },
+
+  down: async ({ queryInterface, transaction }) => {
+    await queryInterface.removeIndex(TABLE, INDEX, { transaction });
+    // Not removeColumn: on SQLite it rebuilds the table, and dropping the
+    // old users table cascades into every table that references it
+    await queryInterface.sequelize.query(`ALTER TABLE "${TABLE}" DROP COLUMN "deletedAt"`, { transaction });
+  },
+};
@@ -0,0 +1,177 @@
+// src/db/migrator.js
+// =====================================================
+// SCHEMA MIGRATIONS RUNNER
+// =====================================================
+// Replaces sequelize.sync({ alter: true }) at boot, which could silently
+// rewrite or drop columns in production.
+//
+// A migration is a file in src/db/migrations named
+//   YYYYMMDDHHMMSS-description.js
+// exporting:
+//   up({ queryInterface, Sequelize, transaction })   → apply the change
+//   down({ queryInterface, Sequelize, transaction }) → undo it
+//
+// Applied migrations are recorded in the schema_migrations table, which
+// only up/down create; status/pending just read it (a read-only role can
+// inspect the schema) and treat a missing table as "nothing applied".
+// Migrations run in one transaction that first takes a Postgres advisory
+// lock, so two instances booting at once can't run them twice; a failure
+// rolls the whole batch back. Migrations must work on SQLite too (see
+// src/db/dialect.js).
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, DataTypes } = require('sequelize');
+const { isPostgres } = require('./dialect');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const HISTORY_TABLE = 'schema_migrations';
+// Arbitrary app-wide constant; every instance must use the same value
+const ADVISORY_LOCK_KEY = 727001;
+
+// =====================================================
+// LOADING
+// =====================================================
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs
+    .readdirSync(directory)
+    .filter((file) => /^\d{14}-[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { name: file.replace(/\.js$/, ''), ...migration };
+    });
+};
+
+// =====================================================
+// MIGRATOR
+// =====================================================
+const createMigrator = ({ sequelize, directory = MIGRATIONS_DIR, logger = console } = {}) => {
+  const queryInterface = sequelize.getQueryInterface();
+  const migrations = loadMigrations(directory);
+
+  const ensureHistoryTable = async (transaction) => {
+    // createTable is CREATE TABLE IF NOT EXISTS
+    await queryInterface.createTable(
+      HISTORY_TABLE,
+      {
+        name: { type: DataTypes.STRING(255), primaryKey: true },
+        appliedAt: { type: DataTypes.DATE, allowNull: false },
+      },
+      { transaction }
+    );
+  };
+
+  const historyExists = async () => {
+    const tables = await queryInterface.showAllTables();
+    return tables.map((entry) => (typeof entry === 'string' ? entry : entry.tableName)).includes(HISTORY_TABLE);
+  };
+
+  const appliedNames = async (transaction) => {
+    const rows = await sequelize.query(`SELECT "name" FROM "${HISTORY_TABLE}" ORDER BY "name"`, {
+      type: Sequelize.QueryTypes.SELECT,
+      transaction,
+    });
+    return rows.map((row) => row.name);
+  };
+
+  // Runs fn(transaction) while holding the migration lock
+  const withLock = async (fn) =>
+    await sequelize.transaction(async (transaction) => {
+      // SQLite has no advisory locks; its database-wide write lock already
+      // keeps two migrators apart
+      if (isPostgres(sequelize)) {
+        // Released automatically when the transaction ends
+        await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+          replacements: { key: ADVISORY_LOCK_KEY },
+          transaction,
+        });
+      }
+      await ensureHistoryTable(transaction);
+      return await fn(transaction);
+    });
+
+  const context = (transaction) => ({ queryInterface, Sequelize, DataTypes, transaction });
+
+  return {
+    migrations,
+
+    // [{ name, applied, appliedAt }] for every known migration
+    status: async () => {
+      const rows = (await historyExists())
+        ? await sequelize.query(`SELECT "name", "appliedAt" FROM "${HISTORY_TABLE}"`, {
+          type: Sequelize.QueryTypes.SELECT,
+        })
+        : [];
+      const applied = new Map(rows.map((row) => [row.name, row.appliedAt]));
+
+      return migrations.map(({ name }) => ({
+        name,
+        applied: applied.has(name),
+        appliedAt: applied.get(name) || null,
+      }));
+    },
+
+    // Read-only, like status() (the readiness probe and the boot check
+    // call it)
+    pending: async () => {
+      const applied = new Set((await historyExists()) ? await appliedNames() : []);
+      return migrations.filter(({ name }) => !applied.has(name)).map(({ name }) => name);
+    },
+
+    // Applies pending migrations in order (optionally stopping after `to`)
+    up: async ({ to } = {}) =>
+      await withLock(async (transaction) => {
+        const applied = new Set(await appliedNames(transaction));
+        const done = [];
+
+        for (const migration of migrations) {
+          if (applied.has(migration.name)) continue;
+
+          logger.log(`⬆️  Applying ${migration.name}`);
+          await migration.up(context(transaction));
+          await queryInterface.bulkInsert(
+            HISTORY_TABLE,
+            [{ name: migration.name, appliedAt: new Date() }],
+            { transaction }
+          );
+          done.push(migration.name);
+
+          if (to && migration.name === to) break;
+        }
+        return done;
+      }),
+
+    // Reverts the last `steps` applied migrations (or everything after `to`)
+    down: async ({ steps = 1, to } = {}) =>
+      await withLock(async (transaction) => {
+        const applied = await appliedNames(transaction);
+        const byName = new Map(migrations.map((migration) => [migration.name, migration]));
+        const targets = to
+          ? applied.filter((name) => name > to).reverse()
+          : applied.slice(-steps).reverse();
+        const done = [];
+
+        for (const name of targets) {
+          const migration = byName.get(name);
+          if (!migration) {
+            throw new Error(`Cannot roll back ${name}: migration file is missing`);
+          }
+
+          logger.log(`⬇️  Reverting ${name}`);
+          await migration.down(context(transaction));
+          await queryInterface.bulkDelete(HISTORY_TABLE, { name }, { transaction });
+          done.push(name);
+        }
+        return done;
+      }),
+  };
+};
+
+module.exports = { MIGRATIONS_DIR, HISTORY_TABLE, loadMigrations, createMigrator };
@@ -0,0 +1,37 @@
+// src/db/pruneAuditEvents.js
+// =====================================================
+// AUDIT RETENTION CLI
+// =====================================================
+// npm run audit:prune  → delete audit events older than
+//                        AUDIT_RETENTION_DAYS (src/config/audit.js)
+//
+// Meant for a daily cron job; writes also prune now and then, but a
+// quiet instance may go a long time between writes.
+// =====================================================
+
+require('dotenv').config();
+
+const db = require('../models');
+const audit = require('../utils/audit');
+const { loadAuditConfig } = require('../config/audit');
+
+const run = async () => {
+  const { retentionDays } = loadAuditConfig();
+
+  try {
+    if (!retentionDays) {
+      console.log('ℹ️  AUDIT_RETENTION_DAYS=0, audit events are kept forever');
+      return;
+    }
+
+    const deleted = await audit.prune({ retentionDays });
+    console.log(`✅ Deleted ${deleted} audit event(s) older than ${retentionDays} day(s)`);
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Audit prune failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// src/db/purgeDeactivatedUsers.js
+// =====================================================
+// DEACTIVATED ACCOUNTS CLI
+// =====================================================
+// npm run users:purge  → permanently delete accounts deactivated more
+//                        than ACCOUNT_DEACTIVATION_GRACE_DAYS ago
+//                        (src/config/accounts.js)
+//
+// Meant for a daily cron job, next to `npm run audit:prune`. Each purge
+// is recorded in the audit log.
+// =====================================================
+
+require('dotenv').config();
+
+const db = require('../models');
+const accounts = require('../utils/accounts');
+const { loadAccountConfig } = require('../config/accounts');
+
+const run = async () => {
+  const { graceDays } = loadAccountConfig();
+
+  try {
+    const purged = await accounts.purgeExpired({ graceDays });
+    console.log(`✅ Purged ${purged} account(s) deactivated more than ${graceDays} day(s) ago`);
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Account purge failed:', error.message);
+  process.exit(1);
+});
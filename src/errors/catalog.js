@@ -0,0 +1,123 @@
+// src/errors/catalog.js
+// =====================================================
+// ERROR CODE CATALOG
+// =====================================================
+// Every error the API returns carries one of these codes (see
+// src/errors/problem.js for the response shape). Codes are part of the
+// public contract: clients switch on `code`, never on `detail`, which is
+// free text and may change. Never rename or reuse a code; add a new one
+// and retire the old one instead.
+//
+// Each entry fixes the HTTP status and the short, human-readable title
+// sent with it. The full list is also served at GET /problems.
+// =====================================================
+
+const ERROR_CATALOG = {
+  // =====================================================
+  // REQUEST
+  // =====================================================
+  // Params, query or body failed the route schema; see `errors`
+  VALIDATION_FAILED: { status: 400, title: 'Request validation failed' },
+  // Body is not valid JSON / form data
+  REQUEST_BODY_INVALID: { status: 400, title: 'Request body could not be parsed' },
+  REQUEST_BODY_TOO_LARGE: { status: 413, title: 'Request body is too large' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'Route not found' },
+  // Preflight from an origin outside CORS_ORIGINS
+  CORS_ORIGIN_NOT_ALLOWED: { status: 403, title: 'Origin not allowed' },
+  // Per-route rate limit hit; see `retryAfter`
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  // Readiness probe failed (database down or migrations pending); see `checks`
+  SERVICE_NOT_READY: { status: 503, title: 'Service not ready' },
+
+  // =====================================================
+  // AUTHENTICATION (access tokens)
+  // =====================================================
+  AUTH_TOKEN_MISSING: { status: 401, title: 'Authentication required' },
+  AUTH_TOKEN_INVALID: { status: 401, title: 'Invalid access token' },
+  AUTH_TOKEN_EXPIRED: { status: 401, title: 'Access token has expired' },
+  // The session behind the token was logged out or revoked
+  AUTH_SESSION_REVOKED: { status: 401, title: 'Session has been revoked' },
+  // Password changed or reset since the token was issued
+  AUTH_TOKEN_SUPERSEDED: { status: 401, title: 'Access token is no longer valid' },
+  // The token's user no longer exists
+  AUTH_USER_NOT_FOUND: { status: 401, title: 'Token user not found' },
+  // The user's role requires 2FA and it is not set up yet
+  AUTH_TWO_FACTOR_SETUP_REQUIRED: { status: 403, title: 'Two-factor authentication setup required' },
+
+  // =====================================================
+  // AUTHORIZATION
+  // =====================================================
+  AUTH_ROLE_REQUIRED: { status: 403, title: 'Insufficient role' },
+  // Only the owner (or a privileged role) may act on this resource
+  AUTH_NOT_OWNER: { status: 403, title: 'Not the owner of this resource' },
+
+  // =====================================================
+  // LOGIN + CREDENTIALS
+  // =====================================================
+  AUTH_INVALID_CREDENTIALS: { status: 401, title: 'Invalid email or password' },
+  AUTH_EMAIL_NOT_VERIFIED: { status: 403, title: 'Email address not verified' },
+  // Right password, but the account is deactivated; an admin can restore it
+  AUTH_ACCOUNT_DEACTIVATED: { status: 403, title: 'Account is deactivated' },
+  // Too many failed logins from this IP or for this account; see `retryAfter`
+  AUTH_LOGIN_THROTTLED: { status: 429, title: 'Too many failed login attempts' },
+  // Account locked after repeated failures; see `retryAfter`
+  AUTH_ACCOUNT_LOCKED: { status: 423, title: 'Account temporarily locked' },
+  AUTH_CURRENT_PASSWORD_INCORRECT: { status: 401, title: 'Current password is incorrect' },
+  AUTH_PASSWORD_RESET_TOKEN_INVALID: { status: 400, title: 'Invalid or expired password reset token' },
+
+  // =====================================================
+  // REFRESH TOKENS
+  // =====================================================
+  AUTH_REFRESH_TOKEN_INVALID: { status: 401, title: 'Invalid refresh token' },
+  // A rotated token was presented again; the whole session family is revoked
+  AUTH_REFRESH_TOKEN_REUSED: { status: 401, title: 'Refresh token reuse detected' },
+  AUTH_REFRESH_TOKEN_EXPIRED: { status: 401, title: 'Refresh token has expired' },
+
+  // =====================================================
+  // EMAIL VERIFICATION
+  // =====================================================
+  EMAIL_VERIFICATION_LINK_INVALID: { status: 400, title: 'Invalid verification link' },
+  EMAIL_VERIFICATION_LINK_EXPIRED: { status: 400, title: 'Verification link has expired' },
+  // A newer link was sent, or this one was already used
+  EMAIL_VERIFICATION_LINK_USED: { status: 400, title: 'Verification link is no longer valid' },
+  // Resend cooldown or daily cap; see `retryAfter`
+  EMAIL_VERIFICATION_COOLDOWN: { status: 429, title: 'Too many verification emails requested' },
+
+  // =====================================================
+  // TWO-FACTOR AUTHENTICATION
+  // =====================================================
+  TWO_FACTOR_ALREADY_ENABLED: { status: 409, title: 'Two-factor authentication is already enabled' },
+  TWO_FACTOR_NOT_ENABLED: { status: 400, title: 'Two-factor authentication is not enabled' },
+  TWO_FACTOR_SETUP_NOT_STARTED: { status: 400, title: 'Two-factor setup has not been started' },
+  // Wrong code while confirming setup (the user is already signed in)
+  TWO_FACTOR_SETUP_CODE_INVALID: { status: 400, title: 'Invalid authentication code' },
+  // Wrong TOTP / recovery code (or password) where 2FA proves identity
+  TWO_FACTOR_CODE_INVALID: { status: 401, title: 'Invalid authentication code' },
+  // The user's role requires 2FA, so it cannot be disabled
+  TWO_FACTOR_REQUIRED_BY_POLICY: { status: 403, title: 'Two-factor authentication is required for this role' },
+  TWO_FACTOR_CHALLENGE_INVALID: { status: 401, title: 'Invalid login challenge' },
+  TWO_FACTOR_CHALLENGE_EXPIRED: { status: 401, title: 'Login challenge has expired' },
+
+  // =====================================================
+  // USERS
+  // =====================================================
+  USER_NOT_FOUND: { status: 404, title: 'User not found' },
+  USER_EMAIL_TAKEN: { status: 409, title: 'Email is already registered' },
+  USER_USERNAME_TAKEN: { status: 409, title: 'Username is already taken' },
+  USER_CANNOT_CHANGE_OWN_ROLE: { status: 400, title: 'You cannot change your own role' },
+  // Restore of an account that is active (or was purged)
+  USER_NOT_DEACTIVATED: { status: 404, title: 'No deactivated user with this id' },
+
+  // =====================================================
+  // POSTS + COMMENTS
+  // =====================================================
+  POST_NOT_FOUND: { status: 404, title: 'Post not found' },
+  COMMENT_NOT_FOUND: { status: 404, title: 'Comment not found' },
+  COMMENT_PARENT_MISMATCH: { status: 400, title: 'Parent comment does not belong to this post' },
+  COMMENT_PARENT_DELETED: { status: 400, title: 'Cannot reply to a deleted comment' },
+  COMMENT_DELETED: { status: 400, title: 'Deleted comments cannot be edited' },
+  COMMENT_EDIT_WINDOW_CLOSED: { status: 403, title: 'Comment edit window has closed' },
+};
+
+module.exports = { ERROR_CATALOG };
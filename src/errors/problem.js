@@ -0,0 +1,98 @@
+// src/errors/problem.js
+// =====================================================
+// PROBLEM DETAILS (RFC 7807)
+// =====================================================
+// Every error response is application/problem+json:
+//
+//   HTTP/1.1 409 Conflict
+//   Content-Type: application/problem+json; charset=utf-8
+//
+//   {
+//     "type": "/problems/user-email-taken",
+//     "title": "Email is already registered",
+//     "status": 409,
+//     "detail": "Email is already registered",
+//     "instance": "/api/users/register",
+//     "code": "USER_EMAIL_TAKEN"
+//   }
+//
+// title and status come from the catalog (src/errors/catalog.js); detail
+// explains this occurrence. Extra members are problem-specific
+// extensions, e.g. `errors` on VALIDATION_FAILED or `retryAfter` on 429s.
+//
+// `type` resolves against the API's own URL (GET /problems/:slug
+// documents it) unless PROBLEM_TYPE_BASE_URL points somewhere else.
+// =====================================================
+
+const { ERROR_CATALOG } = require('./catalog');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+const PROBLEM_TYPE_BASE_URL = process.env.PROBLEM_TYPE_BASE_URL || '/problems/';
+
+// USER_EMAIL_TAKEN ↔ user-email-taken
+const codeToSlug = (code) => code.toLowerCase().replace(/_/g, '-');
+const slugToCode = (slug) => slug.toUpperCase().replace(/-/g, '_');
+
+const problemType = (code) => `${PROBLEM_TYPE_BASE_URL}${codeToSlug(code)}`;
+
+// Thrown from anywhere below a route; the global error handler turns it
+// into a problem response
+class ApiError extends Error {
+  constructor(code, detail, extensions = {}) {
+    const entry = ERROR_CATALOG[code];
+    if (!entry) {
+      throw new Error(`Unknown error code: ${code}`);
+    }
+    super(detail || entry.title);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = entry.status;
+    this.extensions = extensions;
+  }
+}
+
+const buildProblem = (code, { detail, instance, ...extensions } = {}) => {
+  const entry = ERROR_CATALOG[code];
+  if (!entry) {
+    throw new Error(`Unknown error code: ${code}`);
+  }
+
+  return {
+    type: problemType(code),
+    title: entry.title,
+    status: entry.status,
+    detail: detail || entry.title,
+    ...(instance && { instance }),
+    code,
+    ...extensions,
+  };
+};
+
+const sendProblem = (res, code, detail, extensions = {}) => {
+  const problem = buildProblem(code, {
+    detail,
+    instance: res.req && res.req.originalUrl,
+    ...extensions,
+  });
+
+  return res.status(problem.status).set('Content-Type', PROBLEM_CONTENT_TYPE).json(problem);
+};
+
+// Catalog entries as served by GET /problems
+const describeProblems = () =>
+  Object.entries(ERROR_CATALOG).map(([code, { status, title }]) => ({
+    code,
+    type: problemType(code),
+    status,
+    title,
+  }));
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  buildProblem,
+  sendProblem,
+  describeProblems,
+  codeToSlug,
+  slugToCode,
+};
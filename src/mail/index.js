@@ -0,0 +1,71 @@
+// src/mail/index.js
+// =====================================================
+// MAILER - PLUGGABLE TRANSPORT
+// =====================================================
+// Every transport implements the same tiny interface:
+//
+//   transport.send({ from, to, subject, text, html }) → Promise<{ messageId }>
+//
+// MAIL_DRIVER picks one:
+//   smtp    → real delivery (production)
+//   console → log the links in the message (default, local development)
+//   file    → JSON files in MAIL_FILE_DIR (tests)
+//
+// The console driver delivers nothing, so it is refused at startup when
+// NODE_ENV=production (see checkMailConfig).
+// =====================================================
+
+require('dotenv').config();
+const { createConsoleTransport } = require('./transports/consoleTransport');
+const { createFileTransport } = require('./transports/fileTransport');
+const { createSmtpTransport } = require('./transports/smtpTransport');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'User Management <no-reply@localhost>';
+
+const createTransport = (driver = process.env.MAIL_DRIVER || 'console') => {
+  switch (driver) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR ? { directory: process.env.MAIL_FILE_DIR } : {});
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER "${driver}" (expected smtp, console or file)`);
+  }
+};
+
+// Called by server.js before listening: production must actually deliver
+// mail, otherwise every link lands in the logs and no new user can verify
+const checkMailConfig = (env = process.env) => {
+  const driver = env.MAIL_DRIVER || 'console';
+
+  if (env.NODE_ENV === 'production' && driver === 'console') {
+    throw new Error('MAIL_DRIVER=console is not allowed when NODE_ENV=production; set MAIL_DRIVER=smtp and SMTP_*');
+  }
+
+  return driver;
+};
+
+// Created lazily so a misconfigured SMTP driver only fails when mail is sent
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Lets tests (or custom setups) plug in their own transport
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async (message) => await getTransport().send({ from: MAIL_FROM, ...message });
+
+module.exports = { checkMailConfig, createTransport, getTransport, setTransport, sendMail };
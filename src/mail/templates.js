@@ -0,0 +1,54 @@
+// src/mail/templates.js
+// =====================================================
+// EMAIL TEMPLATES
+// =====================================================
+// Each template returns { subject, text, html } ready for sendMail().
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const verificationEmail = ({ username, link, expiresIn }) => ({
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${username},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    link,
+    '',
+    `The link expires in ${expiresIn}. If you did not create an account, you can ignore this email.`,
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>Please confirm your email address by clicking the link below:</p>
+    <p><a href="${escapeHtml(link)}">Verify my email</a></p>
+    <p>The link expires in ${escapeHtml(expiresIn)}. If you did not create an account, you can ignore this email.</p>
+  `,
+});
+
+const passwordResetEmail = ({ username, link, token, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${username},`,
+    '',
+    'We received a request to reset your password. Open this link to choose a new one:',
+    link,
+    '',
+    `Or send this code to POST /api/users/reset-password: ${token}`,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request a reset, you can ignore this email; your password will not change.',
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(username)},</p>
+    <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(link)}">Reset my password</a></p>
+    <p>The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.</p>
+    <p>If you did not request a reset, you can ignore this email; your password will not change.</p>
+  `,
+});
+
+module.exports = { escapeHtml, verificationEmail, passwordResetEmail };
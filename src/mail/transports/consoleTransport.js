@@ -0,0 +1,38 @@
+// src/mail/transports/consoleTransport.js
+// =====================================================
+// CONSOLE MAIL TRANSPORT
+// =====================================================
+// Logs every message through the structured logger instead of sending
+// it. Only the links in the body are logged; the body itself can hold a
+// bare reset code. Outside production the links are logged in full so a
+// fresh local setup can follow verification and reset links; with
+// NODE_ENV=production (where checkMailConfig refuses this driver anyway)
+// their secret query parameters (?token=...) are masked like any other
+// logged URL.
+
+const crypto = require('crypto');
+const defaultLogger = require('../../utils/logger');
+
+const createConsoleTransport = ({
+  logger = defaultLogger,
+  revealLinks = process.env.NODE_ENV !== 'production',
+} = {}) => ({
+  name: 'console',
+
+  send: async ({ from, to, subject, text }) => {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    const links = String(text || '').match(/https?:\/\/\S+/g) || [];
+
+    logger.info('Mail not sent (console transport)', {
+      messageId,
+      to,
+      from,
+      subject,
+      links: revealLinks ? links : links.map(defaultLogger.redactUrl),
+    });
+
+    return { messageId };
+  },
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,34 @@
+// src/mail/transports/fileTransport.js
+// =====================================================
+// FILE MAIL TRANSPORT
+// =====================================================
+// Writes each message as a JSON file into a local directory
+// (MAIL_FILE_DIR, default ./tmp/mail). Tests can read the newest file
+// to grab verification/reset links without a real mail server.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const createFileTransport = ({ directory = path.join(process.cwd(), 'tmp', 'mail') } = {}) => ({
+  name: 'file',
+  directory,
+
+  send: async ({ from, to, subject, text, html }) => {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@file>`;
+
+    await fs.mkdir(directory, { recursive: true });
+
+    // Timestamp prefix keeps files sorted in send order
+    const fileName = `${Date.now()}-${id}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ messageId, from, to, subject, text, html, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  },
+});
+
+module.exports = { createFileTransport };
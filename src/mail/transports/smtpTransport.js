@@ -0,0 +1,32 @@
+// src/mail/transports/smtpTransport.js
+// =====================================================
+// SMTP MAIL TRANSPORT
+// =====================================================
+// Real delivery through any SMTP server (SendGrid, Mailgun, SES, ...).
+// Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS.
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass } = {}) => {
+  if (!host) {
+    throw new Error('SMTP mail driver requires SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async ({ from, to, subject, text, html }) => {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = { createSmtpTransport };
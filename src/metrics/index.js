@@ -0,0 +1,142 @@
+// src/metrics/index.js
+// =====================================================
+// APPLICATION METRICS
+// =====================================================
+// The metrics served at GET /metrics (see src/metrics/registry.js for
+// the format). Record from anywhere:
+//
+//   const metrics = require('../metrics');
+//   metrics.loginAttempts.inc({ method: 'password', result: 'success' });
+//
+//   http_requests_total{method,route,status}        → every response
+//   http_request_duration_seconds{method,route}     → latency histogram
+//   auth_login_attempts_total{method,result}        → password / 2FA logins
+//   csp_violations_total{directive,disposition}     → reports to /csp-report
+//   db_pool_connections{state}                      → in use / idle / waiting
+//   db_pool_max_connections                          → configured pool size
+//   process_uptime_seconds, process_resident_memory_bytes,
+//   nodejs_heap_used_bytes                          → process health
+//
+// `route` is the Express route pattern (/api/users/:id), so ids never
+// become labels. Requests that never reached a route (404s, and those a
+// router-level middleware such as the API rate limiter answered) are
+// counted as "unmatched".
+// =====================================================
+
+const db = require('../models');
+const { createRegistry } = require('./registry');
+
+const registry = createRegistry();
+
+const LOGIN_RESULTS = {
+  SUCCESS: 'success',
+  // Wrong password, unknown email, wrong 2FA code
+  FAILURE: 'failure',
+  // Refused before checking credentials (throttled or locked)
+  BLOCKED: 'blocked',
+  // Password accepted but the email address is not verified yet
+  EMAIL_UNVERIFIED: 'email_unverified',
+  // Password accepted but the account is deactivated
+  ACCOUNT_DEACTIVATED: 'account_deactivated',
+  // Password accepted; a 2FA code is still needed
+  TWO_FACTOR_REQUIRED: 'two_factor_required',
+};
+
+// =====================================================
+// HTTP
+// =====================================================
+const httpRequests = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP responses sent, by route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving a request to finishing its response',
+  labelNames: ['method', 'route'],
+});
+
+// =====================================================
+// AUTHENTICATION
+// =====================================================
+const loginAttempts = registry.counter({
+  name: 'auth_login_attempts_total',
+  help: 'Login attempts by step (password or two_factor) and outcome',
+  labelNames: ['method', 'result'],
+});
+
+// =====================================================
+// CONTENT SECURITY POLICY
+// =====================================================
+const cspViolations = registry.counter({
+  name: 'csp_violations_total',
+  help: 'CSP violation reports received, by directive and enforce/report',
+  labelNames: ['directive', 'disposition'],
+});
+
+// =====================================================
+// DATABASE POOL (read at scrape time)
+// =====================================================
+// sequelize-pool; undefined until the first connection is requested
+const currentPool = () => {
+  try {
+    return db.sequelize.connectionManager.pool;
+  } catch {
+    return undefined;
+  }
+};
+
+registry.gauge({
+  name: 'db_pool_connections',
+  help: 'Database pool connections by state',
+  labelNames: ['state'],
+  collect: () => {
+    const pool = currentPool();
+    if (!pool) return [];
+    return [
+      { labels: { state: 'in_use' }, value: pool.using },
+      { labels: { state: 'idle' }, value: pool.available },
+      { labels: { state: 'waiting' }, value: pool.waiting },
+    ];
+  },
+});
+
+registry.gauge({
+  name: 'db_pool_max_connections',
+  help: 'Maximum size of the database pool',
+  collect: () => {
+    const pool = currentPool();
+    return pool ? [{ labels: {}, value: pool.maxSize }] : [];
+  },
+});
+
+// =====================================================
+// PROCESS
+// =====================================================
+registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: () => [{ labels: {}, value: Math.round(process.uptime()) }],
+});
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident set size of the process',
+  collect: () => [{ labels: {}, value: process.memoryUsage().rss }],
+});
+
+registry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use',
+  collect: () => [{ labels: {}, value: process.memoryUsage().heapUsed }],
+});
+
+module.exports = {
+  registry,
+  LOGIN_RESULTS,
+  httpRequests,
+  httpRequestDuration,
+  loginAttempts,
+  cspViolations,
+};
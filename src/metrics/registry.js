@@ -0,0 +1,199 @@
+// src/metrics/registry.js
+// =====================================================
+// PROMETHEUS METRICS REGISTRY
+// =====================================================
+// A small in-process registry that renders the Prometheus text
+// exposition format (version 0.0.4):
+//
+//   const registry = createRegistry();
+//   const logins = registry.counter({
+//     name: 'auth_logins_total',
+//     help: 'Login attempts',
+//     labelNames: ['result'],
+//   });
+//   logins.inc({ result: 'success' });
+//   registry.render(); // → '# HELP auth_logins_total Login attempts\n...'
+//
+// Metric types:
+//   counter   → inc(labels, value = 1); only goes up
+//   gauge     → set(labels, value), or collect() → [{ labels, value }]
+//               to read the value at scrape time
+//   histogram → observe(labels, value) into cumulative buckets
+//
+// Every label series is kept in memory, so only use labels with a small,
+// fixed set of values (route patterns, never raw URLs or user ids).
+// =====================================================
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits HTTP handlers from ~5ms to ~10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// =====================================================
+// FORMATTING
+// =====================================================
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const sample = (name, labels, value) => `${name}${formatLabels(labels)} ${formatValue(value)}`;
+
+// =====================================================
+// SERIES
+// =====================================================
+// Keeps one entry per label combination, in a stable order
+const createSeries = (name, labelNames) => {
+  const series = new Map();
+
+  const normalize = (labels = {}) => {
+    Object.keys(labels).forEach((label) => {
+      if (!labelNames.includes(label)) {
+        throw new Error(`Metric ${name} has no label "${label}"`);
+      }
+    });
+    return Object.fromEntries(labelNames.map((label) => [label, labels[label] === undefined ? '' : String(labels[label])]));
+  };
+
+  return {
+    get: (labels, create) => {
+      const normalized = normalize(labels);
+      const key = JSON.stringify(labelNames.map((label) => normalized[label]));
+      if (!series.has(key)) {
+        series.set(key, { labels: normalized, ...create() });
+      }
+      return series.get(key);
+    },
+    entries: () => [...series.values()],
+    clear: () => series.clear(),
+  };
+};
+
+const checkDefinition = ({ name, help, labelNames = [] }) => {
+  if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name "${name}"`);
+  if (!help) throw new Error(`Metric ${name} needs help text`);
+  labelNames.forEach((label) => {
+    if (!LABEL_NAME.test(label) || label === 'le') throw new Error(`Invalid label name "${label}" on ${name}`);
+  });
+};
+
+// =====================================================
+// METRIC TYPES
+// =====================================================
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries(name, labelNames);
+
+  return {
+    name,
+    inc: (labels, value = 1) => {
+      if (value < 0) throw new Error(`Counter ${name} cannot decrease`);
+      series.get(labels, () => ({ value: 0 })).value += value;
+    },
+    get: (labels) => series.get(labels, () => ({ value: 0 })).value,
+    reset: () => series.clear(),
+    render: () => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} counter`,
+      ...series.entries().map((entry) => sample(name, entry.labels, entry.value)),
+    ],
+  };
+};
+
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+  const series = createSeries(name, labelNames);
+
+  return {
+    name,
+    set: (labels, value) => {
+      series.get(labels, () => ({ value: 0 })).value = value;
+    },
+    reset: () => series.clear(),
+    render: () => {
+      if (collect) {
+        series.clear();
+        collect().forEach(({ labels, value }) => {
+          series.get(labels, () => ({ value: 0 })).value = value;
+        });
+      }
+
+      return [
+        `# HELP ${name} ${escapeHelp(help)}`,
+        `# TYPE ${name} gauge`,
+        ...series.entries().map((entry) => sample(name, entry.labels, entry.value)),
+      ];
+    },
+  };
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = createSeries(name, labelNames);
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const empty = () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 });
+
+  return {
+    name,
+    buckets: bounds,
+    observe: (labels, value) => {
+      const entry = series.get(labels, empty);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    reset: () => series.clear(),
+    render: () => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} histogram`,
+      ...series.entries().flatMap((entry) => [
+        ...bounds.map((bound, index) => sample(`${name}_bucket`, { ...entry.labels, le: bound }, entry.counts[index])),
+        sample(`${name}_bucket`, { ...entry.labels, le: '+Inf' }, entry.count),
+        sample(`${name}_sum`, entry.labels, entry.sum),
+        sample(`${name}_count`, entry.labels, entry.count),
+      ]),
+    ],
+  };
+};
+
+// =====================================================
+// REGISTRY
+// =====================================================
+const createRegistry = () => {
+  const metrics = new Map();
+
+  const register = (factory) => (definition) => {
+    checkDefinition(definition);
+    if (metrics.has(definition.name)) {
+      throw new Error(`Metric ${definition.name} is already registered`);
+    }
+    const metric = factory(definition);
+    metrics.set(definition.name, metric);
+    return metric;
+  };
+
+  return {
+    contentType: CONTENT_TYPE,
+    counter: register(createCounter),
+    gauge: register(createGauge),
+    histogram: register(createHistogram),
+    get: (name) => metrics.get(name),
+    reset: () => metrics.forEach((metric) => metric.reset()),
+    render: () => `${[...metrics.values()].flatMap((metric) => metric.render()).join('\n')}\n`,
+  };
+};
+
+module.exports = { createRegistry, DEFAULT_BUCKETS, CONTENT_TYPE };
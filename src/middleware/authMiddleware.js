@@ -3,30 +3,85 @@
 // AUTHENTICATION MIDDLEWARE
 // =====================================================
 
-const jwt = require('jsonwebtoken');
-require('dotenv').config();
-const { UserModel } = require('../models/userModel'); // ✅ FIXED IMPORT
+const db = require('../models');
+const { verifyAccessToken } = require('../utils/tokens');
+const { getRequiredRoles } = require('../utils/twoFactorPolicy');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+const audit = require('../utils/audit');
+
+// Refusals with an actor (whoever the token named, when it could be
+// decoded, or the logged-in user) are audited (auth.access_denied,
+// reason = problem code) before the problem response goes out.
+// Anonymous ones (missing, malformed or expired token) only go to the
+// log: anyone can send those, and audit_events is append-only.
+const deny = async (req, res, code, detail, actorId = req.user ? req.user.userId : null) => {
+  const metadata = { method: req.method, path: req.originalUrl && logger.redactUrl(req.originalUrl) };
+
+  if (actorId === null || actorId === undefined) {
+    logger.info('Access denied', { reason: code, ...metadata });
+  } else {
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.ACCESS_DENIED,
+      outcome: audit.AUDIT_OUTCOMES.DENIED,
+      reason: code,
+      actorId,
+      metadata,
+    });
+  }
+  return sendProblem(res, code, detail);
+};
 
 // =====================================================
 // AUTHENTICATE TOKEN
 // =====================================================
-const authenticateToken = async (req, res, next) => {
+// authenticate() builds the middleware; authenticateToken is the default.
+// Options:
+//   allowMissingTwoFactor → let users whose role requires 2FA through
+//                           even though they haven't enrolled yet (only
+//                           the 2FA setup routes use this)
+// .securityScheme names the OpenAPI scheme (src/openapi) the route needs.
+const authenticate = ({ allowMissingTwoFactor = false } = {}) => Object.assign(async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
+    return deny(req, res, 'AUTH_TOKEN_MISSING', 'Access denied. No token provided.');
   }
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was logged out or revoked (sid = token family)
+    if (!decoded.sid || !(await db.RefreshTokenModel.isSessionActive(decoded.sid))) {
+      return deny(req, res, 'AUTH_SESSION_REVOKED', 'Session has been revoked. Please login again.', decoded.userId);
+    }
 
     // Verify user still exists in DB
-    const user = await UserModel.findUserById(decoded.userId); // ✅ FIXED CALL
+    const user = await db.UserModel.findUserForAuth(decoded.userId); // ✅ FIXED CALL
 
     if (!user) {
-      return res.status(401).json({ error: 'User not found. Token invalid.' });
+      return deny(req, res, 'AUTH_USER_NOT_FOUND', 'User not found. Token invalid.', decoded.userId);
+    }
+
+    // Password changed (or reset) since this token was issued
+    if (decoded.tv !== user.tokenVersion) {
+      return deny(req, res, 'AUTH_TOKEN_SUPERSEDED', 'Token is no longer valid. Please login again.', user.id);
+    }
+
+    // Admins can require 2FA per role; until enrolled, only setup is allowed
+    if (!allowMissingTwoFactor && !user.twoFactorEnabled) {
+      const requiredRoles = await getRequiredRoles();
+      if (requiredRoles.includes(user.role)) {
+        return deny(
+          req,
+          res,
+          'AUTH_TWO_FACTOR_SETUP_REQUIRED',
+          'Two-factor authentication is required for your role. Set it up at POST /api/users/2fa/setup.',
+          user.id
+        );
+      }
     }
 
     // Attach user info to request
@@ -34,6 +89,8 @@ const authenticateToken = async (req, res, next) => {
       userId: user.id,
       email: user.email,
       username: user.username,
+      role: user.role,
+      sessionId: decoded.sid,
     };
 
     // Continue to next middleware or controller
@@ -41,35 +98,57 @@ const authenticateToken = async (req, res, next) => {
 
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+      return deny(req, res, 'AUTH_TOKEN_INVALID', 'Invalid token', null);
     }
 
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token has expired. Please login again.' });
+      return deny(req, res, 'AUTH_TOKEN_EXPIRED', 'Token has expired. Please login again.', null);
     }
 
-    console.error('Authentication error:', error);
-    return res.status(500).json({ error: 'Server error during authentication' });
+    logger.error('Authentication error', { err: error });
+    return sendProblem(res, 'INTERNAL_ERROR', 'Server error during authentication');
   }
-};
+}, { securityScheme: 'bearerAuth' });
+
+const authenticateToken = authenticate();
 
 // =====================================================
-// ROLE-BASED AUTHORIZATION (OPTIONAL)
+// ROLE-BASED AUTHORIZATION
 // =====================================================
+// Must run after authenticateToken, which loads the role from the DB
+// (not from the token) so promotions/demotions apply immediately.
 const authorizeRoles = (...allowedRoles) => {
-  return (req, res, next) => {
+  return Object.assign((req, res, next) => {
     if (!req.user || !req.user.role) {
-      return res.status(403).json({ error: 'No role assigned to user' });
+      return deny(req, res, 'AUTH_ROLE_REQUIRED', 'No role assigned to user');
     }
 
     if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: `Access denied. Requires one of these roles: ${allowedRoles.join(', ')}`,
-      });
+      return deny(req, res, 'AUTH_ROLE_REQUIRED', `Access denied. Requires one of these roles: ${allowedRoles.join(', ')}`);
     }
 
     next();
-  };
+  }, { roles: allowedRoles });
+};
+
+// =====================================================
+// OWNERSHIP AUTHORIZATION
+// =====================================================
+// Lets a user act on their own account (req.params.id) while still
+// allowing the given roles to act on anyone's.
+const authorizeSelfOrRoles = (...allowedRoles) => {
+  return Object.assign((req, res, next) => {
+    if (!req.user) {
+      return deny(req, res, 'AUTH_TOKEN_MISSING', 'Access denied. No token provided.');
+    }
+
+    const isSelf = String(req.user.userId) === String(req.params.id);
+    if (isSelf || allowedRoles.includes(req.user.role)) {
+      return next();
+    }
+
+    return deny(req, res, 'AUTH_NOT_OWNER', 'Access denied. You can only modify your own account.');
+  }, { roles: allowedRoles, allowsSelf: true });
 };
 
-module.exports = { authenticateToken, authorizeRoles };
+module.exports = { authenticate, authenticateToken, authorizeRoles, authorizeSelfOrRoles };
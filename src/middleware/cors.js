@@ -0,0 +1,92 @@
+// src/middleware/cors.js
+// =====================================================
+// CORS MIDDLEWARE
+// =====================================================
+// Usage (options: see src/config/cors.js):
+//
+//   app.use(cors(settings.cors));
+//
+//   no Origin header      → not a CORS request; passed through untouched
+//   allowed origin        → Access-Control-Allow-Origin echoes it (or '*'
+//                           when any origin is allowed without credentials)
+//   unlisted origin       → no CORS headers, so the browser blocks the
+//                           response; preflights are refused with 403
+//   preflight (OPTIONS +  → answered here with 204; never reaches routes
+//   Access-Control-Request-Method)
+//
+// Whenever the answer depends on the Origin, responses carry
+// Vary: Origin so shared caches don't hand one origin's headers to
+// another.
+// =====================================================
+
+const { DEFAULT_CORS, checkCorsConfig, normalizeOrigin } = require('../config/cors');
+const { sendProblem } = require('../errors/problem');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// https://*.example.com → one or more labels in front of example.com
+const compileOrigin = (entry) => {
+  if (!entry.includes('*.')) return (origin) => origin === entry;
+
+  const [scheme, host] = entry.split('*.');
+  const pattern = new RegExp(`^${escapeRegExp(scheme)}([a-z0-9-]+\\.)+${escapeRegExp(host)}$`);
+  return (origin) => pattern.test(origin);
+};
+
+const appendVary = (res, field) => {
+  const current = res.get('Vary');
+  if (!current) return res.set('Vary', field);
+  const fields = current.split(',').map((value) => value.trim().toLowerCase());
+  if (!fields.includes('*') && !fields.includes(field.toLowerCase())) res.set('Vary', `${current}, ${field}`);
+};
+
+const cors = (options = {}) => {
+  const config = checkCorsConfig({
+    ...DEFAULT_CORS,
+    ...options,
+    origins: (options.origins || DEFAULT_CORS.origins).map(normalizeOrigin),
+  });
+
+  const anyOrigin = config.origins.includes('*');
+  const matchers = config.origins.filter((origin) => origin !== '*').map(compileOrigin);
+  const isAllowed = (origin) => anyOrigin || matchers.some((matches) => matches(origin.toLowerCase()));
+
+  // '*' is only usable (and cacheable without Vary) when nothing depends
+  // on who is asking
+  const echoOrigin = !anyOrigin || config.credentials;
+
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    const isPreflight = req.method === 'OPTIONS' && req.get('Access-Control-Request-Method') !== undefined;
+
+    if (echoOrigin) appendVary(res, 'Origin');
+    if (isPreflight) {
+      appendVary(res, 'Access-Control-Request-Method');
+      appendVary(res, 'Access-Control-Request-Headers');
+    }
+
+    if (!origin) return next();
+
+    if (!isAllowed(origin)) {
+      if (isPreflight) {
+        return sendProblem(res, 'CORS_ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed to call this API`);
+      }
+      return next();
+    }
+
+    res.set('Access-Control-Allow-Origin', echoOrigin ? origin : '*');
+    if (config.credentials) res.set('Access-Control-Allow-Credentials', 'true');
+
+    if (!isPreflight) {
+      if (config.exposedHeaders.length) res.set('Access-Control-Expose-Headers', config.exposedHeaders.join(', '));
+      return next();
+    }
+
+    res.set('Access-Control-Allow-Methods', config.methods.join(', '));
+    if (config.allowedHeaders.length) res.set('Access-Control-Allow-Headers', config.allowedHeaders.join(', '));
+    res.set('Access-Control-Max-Age', String(config.maxAge));
+    res.status(204).end();
+  };
+};
+
+module.exports = { cors };
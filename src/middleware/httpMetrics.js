@@ -0,0 +1,38 @@
+// src/middleware/httpMetrics.js
+// =====================================================
+// HTTP METRICS MIDDLEWARE
+// =====================================================
+// Counts every response and records its latency under the matched
+// route pattern (see src/metrics). Mounted before the routes in
+// createApp(); GET /metrics itself is not recorded.
+// =====================================================
+
+const metrics = require('../metrics');
+
+const UNMATCHED_ROUTE = 'unmatched';
+
+// The pattern that handled the request, e.g. /api/users/:id
+const routePattern = (req) => {
+  if (!req.route) return UNMATCHED_ROUTE;
+  const path = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  const full = `${req.baseUrl}${path}`;
+  return full.length > 1 ? full.replace(/\/$/, '') : full;
+};
+
+const httpMetrics = ({ exclude = [] } = {}) => (req, res, next) => {
+  if (exclude.includes(req.path)) return next();
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = routePattern(req);
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+};
+
+module.exports = { httpMetrics, routePattern, UNMATCHED_ROUTE };
@@ -0,0 +1,38 @@
+// src/middleware/metricsAuth.js
+// =====================================================
+// METRICS ACCESS
+// =====================================================
+// With METRICS_TOKEN set, GET /metrics needs
+//   Authorization: Bearer <METRICS_TOKEN>
+// (Prometheus: `authorization: { credentials: ... }` in the scrape
+// config). Without it the endpoint is open, which is fine when it is
+// only reachable from the private network.
+// =====================================================
+
+const crypto = require('crypto');
+const { sendProblem } = require('../errors/problem');
+
+const sameSecret = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const requireMetricsToken = (expected) => Object.assign((req, res, next) => {
+  if (!expected) return next();
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return sendProblem(res, 'AUTH_TOKEN_MISSING', 'Access denied. No token provided.');
+  }
+
+  if (!sameSecret(token, expected)) {
+    return sendProblem(res, 'AUTH_TOKEN_INVALID', 'Invalid metrics token');
+  }
+
+  next();
+}, { securityScheme: expected ? 'metricsToken' : undefined });
+
+module.exports = { requireMetricsToken };
@@ -0,0 +1,104 @@
+// src/middleware/rateLimiter.js
+// =====================================================
+// RATE LIMITING MIDDLEWARE
+// =====================================================
+// Usage (per router or per route):
+//
+//   router.use(rateLimit(RATE_LIMITS.api));
+//   router.post('/login', rateLimit(RATE_LIMITS.login), controller.loginUser);
+//   router.get('/', authenticateToken, rateLimit({ limit: 10, windowSeconds: 60, keyBy: 'user' }), ...)
+//
+// Responses carry the standard headers:
+//   RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds),
+//   RateLimit-Policy and, when rejected, Retry-After (plus a RATE_LIMITED
+//   problem response with the same value as retryAfter).
+// =====================================================
+
+const crypto = require('crypto');
+const { ALGORITHMS } = require('../rateLimit/algorithms');
+const { getDefaultStore } = require('../rateLimit');
+const { RATE_LIMIT_ENABLED, RATE_LIMIT_API_KEY_HASHES } = require('../config/rateLimits');
+const clock = require('../utils/clock');
+const { sendProblem } = require('../errors/problem');
+const logger = require('../utils/logger');
+
+// =====================================================
+// KEY EXTRACTORS
+// =====================================================
+// 'user' and 'apiKey' fall back to the IP when the request has neither,
+// so anonymous traffic is still limited. An API key only counts once it
+// matches a known client (see RATE_LIMIT_API_KEYS); otherwise a client
+// could send a new random value each time and never share a bucket. The
+// key itself is never stored, only its SHA-256 digest.
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const KEY_EXTRACTORS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user && req.user.userId ? `user:${req.user.userId}` : `ip:${req.ip}`),
+  apiKey: (req, { apiKeyHashes }) => {
+    const apiKey = req.get('x-api-key');
+    const hash = apiKey && hashApiKey(apiKey);
+    return hash && apiKeyHashes.has(hash) ? `key:${hash}` : `ip:${req.ip}`;
+  },
+};
+
+const rateLimit = ({
+  name = 'default',
+  algorithm = 'fixed-window',
+  limit,
+  windowSeconds,
+  keyBy = 'ip',
+  store,
+  apiKeyHashes = RATE_LIMIT_API_KEY_HASHES,
+  enabled = RATE_LIMIT_ENABLED,
+  message = 'Too many requests. Please try again later.',
+} = {}) => {
+  const consume = ALGORITHMS[algorithm];
+  if (!consume) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || !(windowSeconds > 0)) {
+    throw new Error(`Rate limit "${name}" needs a positive integer limit and windowSeconds`);
+  }
+
+  const extractKey = typeof keyBy === 'function' ? keyBy : KEY_EXTRACTORS[keyBy];
+  if (!extractKey) {
+    throw new Error(`Unknown rate limit keyBy "${keyBy}" (expected ${Object.keys(KEY_EXTRACTORS).join(', ')} or a function)`);
+  }
+
+  const policy = { limit, windowMs: windowSeconds * 1000 };
+
+  // .rateLimit describes the policy in the OpenAPI document
+  return Object.assign(async (req, res, next) => {
+    if (!enabled) return next();
+
+    try {
+      const key = `${name}:${extractKey(req, { apiKeyHashes })}`;
+      const result = await (store || getDefaultStore()).consume(
+        key,
+        (state, now) => consume(state, now, policy),
+        clock.now()
+      );
+
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+      res.set('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+
+      if (!result.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return sendProblem(res, 'RATE_LIMITED', message, { retryAfter });
+      }
+
+      next();
+    } catch (error) {
+      // A broken store must not take the API down with it: fail open
+      logger.error('Rate limiter error', { err: error });
+      next();
+    }
+  }, { rateLimit: { name, limit, windowSeconds, keyBy: typeof keyBy === 'string' ? keyBy : 'custom', enabled } });
+};
+
+module.exports = { rateLimit, KEY_EXTRACTORS, hashApiKey };
@@ -0,0 +1,66 @@
+// src/middleware/requestLogger.js
+// =====================================================
+// REQUEST ID + ACCESS LOG MIDDLEWARE
+// =====================================================
+// Mounted first in createApp():
+//
+//   - Reuses the caller's X-Request-Id (e.g. set by a load balancer or
+//     another service) when it looks sane, otherwise generates one, and
+//     echoes it on the response
+//   - Exposes it as req.id and adds it to every log line written while
+//     the request is handled (src/utils/logger.js)
+//   - Logs one line when the response is sent (or the client goes away):
+//
+//     {"level":"info","msg":"request completed","requestId":"…","method":"GET",
+//      "path":"/api/users?limit=5","status":200,"durationMs":12.4,"ip":"…","userId":7}
+//
+// 5xx are logged as error, 4xx as warn, everything else as info.
+// =====================================================
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Anything else (too long, spaces, control characters) is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const levelForStatus = (status) => {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+};
+
+const requestLogger = () => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+
+  const logCompletion = () => {
+    if (logged) return;
+    logged = true;
+
+    const aborted = !res.writableFinished;
+    const status = res.statusCode;
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+
+    logger[aborted ? 'warn' : levelForStatus(status)](aborted ? 'request aborted' : 'request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: logger.redactUrl(req.originalUrl),
+      status,
+      durationMs,
+      ip: req.ip,
+      ...(req.user && { userId: req.user.userId }),
+    });
+  };
+
+  res.on('finish', logCompletion);
+  res.on('close', logCompletion);
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
@@ -0,0 +1,75 @@
+// src/middleware/securityHeaders.js
+// =====================================================
+// SECURITY HEADERS MIDDLEWARE
+// =====================================================
+// Usage (options: see src/config/security.js):
+//
+//   app.use(securityHeaders(settings.security));           // every response
+//   router.use('/docs', contentSecurityPolicy(DOCS_CSP));  // per route
+//
+// Every response gets:
+//   Strict-Transport-Security     → HTTPS only, for hsts.maxAge seconds
+//   X-Content-Type-Options        → nosniff: no guessing JSON is HTML
+//   X-Frame-Options: DENY         → (with frame-ancestors) no clickjacking
+//   Referrer-Policy: no-referrer  → URLs with tokens never leak onwards
+//   Cross-Origin-Opener-Policy,
+//   Cross-Origin-Resource-Policy  → same-origin
+//   Permissions-Policy            → no camera, microphone, geolocation
+//   Content-Security-Policy       → csp.directives (or -Report-Only)
+//
+// contentSecurityPolicy() replaces the policy for the routes after it,
+// keeping the app's report-only mode and report URI.
+// =====================================================
+
+const { API_CSP } = require('../config/security');
+
+const CSP_HEADER = 'Content-Security-Policy';
+const CSP_REPORT_ONLY_HEADER = 'Content-Security-Policy-Report-Only';
+const REPORT_GROUP = 'csp-endpoint';
+
+// { 'default-src': ["'none'"], ... } → "default-src 'none'; ..."
+const serializeCsp = (directives, reportUri) => {
+  const parts = Object.entries(directives).map(([name, values]) => [name, ...values].join(' '));
+  if (reportUri) parts.push(`report-uri ${reportUri}`, `report-to ${REPORT_GROUP}`);
+  return parts.join('; ');
+};
+
+const setCsp = (res, directives) => {
+  const { reportOnly = false, reportUri } = res.locals.csp || {};
+  res.removeHeader(reportOnly ? CSP_HEADER : CSP_REPORT_ONLY_HEADER);
+  res.set(reportOnly ? CSP_REPORT_ONLY_HEADER : CSP_HEADER, serializeCsp(directives, reportUri));
+  if (reportUri) res.set('Reporting-Endpoints', `${REPORT_GROUP}="${reportUri}"`);
+};
+
+const securityHeaders = ({ hsts = {}, csp = {} } = {}) => {
+  const { maxAge = 180 * 24 * 60 * 60, includeSubDomains = true, preload = false } = hsts;
+  const hstsValue = [
+    `max-age=${maxAge}`,
+    includeSubDomains && 'includeSubDomains',
+    preload && 'preload',
+  ].filter(Boolean).join('; ');
+
+  const { directives = API_CSP, reportOnly = false, reportUri } = csp;
+
+  return (req, res, next) => {
+    if (maxAge > 0) res.set('Strict-Transport-Security', hstsValue);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('X-Frame-Options', 'DENY');
+    res.set('Referrer-Policy', 'no-referrer');
+    res.set('Cross-Origin-Opener-Policy', 'same-origin');
+    res.set('Cross-Origin-Resource-Policy', 'same-origin');
+    res.set('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+
+    res.locals.csp = { reportOnly, reportUri };
+    setCsp(res, directives);
+    next();
+  };
+};
+
+// Per-route policy; must come after securityHeaders()
+const contentSecurityPolicy = (directives) => (req, res, next) => {
+  setCsp(res, directives);
+  next();
+};
+
+module.exports = { securityHeaders, contentSecurityPolicy, serializeCsp };
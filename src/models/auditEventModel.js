@@ -0,0 +1,162 @@
+// src/models/auditEventModel.js
+// =====================================================
+// AUDIT EVENT MODEL (Sequelize Version)
+// =====================================================
+// One row per security-relevant event: who (actor) did what (action) to
+// what (target), from where (ip, user agent, request id) and how it
+// ended (outcome + reason). Written through src/utils/audit.js.
+//
+// Append-only: there are no update helpers, and the table rejects
+// UPDATEs (see the audit-events migration). Rows only leave through the
+// retention policy (pruneBefore).
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+const { paginate } = require('../utils/pagination');
+
+// =====================================================
+// ACTIONS + OUTCOMES
+// =====================================================
+// Stored as strings and filtered on by admins, so never rename one
+const AUDIT_ACTIONS = {
+  USER_REGISTERED: 'user.registered',
+  // DELETE /api/users/:id and POST /api/users/deactivate (soft delete)
+  USER_DEACTIVATED: 'user.deactivated',
+  USER_RESTORED: 'user.restored',
+  // Permanent: admin purge, or the grace period ran out
+  USER_DELETED: 'user.deleted',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  LOGIN: 'auth.login',
+  // Password accepted; a second factor is still needed
+  TWO_FACTOR_CHALLENGE: 'auth.two_factor_challenge',
+  LOGOUT: 'auth.logout',
+  // Recorded when a refresh token is refused (reuse, expiry, unknown)
+  TOKEN_REFRESH: 'auth.token_refresh',
+  // authenticateToken / authorizeRoles / authorizeSelfOrRoles said no to
+  // a known user (anonymous refusals are only logged)
+  ACCESS_DENIED: 'auth.access_denied',
+  PASSWORD_CHANGED: 'auth.password_changed',
+  PASSWORD_RESET: 'auth.password_reset',
+  TWO_FACTOR_ENABLED: 'auth.two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'auth.two_factor_disabled',
+  RECOVERY_CODES_REGENERATED: 'auth.recovery_codes_regenerated',
+  TWO_FACTOR_POLICY_UPDATED: 'settings.two_factor_policy_updated',
+};
+
+const AUDIT_OUTCOMES = {
+  SUCCESS: 'success',
+  // The request was wrong (bad password, expired token, ...)
+  FAILURE: 'failure',
+  // Refused regardless of what was sent (throttled, missing role, ...)
+  DENIED: 'denied',
+};
+
+// Columns admins can sort the log by
+const AUDIT_SORT_FIELDS = ['occurredAt', 'id'];
+
+const defineAuditEventModel = (sequelize) => {
+  // =====================================================
+  // DEFINE AUDIT EVENT MODEL
+  // =====================================================
+  const AuditEvent = sequelize.define(
+    'AuditEvent',
+    {
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      action: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      outcome: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        validate: { isIn: [Object.values(AUDIT_OUTCOMES)] },
+      },
+      // Problem code for failures and denials (AUTH_INVALID_CREDENTIALS, ...)
+      reason: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // Who did it; null when nobody could be identified
+      actorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // What it was done to, e.g. ('user', '42')
+      targetType: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+      },
+      targetId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      ip: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      requestId: {
+        type: DataTypes.STRING(128),
+        allowNull: true,
+      },
+      // Event-specific details (already redacted)
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'audit_events',
+      timestamps: false,
+    }
+  );
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  AuditEvent.queries = {
+    record: async (event) => await AuditEvent.create(event),
+
+    // Paginated search; see src/utils/pagination.js for the cursor format.
+    // filters: { action, outcome, actorId, targetType, targetId, ip, requestId, from, to }
+    search: async ({ limit, sort, cursor, filters = {} }) => {
+      const where = {};
+
+      ['action', 'outcome', 'actorId', 'targetType', 'targetId', 'ip', 'requestId'].forEach((field) => {
+        if (filters[field] !== undefined) where[field] = filters[field];
+      });
+
+      if (filters.from || filters.to) {
+        where.occurredAt = {};
+        if (filters.from) where.occurredAt[Op.gte] = filters.from;
+        if (filters.to) where.occurredAt[Op.lte] = filters.to;
+      }
+
+      const { rows, count, nextCursor } = await paginate(AuditEvent, {
+        where,
+        limit,
+        sort,
+        cursor,
+        castCursorValue: (field, value) => (field === 'occurredAt' ? new Date(value) : value),
+      });
+
+      return { events: rows, count, nextCursor };
+    },
+
+    // Retention: deletes everything older than `cutoff`, returns the count
+    pruneBefore: async (cutoff) => await AuditEvent.destroy({ where: { occurredAt: { [Op.lt]: cutoff } } }),
+  };
+
+  return AuditEvent;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = Object.assign(defineAuditEventModel, { AUDIT_ACTIONS, AUDIT_OUTCOMES, AUDIT_SORT_FIELDS });
@@ -0,0 +1,124 @@
+// src/models/commentModel.js
+// =====================================================
+// COMMENT MODEL (Sequelize Version)
+// =====================================================
+// Threaded comments on posts (the "comments" table sketched in
+// database_setup.sql, plus parentId for replies).
+//
+// Comments are never hard-deleted by users: deletion replaces the content
+// with the "[deleted]" placeholder (DELETED_PLACEHOLDER) and sets
+// deletedAt, so replies underneath keep their place in the thread.
+// =====================================================
+const { DataTypes } = require('sequelize');
+const clock = require('../utils/clock');
+
+const DELETED_PLACEHOLDER = '[deleted]';
+
+// Shared with the request schemas (src/validation/postSchemas.js)
+const COMMENT_MAX_LENGTH = 10000;
+
+const defineCommentModel = (sequelize) => {
+  // =====================================================
+  // DEFINE COMMENT MODEL
+  // =====================================================
+  const Comment = sequelize.define(
+    'Comment',
+    {
+      postId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Null once the author's account is gone; the comment stays in the thread
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        // The placeholder once soft-deleted; the request schemas enforce the
+        // lower bound on what users write
+        validate: {
+          len: [0, COMMENT_MAX_LENGTH],
+        },
+      },
+      editedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'comments',
+      timestamps: true,
+      indexes: [{ fields: ['postId'] }, { fields: ['userId'] }, { fields: ['parentId'] }],
+    }
+  );
+
+  // =====================================================
+  // ASSOCIATIONS
+  // =====================================================
+  Comment.associate = ({ Post, User }) => {
+    Post.hasMany(Comment, { as: 'comments', foreignKey: 'postId', onDelete: 'CASCADE' });
+    Comment.belongsTo(Post, { as: 'post', foreignKey: 'postId', onDelete: 'CASCADE' });
+
+    User.hasMany(Comment, { as: 'comments', foreignKey: 'userId', onDelete: 'SET NULL' });
+    Comment.belongsTo(User, { as: 'author', foreignKey: 'userId', onDelete: 'SET NULL' });
+
+    Comment.hasMany(Comment, { as: 'replies', foreignKey: 'parentId', onDelete: 'CASCADE' });
+    Comment.belongsTo(Comment, { as: 'parent', foreignKey: 'parentId', onDelete: 'CASCADE' });
+  };
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  // Deactivated authors (soft-deleted users) still sign their content
+  const authorInclude = { association: 'author', attributes: ['id', 'username'], paranoid: false };
+
+  Comment.queries = {
+    createComment: async ({ postId, userId, parentId = null, content }) => {
+      // createdAt from the app clock, like editedAt/deletedAt: the edit
+      // window is measured against it
+      const comment = await Comment.create({ postId, userId, parentId, content, createdAt: clock.currentDate() });
+      return await Comment.findByPk(comment.id, { include: [authorInclude] });
+    },
+
+    findCommentById: async (id) => await Comment.findByPk(id, { include: [authorInclude] }),
+
+    // Flat list in thread order; the controller nests replies
+    getCommentsForPost: async (postId) =>
+      await Comment.findAll({
+        where: { postId },
+        include: [authorInclude],
+        order: [
+          ['createdAt', 'ASC'],
+          ['id', 'ASC'],
+        ],
+      }),
+
+    updateContent: async (id, content) => {
+      await Comment.update({ content, editedAt: clock.currentDate() }, { where: { id } });
+      return await Comment.findByPk(id, { include: [authorInclude] });
+    },
+
+    softDelete: async (id) =>
+      await Comment.update(
+        { content: DELETED_PLACEHOLDER, deletedAt: clock.currentDate() },
+        { where: { id, deletedAt: null } }
+      ),
+  };
+
+  return Comment;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = Object.assign(defineCommentModel, { DELETED_PLACEHOLDER, COMMENT_MAX_LENGTH });
@@ -1,26 +1,75 @@
 // src/models/index.js
+// =====================================================
+// MODEL REGISTRY
+// =====================================================
+// Loads every *Model.js factory in this folder against a Sequelize
+// instance, then wires up associations.
+//
+// Controllers, middleware and utils get everything from here, looked up
+// when used (not when required) so the database can be swapped:
+//   const db = require('../models');
+//   await db.UserModel.findUserByEmail(email);   → query helpers
+//   db.models.User / db.sequelize                → raw Sequelize access
+//
+// Each model's query helpers (Model.queries) are exposed as <Name>Model,
+// e.g. User → UserModel, RefreshToken → RefreshTokenModel.
+//
+// Nothing connects on require: the configured database
+// (src/config/database.js) is only created on first use, and
+// createApp({ db }) / setDatabase() can point the registry elsewhere.
+// =====================================================
 const fs = require('fs');
 const path = require('path');
-const { sequelize } = require('../config/database');
 
-const models = {};
+const MODEL_FILES = fs.readdirSync(__dirname).filter((file) => file !== 'index.js' && file.endsWith('.js'));
 
-const files = fs.readdirSync(__dirname).filter(f => f !== 'index.js' && f.endsWith('.js'));
+const createModels = (sequelize) => {
+  const models = {};
 
-for (const file of files) {
-  const modelFactory = require(path.join(__dirname, file));
-  const model = modelFactory(sequelize);
-  models[model.name] = model;
-}
+  for (const file of MODEL_FILES) {
+    const modelFactory = require(path.join(__dirname, file));
+    const model = modelFactory(sequelize);
+    models[model.name] = model;
+  }
+
+  // Associations need every model defined first
+  Object.keys(models).forEach((name) => {
+    if (typeof models[name].associate === 'function') {
+      models[name].associate(models);
+    }
+  });
 
-// If you have associations, define them here
-Object.keys(models).forEach((name) => {
-  if (typeof models[name].associate === 'function') {
-    models[name].associate(models);
+  const queries = {};
+  Object.keys(models).forEach((name) => {
+    queries[`${name}Model`] = models[name].queries;
+  });
+
+  return { sequelize, models, ...queries };
+};
+
+let database = null;
+
+const getDatabase = () => {
+  if (!database) {
+    database = createModels(require('../config/database').sequelize);
   }
-});
+  return database;
+};
 
-module.exports = {
-  sequelize,
-  models
+const setDatabase = (db) => {
+  database = db;
 };
+
+const registry = { createModels, getDatabase, setDatabase };
+
+// userModel.js → UserModel, refreshTokenModel.js → RefreshTokenModel, ...
+const keys = ['sequelize', 'models', ...MODEL_FILES.map((file) => file.charAt(0).toUpperCase() + file.slice(1, -3))];
+
+keys.forEach((key) => {
+  Object.defineProperty(registry, key, {
+    enumerable: true,
+    get: () => getDatabase()[key],
+  });
+});
+
+module.exports = registry;
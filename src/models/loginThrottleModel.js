@@ -0,0 +1,75 @@
+// src/models/loginThrottleModel.js
+// =====================================================
+// LOGIN THROTTLE MODEL (Sequelize Version)
+// =====================================================
+// One row per throttled key, e.g.
+//   account:john@example.com → failed guesses against one account
+//   ip:203.0.113.7           → failed guesses from one source address
+//
+// Stored in Postgres (not memory) so counters and lockouts survive
+// restarts and are shared by every app instance.
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+
+const defineLoginThrottleModel = (sequelize) => {
+  // =====================================================
+  // DEFINE LOGIN THROTTLE MODEL
+  // =====================================================
+  const LoginThrottle = sequelize.define(
+    'LoginThrottle',
+    {
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+      },
+      failedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastFailedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'login_throttles',
+      timestamps: true,
+    }
+  );
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  LoginThrottle.queries = {
+    findByKeys: async (keys) => await LoginThrottle.findAll({ where: { key: { [Op.in]: keys } } }),
+
+    // Runs `update(row)` on a locked row so concurrent failures can't
+    // overwrite each other's counts. update() returns the new values.
+    recordFailure: async (key, update) =>
+      await sequelize.transaction(async (transaction) => {
+        const [row] = await LoginThrottle.findOrCreate({
+          where: { key },
+          defaults: { key },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        await row.update(update(row), { transaction });
+        return row;
+      }),
+
+    reset: async (keys) => await LoginThrottle.destroy({ where: { key: { [Op.in]: keys } } }),
+  };
+
+  return LoginThrottle;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = defineLoginThrottleModel;
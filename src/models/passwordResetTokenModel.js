@@ -0,0 +1,90 @@
+// src/models/passwordResetTokenModel.js
+// =====================================================
+// PASSWORD RESET TOKEN MODEL (Sequelize Version)
+// =====================================================
+// Like refresh tokens, reset tokens are only stored as SHA-256 hashes,
+// so a leaked database dump cannot be used to reset anyone's password.
+// Each token is single-use (usedAt) and time-limited (expiresAt).
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+const clock = require('../utils/clock');
+
+const definePasswordResetTokenModel = (sequelize) => {
+  // =====================================================
+  // DEFINE PASSWORD RESET TOKEN MODEL
+  // =====================================================
+  const PasswordResetToken = sequelize.define(
+    'PasswordResetToken',
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'password_reset_tokens',
+      timestamps: true,
+      indexes: [{ fields: ['userId'] }],
+    }
+  );
+
+  // =====================================================
+  // ASSOCIATIONS
+  // =====================================================
+  PasswordResetToken.associate = ({ User }) => {
+    User.hasMany(PasswordResetToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    PasswordResetToken.belongsTo(User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  };
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  PasswordResetToken.queries = {
+    // Requesting a new link invalidates any earlier ones for the same user
+    createToken: async ({ userId, tokenHash, expiresAt }) => {
+      await PasswordResetToken.update(
+        { usedAt: clock.currentDate() },
+        { where: { userId, usedAt: null } }
+      );
+      return await PasswordResetToken.create({ userId, tokenHash, expiresAt });
+    },
+
+    findValidByHash: async (tokenHash) =>
+      await PasswordResetToken.findOne({
+        where: {
+          tokenHash,
+          usedAt: null,
+          expiresAt: { [Op.gt]: clock.currentDate() },
+        },
+      }),
+
+    // Atomic, so two concurrent resets with the same token can't both win
+    markUsed: async (id) => {
+      const [updated] = await PasswordResetToken.update(
+        { usedAt: clock.currentDate() },
+        { where: { id, usedAt: null } }
+      );
+      return updated > 0;
+    },
+  };
+
+  return PasswordResetToken;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = definePasswordResetTokenModel;
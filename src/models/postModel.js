@@ -0,0 +1,137 @@
+// src/models/postModel.js
+// =====================================================
+// POST MODEL (Sequelize Version)
+// =====================================================
+// Blog posts written by users (the "posts" table sketched in
+// database_setup.sql). Deleting a user deletes their posts.
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+const { paginate } = require('../utils/pagination');
+const { containsInsensitive } = require('../db/dialect');
+
+const POST_ATTRIBUTES = ['id', 'title', 'content', 'authorId', 'createdAt', 'updatedAt'];
+const SORTABLE_POST_FIELDS = ['id', 'title', 'createdAt', 'updatedAt'];
+
+// Shared with the request schemas (src/validation/postSchemas.js)
+const POST_TITLE_LENGTH = { min: 1, max: 200 };
+
+const definePostModel = (sequelize) => {
+  // =====================================================
+  // DEFINE POST MODEL
+  // =====================================================
+  const Post = sequelize.define(
+    'Post',
+    {
+      title: {
+        type: DataTypes.STRING(POST_TITLE_LENGTH.max),
+        allowNull: false,
+        validate: {
+          len: [POST_TITLE_LENGTH.min, POST_TITLE_LENGTH.max],
+        },
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      authorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: 'posts',
+      timestamps: true,
+      indexes: [{ fields: ['authorId'] }, { fields: ['createdAt'] }],
+    }
+  );
+
+  // =====================================================
+  // ASSOCIATIONS
+  // =====================================================
+  Post.associate = ({ User }) => {
+    User.hasMany(Post, { as: 'posts', foreignKey: 'authorId', onDelete: 'CASCADE' });
+    Post.belongsTo(User, { as: 'author', foreignKey: 'authorId', onDelete: 'CASCADE' });
+  };
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  // Only the author's public identity travels with a post
+  // Deactivated authors (soft-deleted users) still sign their content
+  const authorInclude = { association: 'author', attributes: ['id', 'username'], paranoid: false };
+
+  // Live (not deleted) comments, computed in SQL so lists need one query
+  const commentCountAttribute = [
+    sequelize.literal(
+      '(SELECT CAST(COUNT(*) AS INTEGER) FROM "comments" AS "c" WHERE "c"."postId" = "Post"."id" AND "c"."deletedAt" IS NULL)'
+    ),
+    'commentCount',
+  ];
+  const POST_ATTRIBUTES_WITH_COUNT = [...POST_ATTRIBUTES, commentCountAttribute];
+
+  Post.queries = {
+    createPost: async ({ title, content, authorId }) => {
+      const post = await Post.create({ title, content, authorId });
+      return await Post.findByPk(post.id, { attributes: POST_ATTRIBUTES_WITH_COUNT, include: [authorInclude] });
+    },
+
+    findPostById: async (id) =>
+      await Post.findByPk(id, {
+        attributes: POST_ATTRIBUTES_WITH_COUNT,
+        include: [authorInclude],
+      }),
+
+    // Paginated listing; filters: { authorId, search }
+    getAllPosts: async ({ limit, sort, cursor, filters = {} }) => {
+      const where = {};
+
+      if (filters.authorId) {
+        where.authorId = filters.authorId;
+      }
+
+      if (filters.search) {
+        where[Op.or] = [
+          containsInsensitive(Post, 'title', filters.search),
+          containsInsensitive(Post, 'content', filters.search),
+        ];
+      }
+
+      const { rows, count, nextCursor } = await paginate(Post, {
+        where,
+        attributes: POST_ATTRIBUTES_WITH_COUNT,
+        include: [authorInclude],
+        limit,
+        sort,
+        cursor,
+        castCursorValue: (field, value) =>
+          (field === 'createdAt' || field === 'updatedAt' ? new Date(value) : value),
+      });
+
+      return { posts: rows, count, nextCursor };
+    },
+
+    updatePost: async (id, { title, content }) => {
+      const changes = {};
+      if (title !== undefined) changes.title = title;
+      if (content !== undefined) changes.content = content;
+
+      await Post.update(changes, { where: { id } });
+      return await Post.findByPk(id, { attributes: POST_ATTRIBUTES_WITH_COUNT, include: [authorInclude] });
+    },
+
+    deletePost: async (id) => {
+      const deleted = await Post.destroy({ where: { id } });
+      return deleted > 0;
+    },
+  };
+
+  return Post;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = Object.assign(definePostModel, { SORTABLE_POST_FIELDS, POST_TITLE_LENGTH });
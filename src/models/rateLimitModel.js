@@ -0,0 +1,76 @@
+// src/models/rateLimitModel.js
+// =====================================================
+// RATE LIMIT MODEL (Sequelize Version)
+// =====================================================
+// Backing table for the Postgres rate limit store. `state` holds the
+// algorithm's own data (window/count or tokens/updatedAt), so one table
+// serves every algorithm.
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+const clock = require('../utils/clock');
+
+const defineRateLimitModel = (sequelize) => {
+  // =====================================================
+  // DEFINE RATE LIMIT MODEL
+  // =====================================================
+  const RateLimit = sequelize.define(
+    'RateLimit',
+    {
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+      },
+      state: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: 'rate_limits',
+      timestamps: false,
+      indexes: [{ fields: ['expiresAt'] }],
+    }
+  );
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  RateLimit.queries = {
+    // Locks the key's row, runs the algorithm and saves its new state
+    consume: async (key, consumeFn, now) =>
+      await sequelize.transaction(async (transaction) => {
+        const [row] = await RateLimit.findOrCreate({
+          where: { key },
+          defaults: { key, state: null, expiresAt: new Date(now) },
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+
+        const state = row.expiresAt.getTime() > now ? row.state : null;
+        const result = consumeFn(state);
+
+        await row.update(
+          { state: result.state, expiresAt: new Date(now + result.ttlMs) },
+          { transaction }
+        );
+        return result;
+      }),
+
+    reset: async (key) => await RateLimit.destroy({ where: { key } }),
+
+    pruneExpired: async (now = clock.currentDate()) =>
+      await RateLimit.destroy({ where: { expiresAt: { [Op.lte]: now } } }),
+  };
+
+  return RateLimit;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = defineRateLimitModel;
@@ -0,0 +1,81 @@
+// src/models/recoveryCodeModel.js
+// =====================================================
+// TWO-FACTOR RECOVERY CODE MODEL (Sequelize Version)
+// =====================================================
+// One-time codes a user can enter instead of a TOTP code when they lose
+// their authenticator. Only SHA-256 hashes are stored; the plain codes
+// are shown to the user exactly once.
+// =====================================================
+const { DataTypes } = require('sequelize');
+const clock = require('../utils/clock');
+
+const defineRecoveryCodeModel = (sequelize) => {
+  // =====================================================
+  // DEFINE RECOVERY CODE MODEL
+  // =====================================================
+  const RecoveryCode = sequelize.define(
+    'RecoveryCode',
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      codeHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'two_factor_recovery_codes',
+      timestamps: true,
+      indexes: [{ fields: ['userId', 'codeHash'] }],
+    }
+  );
+
+  // =====================================================
+  // ASSOCIATIONS
+  // =====================================================
+  RecoveryCode.associate = ({ User }) => {
+    User.hasMany(RecoveryCode, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    RecoveryCode.belongsTo(User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  };
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  RecoveryCode.queries = {
+    // Replaces any previous set: old codes stop working immediately
+    replaceCodes: async (userId, codeHashes) =>
+      await sequelize.transaction(async (transaction) => {
+        await RecoveryCode.destroy({ where: { userId }, transaction });
+        await RecoveryCode.bulkCreate(
+          codeHashes.map((codeHash) => ({ userId, codeHash })),
+          { transaction }
+        );
+      }),
+
+    // Atomic single use; returns false for unknown or already-used codes
+    consumeCode: async (userId, codeHash) => {
+      const [updated] = await RecoveryCode.update(
+        { usedAt: clock.currentDate() },
+        { where: { userId, codeHash, usedAt: null } }
+      );
+      return updated > 0;
+    },
+
+    countRemaining: async (userId) => await RecoveryCode.count({ where: { userId, usedAt: null } }),
+
+    deleteAllForUser: async (userId) => await RecoveryCode.destroy({ where: { userId } }),
+  };
+
+  return RecoveryCode;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = defineRecoveryCodeModel;
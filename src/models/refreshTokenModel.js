@@ -0,0 +1,118 @@
+// src/models/refreshTokenModel.js
+// =====================================================
+// REFRESH TOKEN MODEL (Sequelize Version)
+// =====================================================
+// Refresh tokens are long-lived, so we never store them in plain text:
+// only a SHA-256 hash is persisted (see src/utils/tokens.js).
+//
+// Every login starts a new token "family" (familyId). Each refresh
+// revokes the presented token and issues a new one in the same family.
+// If an already-revoked token is presented again, it was stolen or
+// replayed, so the whole family (session) is revoked.
+// =====================================================
+const { DataTypes, Op } = require('sequelize');
+const clock = require('../utils/clock');
+
+const defineRefreshTokenModel = (sequelize) => {
+  // =====================================================
+  // DEFINE REFRESH TOKEN MODEL
+  // =====================================================
+  const RefreshToken = sequelize.define(
+    'RefreshToken',
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      familyId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      ip: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'refresh_tokens',
+      timestamps: true,
+      indexes: [{ fields: ['familyId'] }, { fields: ['userId'] }],
+    }
+  );
+
+  // =====================================================
+  // ASSOCIATIONS
+  // =====================================================
+  RefreshToken.associate = ({ User }) => {
+    User.hasMany(RefreshToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    RefreshToken.belongsTo(User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  };
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  RefreshToken.queries = {
+    createToken: async ({ userId, tokenHash, familyId, expiresAt, userAgent, ip }) =>
+      await RefreshToken.create({ userId, tokenHash, familyId, expiresAt, userAgent, ip }),
+
+    findByHash: async (tokenHash) => await RefreshToken.findOne({ where: { tokenHash } }),
+
+    // Atomically marks a single token as used. Returns false if it was
+    // already revoked, i.e. another request got there first (reuse).
+    revokeToken: async (id) => {
+      const [updated] = await RefreshToken.update(
+        { revokedAt: clock.currentDate() },
+        { where: { id, revokedAt: null } }
+      );
+      return updated > 0;
+    },
+
+    revokeFamily: async (familyId) =>
+      await RefreshToken.update(
+        { revokedAt: clock.currentDate() },
+        { where: { familyId, revokedAt: null } }
+      ),
+
+    revokeAllForUser: async (userId) =>
+      await RefreshToken.update(
+        { revokedAt: clock.currentDate() },
+        { where: { userId, revokedAt: null } }
+      ),
+
+    // A session stays active while its family still has a usable token
+    isSessionActive: async (familyId) => {
+      const active = await RefreshToken.count({
+        where: {
+          familyId,
+          revokedAt: null,
+          expiresAt: { [Op.gt]: clock.currentDate() },
+        },
+      });
+      return active > 0;
+    },
+  };
+
+  return RefreshToken;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = defineRefreshTokenModel;
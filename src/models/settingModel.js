@@ -0,0 +1,54 @@
+// src/models/settingModel.js
+// =====================================================
+// SETTINGS MODEL (Sequelize Version)
+// =====================================================
+// Small key/value store for options admins can change at runtime
+// (e.g. which roles must use two-factor authentication).
+// =====================================================
+const { DataTypes } = require('sequelize');
+
+const defineSettingModel = (sequelize) => {
+  // =====================================================
+  // DEFINE SETTING MODEL
+  // =====================================================
+  const Setting = sequelize.define(
+    'Setting',
+    {
+      key: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      value: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'settings',
+      timestamps: true,
+    }
+  );
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  Setting.queries = {
+    getValue: async (key, defaultValue = null) => {
+      const setting = await Setting.findOne({ where: { key } });
+      return setting ? setting.value : defaultValue;
+    },
+
+    setValue: async (key, value) => {
+      await Setting.upsert({ key, value });
+      return value;
+    },
+  };
+
+  return Setting;
+};
+
+// =====================================================
+// EXPORTS
+// =====================================================
+module.exports = defineSettingModel;
@@ -2,119 +2,323 @@
 // =====================================================
 // USER MODEL (Sequelize Version)
 // =====================================================
-const { Sequelize, DataTypes } = require('sequelize');
-require('dotenv').config();
-
-// =====================================================
-// DATABASE CONNECTION
+// Like every file in this folder, exports a factory that src/models/index.js
+// calls with the shared Sequelize instance. Query helpers hang off the model
+// as `queries` and are exposed by the registry as UserModel.
+//
+// Paranoid: destroy() only sets deletedAt ("deactivated"), and every
+// query skips deactivated rows unless it asks for them. The row keeps
+// its unique username and email until it is restored or purged.
 // =====================================================
-const DATABASE_URL =
-  process.env.DATABASE_URL ||
-  `postgresql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`;
-
-const isProduction = process.env.NODE_ENV === 'production';
-
-const sequelize = new Sequelize(DATABASE_URL, {
-  dialect: 'postgres',
-  logging: false,
-  dialectOptions: isProduction
-    ? {
-        ssl: {
-          require: true,
-          rejectUnauthorized: false,
-        },
-      }
-    : {},
-});
+const { DataTypes, Op } = require('sequelize');
+const { paginate } = require('../utils/pagination');
+const { containsInsensitive } = require('../db/dialect');
+const clock = require('../utils/clock');
 
 // =====================================================
-// DEFINE USER MODEL
+// ROLES
 // =====================================================
-const User = sequelize.define(
-  'User',
-  {
-    username: {
-      type: DataTypes.STRING(100),
-      allowNull: false,
-      unique: true,
-      validate: {
-        len: [3, 100],
+// Ordered from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Columns that are safe to send to clients (never the password hash)
+const PUBLIC_ATTRIBUTES = ['id', 'username', 'email', 'role', 'emailVerified', 'twoFactorEnabled', 'createdAt'];
+
+// Shared with the request schemas (src/validation/userSchemas.js)
+const USERNAME_LENGTH = { min: 3, max: 100 };
+const EMAIL_MAX_LENGTH = 150;
+
+const defineUserModel = (sequelize) => {
+  // =====================================================
+  // DEFINE USER MODEL
+  // =====================================================
+  const User = sequelize.define(
+    'User',
+    {
+      username: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+          len: [USERNAME_LENGTH.min, USERNAME_LENGTH.max],
+        },
+      },
+      email: {
+        type: DataTypes.STRING(EMAIL_MAX_LENGTH),
+        allowNull: false,
+        unique: true,
+        validate: { isEmail: true, len: [1, EMAIL_MAX_LENGTH] },
+      },
+      password: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      role: {
+        type: DataTypes.ENUM(...ROLES),
+        allowNull: false,
+        defaultValue: 'user',
+        validate: { isIn: [ROLES] },
+      },
+      emailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Random value embedded in the current verification link; rotating it
+      // invalidates older links and clearing it makes a link single-use
+      emailVerificationNonce: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // Embedded in every access token; bumping it (password change/reset)
+      // invalidates all tokens issued before
+      tokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Two-factor authentication (TOTP). The secret is stored encrypted and
+      // set during enrollment; it only protects logins once enabled.
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      twoFactorSecret: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      // Last accepted TOTP time step, so a code can't be replayed
+      twoFactorLastStep: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      // Resend rate limiting: last send time + sends in the current 24h window
+      verificationSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      verificationWindowStart: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      verificationSendCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Explicit timestamps; older rows created via database_setup.sql may
+      // lack them (listings sort those last). Sequelize stamps new rows
+      // itself: the column's CURRENT_TIMESTAMP default has a different
+      // text format on SQLite and would break createdAt cursors there.
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: true, // allow null for older rows
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set when the account is deactivated; null while active
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
       },
     },
-    email: {
-      type: DataTypes.STRING(150),
-      allowNull: false,
-      unique: true,
-      validate: { isEmail: true },
-    },
-    password: {
-      type: DataTypes.STRING(255),
-      allowNull: false,
+    {
+      tableName: 'users',
+      timestamps: true,
+      paranoid: true,
+    }
+  );
+
+  // =====================================================
+  // CUSTOM QUERY METHODS
+  // =====================================================
+  User.queries = {
+    createUser: async (username, email, hashedPassword) =>
+      await User.create({ username, email, password: hashedPassword }),
+
+    // includeDeactivated: also match accounts that are deactivated (they
+    // still hold their email/username)
+    findUserByEmail: async (email, { includeDeactivated = false } = {}) =>
+      await User.findOne({ where: { email }, paranoid: !includeDeactivated }),
+
+    findUserByUsername: async (username, { includeDeactivated = false } = {}) =>
+      await User.findOne({ where: { username }, paranoid: !includeDeactivated }),
+
+    findUserById: async (id, { includeDeactivated = false } = {}) =>
+      await User.findByPk(id, {
+        attributes: PUBLIC_ATTRIBUTES,
+        paranoid: !includeDeactivated,
+      }),
+
+    // Public fields plus what authenticateToken needs to validate a token
+    findUserForAuth: async (id) =>
+      await User.findByPk(id, {
+        attributes: [...PUBLIC_ATTRIBUTES, 'tokenVersion'],
+      }),
+
+    // Full row including the password hash; never send this to a client
+    findUserByIdWithPassword: async (id) => await User.findByPk(id),
+
+    // Paginated listing; see src/utils/pagination.js for the cursor format.
+    // filters: { search, role, createdFrom, createdTo }
+    getAllUsers: async ({ limit, sort, cursor, filters = {} }) => {
+      const where = {};
+
+      if (filters.search) {
+        where[Op.or] = [
+          containsInsensitive(User, 'username', filters.search),
+          containsInsensitive(User, 'email', filters.search),
+        ];
+      }
+
+      if (filters.role) {
+        where.role = filters.role;
+      }
+
+      if (filters.createdFrom || filters.createdTo) {
+        where.createdAt = {};
+        if (filters.createdFrom) where.createdAt[Op.gte] = filters.createdFrom;
+        if (filters.createdTo) where.createdAt[Op.lte] = filters.createdTo;
+      }
+
+      const { rows, count, nextCursor } = await paginate(User, {
+        where,
+        attributes: PUBLIC_ATTRIBUTES,
+        limit,
+        sort,
+        cursor,
+        castCursorValue: (field, value) => (field === 'createdAt' ? new Date(value) : value),
+      });
+
+      return { users: rows, count, nextCursor };
     },
-    // Explicit timestamps for safer sync with existing tables
-    createdAt: {
-      type: DataTypes.DATE,
-      allowNull: true, // allow null for older rows
-      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+
+    // Only username/email are editable here; role and password have their own paths.
+    // A new email address has to be verified again.
+    updateUser: async (id, { username, email }) => {
+      const changes = {};
+      if (username !== undefined) changes.username = username;
+      if (email !== undefined) {
+        changes.email = email;
+        changes.emailVerified = false;
+        changes.emailVerificationNonce = null;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await User.update(changes, { where: { id } });
+      }
+      return await User.findByPk(id, { attributes: PUBLIC_ATTRIBUTES });
     },
-    updatedAt: {
-      type: DataTypes.DATE,
-      allowNull: true,
-      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+
+    recordVerificationSent: async (id, { nonce, sentAt, windowStart, sendCount }) =>
+      await User.update(
+        {
+          emailVerificationNonce: nonce,
+          verificationSentAt: sentAt,
+          verificationWindowStart: windowStart,
+          verificationSendCount: sendCount,
+        },
+        { where: { id } }
+      ),
+
+    // Single-use: only succeeds while the nonce still matches the latest link
+    markEmailVerified: async (id, nonce) => {
+      const [updated] = await User.update(
+        { emailVerified: true, emailVerificationNonce: null },
+        { where: { id, emailVerificationNonce: nonce } }
+      );
+      return updated > 0;
     },
-  },
-  {
-    tableName: 'users',
-    timestamps: true,
-  }
-);
 
-// =====================================================
-// DATABASE SYNC FUNCTION
-// =====================================================
-const syncDatabase = async () => {
-  try {
-    console.log('🔄 Synchronizing User model with database...');
+    // Expects an already-hashed password. Also bumps tokenVersion so every
+    // access token issued with the old password stops working.
+    updatePassword: async (id, hashedPassword) =>
+      await sequelize.transaction(async (transaction) => {
+        await User.update({ password: hashedPassword }, { where: { id }, transaction });
+        await User.increment('tokenVersion', { where: { id }, transaction });
+      }),
 
-    // ✅ For development: drop and recreate cleanly
-    // await sequelize.sync({ force: true });
+    // Starts (or restarts) enrollment; 2FA stays off until confirmed
+    setPendingTwoFactorSecret: async (id, encryptedSecret) =>
+      await User.update(
+        { twoFactorSecret: encryptedSecret, twoFactorEnabled: false, twoFactorLastStep: null },
+        { where: { id } }
+      ),
 
-    // ✅ For production: safe alter without data loss
-    await sequelize.sync({ alter: true });
+    enableTwoFactor: async (id, lastStep) =>
+      await User.update({ twoFactorEnabled: true, twoFactorLastStep: lastStep }, { where: { id } }),
 
-    console.log('✅ Database synchronized successfully.');
-  } catch (error) {
-    console.error('❌ Failed to sync database:', error.message);
-  }
-};
+    disableTwoFactor: async (id) =>
+      await User.update(
+        { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+        { where: { id } }
+      ),
 
-// =====================================================
-// CUSTOM QUERY METHODS
-// =====================================================
-const UserModel = {
-  createUser: async (username, email, hashedPassword) =>
-    await User.create({ username, email, password: hashedPassword }),
+    // Only moves forward, so the same (or an older) code can't be used twice
+    recordTwoFactorStep: async (id, step) => {
+      const [updated] = await User.update(
+        { twoFactorLastStep: step },
+        { where: { id, [Op.or]: [{ twoFactorLastStep: null }, { twoFactorLastStep: { [Op.lt]: step } }] } }
+      );
+      return updated > 0;
+    },
 
-  findUserByEmail: async (email) => await User.findOne({ where: { email } }),
+    // Soft delete: deactivates the account (sets deletedAt; the same as
+    // destroy(), but on the injectable clock); see restoreUser / purgeUser
+    deleteUser: async (id, deletedAt = clock.currentDate()) => {
+      const [deleted] = await User.update({ deletedAt }, { where: { id } });
+      return deleted > 0;
+    },
+
+    // Public fields plus deletedAt, for a deactivated account only
+    findDeactivatedUser: async (id) =>
+      await User.findOne({
+        where: { id, deletedAt: { [Op.ne]: null } },
+        attributes: [...PUBLIC_ATTRIBUTES, 'deletedAt'],
+        paranoid: false,
+      }),
 
-  findUserByUsername: async (username) => await User.findOne({ where: { username } }),
+    restoreUser: async (id) => {
+      const [restored] = await User.update(
+        { deletedAt: null },
+        { where: { id, deletedAt: { [Op.ne]: null } }, paranoid: false }
+      );
+      return restored > 0;
+    },
 
-  findUserById: async (id) =>
-    await User.findByPk(id, {
-      attributes: ['id', 'username', 'email', 'createdAt'],
-    }),
+    // Permanent; the database cascades to the user's posts and tokens
+    purgeUser: async (id) => {
+      const purged = await User.destroy({ where: { id }, force: true });
+      return purged > 0;
+    },
+
+    // Ids of accounts deactivated before `cutoff` (grace period over)
+    findDeactivatedBefore: async (cutoff) =>
+      (
+        await User.findAll({
+          where: { deletedAt: { [Op.lt]: cutoff } },
+          attributes: ['id'],
+          order: [['id', 'ASC']],
+          paranoid: false,
+        })
+      ).map((user) => user.id),
+
+    updateUserRole: async (id, role) => {
+      const [updated] = await User.update({ role }, { where: { id } });
+      return updated > 0;
+    },
+  };
 
-  getAllUsers: async () =>
-    await User.findAll({
-      attributes: ['id', 'username', 'email', 'createdAt'],
-      order: [['createdAt', 'DESC']],
-    }),
+  return User;
 };
 
 // =====================================================
 // EXPORTS
 // =====================================================
-module.exports = { sequelize, User, UserModel, syncDatabase };
+module.exports = Object.assign(defineUserModel, { ROLES, PUBLIC_ATTRIBUTES, USERNAME_LENGTH, EMAIL_MAX_LENGTH });
 
 
 
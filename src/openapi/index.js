@@ -0,0 +1,290 @@
+// src/openapi/index.js
+// =====================================================
+// OPENAPI 3.1 DOCUMENT
+// =====================================================
+// Built at startup from the routers createApp() mounts (src/routes),
+// never written by hand, so it can't drift from the code:
+//
+//   path + method  → each router's routes (Express params become {id})
+//   operationId    → the controller function's name (getUserById)
+//   parameters,
+//   requestBody    → the validate() schemas (src/validation)
+//   security, 401  → authenticate()           (.securityScheme)
+//   403            → authorizeRoles / authorizeSelfOrRoles (.roles)
+//   429            → rateLimit(), on the route or its router (.rateLimit)
+//
+// Every error response is a problem+json document (src/errors) whose
+// `code` is listed in the Problem schema.
+// =====================================================
+
+const { ERROR_CATALOG } = require('../errors/catalog');
+const { toJSONSchema } = require('../validation/schema');
+
+const OPENAPI_VERSION = '3.1.0';
+const API_VERSION = '2.0.0';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// =====================================================
+// COMPONENTS
+// =====================================================
+const problemContent = (schema) => ({ 'application/problem+json': { schema: { $ref: `#/components/schemas/${schema}` } } });
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token from POST /api/users/login (or /login/2fa, /refresh)',
+    },
+    metricsToken: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'METRICS_TOKEN configured on the server',
+    },
+  },
+  schemas: {
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem details. Branch on `code`; `detail` is free text.',
+      required: ['type', 'title', 'status', 'detail', 'code'],
+      properties: {
+        type: { type: 'string', format: 'uri-reference', examples: ['/problems/user-email-taken'] },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string', format: 'uri-reference' },
+        code: { type: 'string', enum: Object.keys(ERROR_CATALOG) },
+        retryAfter: { type: 'integer', description: 'Seconds to wait (429 and 423 responses)' },
+      },
+    },
+    ValidationProblem: {
+      allOf: [
+        { $ref: '#/components/schemas/Problem' },
+        {
+          type: 'object',
+          required: ['errors'],
+          properties: {
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['location', 'field', 'code', 'message'],
+                properties: {
+                  location: { enum: ['params', 'query', 'body'] },
+                  field: { type: 'string' },
+                  code: { type: 'string', examples: ['required', 'too_short', 'invalid_email'] },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  responses: {
+    ValidationFailed: { description: 'Invalid params, query or body (VALIDATION_FAILED)', content: problemContent('ValidationProblem') },
+    Unauthorized: { description: 'Missing, invalid or expired credentials', content: problemContent('Problem') },
+    Forbidden: { description: 'Authenticated, but not allowed to do this', content: problemContent('Problem') },
+    NotFound: { description: 'No such resource', content: problemContent('Problem') },
+    TooManyRequests: {
+      description: 'Rate limited (RATE_LIMITED); see Retry-After',
+      headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } },
+      content: problemContent('Problem'),
+    },
+    InternalError: { description: 'Unexpected server error (INTERNAL_ERROR)', content: problemContent('Problem') },
+  },
+};
+
+const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// =====================================================
+// ROUTE INTROSPECTION
+// =====================================================
+// /:id/comments/:commentId → /{id}/comments/{commentId}
+const toOpenApiPath = (prefix, routePath) => {
+  const joined = `${prefix}${routePath === '/' ? '' : routePath}` || '/';
+  return joined.replace(/:(\w+)/g, '{$1}');
+};
+
+// getAllUsers → Get all users
+const humanize = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Everything one route's handler chain says about it
+const describeHandlers = (handlers) => {
+  const controller = handlers[handlers.length - 1];
+  const find = (property) => handlers.find((handler) => handler[property] !== undefined);
+  const validator = find('schemas');
+  const authorization = find('roles');
+  const authentication = find('securityScheme');
+
+  return {
+    name: controller.name || undefined,
+    schemas: validator ? validator.schemas : {},
+    securityScheme: authentication ? authentication.securityScheme : undefined,
+    roles: authorization ? authorization.roles : undefined,
+    allowsSelf: Boolean(authorization && authorization.allowsSelf),
+    rateLimits: handlers.filter((handler) => handler.rateLimit).map((handler) => handler.rateLimit),
+  };
+};
+
+// { path, method, tag, ...describeHandlers } for every route of every mount
+const collectRoutes = (mounts) =>
+  mounts.flatMap(({ path: prefix, router, tag }) => {
+    // Router-level middleware (router.use) applies to the routes after it
+    const routerMiddleware = [];
+
+    return router.stack.flatMap((layer) => {
+      if (!layer.route) {
+        routerMiddleware.push(layer.handle);
+        return [];
+      }
+      if (typeof layer.route.path !== 'string') return [];
+
+      const details = describeHandlers([...routerMiddleware, ...layer.route.stack.map((entry) => entry.handle)]);
+
+      return Object.keys(layer.route.methods)
+        .filter((method) => HTTP_METHODS.includes(method))
+        .map((method) => ({ ...details, method, tag, path: toOpenApiPath(prefix, layer.route.path) }));
+    });
+  });
+
+// =====================================================
+// OPERATIONS
+// =====================================================
+const describeAccess = ({ securityScheme, roles, allowsSelf, rateLimits }) => {
+  const lines = [];
+  if (securityScheme === 'bearerAuth') lines.push('Requires a bearer access token.');
+  if (securityScheme === 'metricsToken') lines.push('Requires the METRICS_TOKEN bearer token.');
+  if (roles && allowsSelf) lines.push(`Allowed for the account owner or: ${roles.join(', ')}.`);
+  if (roles && !allowsSelf) lines.push(`Requires role: ${roles.join(', ')}.`);
+  rateLimits.forEach(({ name, limit, windowSeconds, keyBy }) =>
+    lines.push(`Rate limit "${name}": ${limit} requests per ${windowSeconds}s per ${keyBy}.`)
+  );
+  return lines.join('\n');
+};
+
+const buildParameters = (route) => {
+  const { params = {}, query } = route.schemas;
+  const paramsSchema = toJSONSchema(params);
+
+  const pathParameters = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: paramsSchema.properties[name] || { type: 'string' },
+  }));
+
+  const querySchema = query ? toJSONSchema(query) : { properties: {} };
+  const queryParameters = Object.entries(querySchema.properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (querySchema.required || []).includes(name),
+    schema,
+  }));
+
+  return [...pathParameters, ...queryParameters];
+};
+
+const buildResponses = (route) => {
+  const responses = {
+    '2XX': { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+  };
+
+  if (Object.keys(route.schemas).length) responses['400'] = ref('ValidationFailed');
+  if (route.securityScheme) responses['401'] = ref('Unauthorized');
+  if (route.roles || route.securityScheme === 'bearerAuth') responses['403'] = ref('Forbidden');
+  if (route.path.includes('{')) responses['404'] = ref('NotFound');
+  if (route.rateLimits.length) responses['429'] = ref('TooManyRequests');
+  responses['500'] = ref('InternalError');
+
+  return responses;
+};
+
+const buildOperation = (route, operationId) => {
+  const description = describeAccess(route);
+  const parameters = buildParameters(route);
+
+  return {
+    operationId,
+    summary: route.name ? humanize(route.name) : `${route.method.toUpperCase()} ${route.path}`,
+    ...(description && { description }),
+    tags: [route.tag],
+    ...(route.securityScheme && { security: [{ [route.securityScheme]: [] }] }),
+    ...(parameters.length && { parameters }),
+    ...(route.schemas.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toJSONSchema(route.schemas.body) } },
+      },
+    }),
+    responses: buildResponses(route),
+  };
+};
+
+// Controller names are unique except where one handler serves several
+// routes: verifyEmail (GET and POST) becomes verifyEmailGet/verifyEmailPost,
+// readiness (GET /health/ready and /health) gets the path appended.
+const pathSuffix = (path) => path.replace(/\W+(\w)?/g, (match, letter) => (letter || '').toUpperCase());
+
+const assignOperationIds = (routes) => {
+  const methodsByName = {};
+  routes.forEach(({ name, method }) => {
+    if (name) methodsByName[name] = [...(methodsByName[name] || []), method];
+  });
+
+  return routes.map(({ name, method, path }) => {
+    if (!name) return `${method}${pathSuffix(path)}`;
+
+    const methods = methodsByName[name];
+    if (methods.length === 1) return name;
+    return new Set(methods).size === methods.length
+      ? `${name}${humanize(method)}`
+      : `${name}${pathSuffix(path)}`;
+  });
+};
+
+// =====================================================
+// DOCUMENT
+// =====================================================
+// mounts: [{ path: '/api/users', router, tag: 'Users' }, ...]
+const buildOpenApiDocument = (mounts, { serverUrl } = {}) => {
+  const routes = collectRoutes(mounts);
+  const operationIds = assignOperationIds(routes);
+  const paths = {};
+
+  routes.forEach((route, index) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route, operationIds[index]);
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'User Management API',
+      version: API_VERSION,
+      description: 'Users, authentication (JWT + refresh tokens, optional 2FA), blog posts and comments.',
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: [...new Set(mounts.map(({ tag }) => tag))].map((name) => ({ name })),
+    paths,
+    components: COMPONENTS,
+  };
+};
+
+// { operationId: 'GET /api/users/{id}', ... } for the root endpoint
+const listOperations = (document) => {
+  const operations = {};
+  Object.entries(document.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      operations[operation.operationId] = `${method.toUpperCase()} ${path}`;
+    });
+  });
+  return operations;
+};
+
+module.exports = { API_VERSION, buildOpenApiDocument, listOperations, toOpenApiPath };
@@ -0,0 +1,230 @@
+// src/openapi/ui/docs.js
+// ========================================
+// API DOCS - renders /openapi.json
+// ========================================
+// No framework and no CDN: the page is served by the API itself and
+// only loads files from its own origin. Everything is built with DOM
+// APIs (textContent, never innerHTML), so descriptions from the
+// document can't inject markup.
+
+const SPEC_URL = '/openapi.json';
+const TOKEN_KEY = 'docs.bearerToken';
+
+let spec = null;
+
+// ========================================
+// HELPERS
+// ========================================
+
+function element(tag, text, className) {
+  const node = document.createElement(tag);
+  if (text !== undefined) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+// Follows local "#/components/..." references
+function resolve(value) {
+  if (!value || !value.$ref) return value;
+  return value.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node && node[key], spec);
+}
+
+function describeSchema(schema) {
+  if (!schema) return '';
+  const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type || '';
+  const details = [];
+  if (schema.format) details.push(schema.format);
+  if (schema.enum) details.push(`one of: ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined) details.push(`min ${schema.minimum}`);
+  if (schema.maximum !== undefined) details.push(`max ${schema.maximum}`);
+  if (schema.minLength !== undefined) details.push(`min length ${schema.minLength}`);
+  if (schema.maxLength !== undefined) details.push(`max length ${schema.maxLength}`);
+  return details.length ? `${type} (${details.join('; ')})` : type;
+}
+
+// A starting point for the "Try it" body: every property, empty
+function exampleBody(schema) {
+  const body = {};
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    const type = Array.isArray(property.type) ? property.type[0] : property.type;
+    if (type === 'integer' || type === 'number') body[name] = 0;
+    else if (type === 'boolean') body[name] = false;
+    else if (type === 'array') body[name] = [];
+    else body[name] = '';
+  });
+  return body;
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+function renderParameters(container, parameters) {
+  if (!parameters || !parameters.length) return;
+  const table = container.querySelector('table');
+  parameters.forEach((parameter) => {
+    const row = element('tr');
+    row.append(
+      element('td', `${parameter.name}${parameter.required ? ' *' : ''}`),
+      element('td', parameter.in),
+      element('td', describeSchema(parameter.schema))
+    );
+    table.append(row);
+  });
+  container.hidden = false;
+}
+
+function renderResponses(list, responses) {
+  Object.entries(responses).forEach(([status, response]) => {
+    list.append(element('li', `${status} — ${resolve(response).description}`));
+  });
+}
+
+function renderTryIt(form, path, method, operation) {
+  const fields = form.querySelector('.fields');
+  const bodyInput = form.querySelector('.json-body');
+  const result = form.querySelector('.result');
+  const parameters = operation.parameters || [];
+
+  parameters.forEach((parameter) => {
+    const label = element('label', `${parameter.name} (${parameter.in})`);
+    const input = element('input');
+    input.name = parameter.name;
+    input.dataset.in = parameter.in;
+    label.append(input);
+    fields.append(label);
+  });
+
+  if (operation.requestBody) {
+    const schema = operation.requestBody.content['application/json'].schema;
+    bodyInput.value = JSON.stringify(exampleBody(schema), null, 2);
+    bodyInput.hidden = false;
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    let url = path;
+    const query = new URLSearchParams();
+    fields.querySelectorAll('input').forEach((input) => {
+      if (input.value === '') return;
+      if (input.dataset.in === 'path') url = url.replace(`{${input.name}}`, encodeURIComponent(input.value));
+      else query.append(input.name, input.value);
+    });
+    if ([...query].length) url += `?${query}`;
+
+    const headers = {};
+    const token = document.getElementById('token').value.trim();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (operation.requestBody) headers['Content-Type'] = 'application/json';
+
+    result.hidden = false;
+    result.className = 'result';
+    result.textContent = `${method.toUpperCase()} ${url} …`;
+
+    try {
+      const response = await fetch(url, {
+        method: method.toUpperCase(),
+        headers,
+        body: operation.requestBody ? bodyInput.value : undefined,
+      });
+      const text = await response.text();
+      let shown = text;
+      try {
+        shown = JSON.stringify(JSON.parse(text), null, 2);
+      } catch (error) {
+        // Not JSON (e.g. /metrics): show as is
+      }
+      result.className = response.ok ? 'result' : 'result error';
+      result.textContent = `${response.status} ${response.statusText}\n\n${shown}`;
+    } catch (error) {
+      result.className = 'result error';
+      result.textContent = `Request failed: ${error.message}`;
+    }
+  });
+}
+
+function renderOperation(path, method, operation) {
+  const template = document.getElementById('operation-template');
+  const node = template.content.firstElementChild.cloneNode(true);
+
+  const badge = node.querySelector('.method');
+  badge.textContent = method.toUpperCase();
+  badge.classList.add(method);
+  node.querySelector('.path').textContent = path;
+  node.querySelector('.summary').textContent = operation.summary || '';
+  node.querySelector('.lock').hidden = !operation.security;
+  node.querySelector('.operation-id').textContent = `operationId: ${operation.operationId}`;
+
+  if (operation.description) {
+    const description = node.querySelector('.description');
+    description.textContent = operation.description;
+    description.hidden = false;
+  }
+
+  renderParameters(node.querySelector('.parameters'), operation.parameters);
+
+  if (operation.requestBody) {
+    const requestBody = node.querySelector('.request-body');
+    const schema = operation.requestBody.content['application/json'].schema;
+    requestBody.querySelector('pre').textContent = JSON.stringify(schema, null, 2);
+    requestBody.hidden = false;
+  }
+
+  renderResponses(node.querySelector('.responses ul'), operation.responses);
+  renderTryIt(node.querySelector('.try'), path, method, operation);
+
+  return node;
+}
+
+function renderSpec() {
+  document.title = `${spec.info.title} - Docs`;
+  document.getElementById('title').textContent = spec.info.title;
+  document.getElementById('description').textContent = spec.info.description || '';
+  document.getElementById('version').textContent = `v${spec.info.version} · OpenAPI ${spec.openapi}`;
+
+  const container = document.getElementById('operations');
+  const nav = document.getElementById('tags');
+  container.replaceChildren();
+
+  (spec.tags || []).forEach(({ name }) => {
+    const section = element('section');
+    section.id = `tag-${name}`;
+    section.append(element('h2', name));
+
+    Object.entries(spec.paths).forEach(([path, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        if ((operation.tags || []).includes(name)) section.append(renderOperation(path, method, operation));
+      });
+    });
+
+    const link = element('a', name);
+    link.href = `#${section.id}`;
+    nav.append(link);
+    container.append(section);
+  });
+}
+
+// ========================================
+// INITIALIZE
+// ========================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const tokenInput = document.getElementById('token');
+  tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+  tokenInput.addEventListener('input', () => sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim()));
+
+  try {
+    const response = await fetch(SPEC_URL);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    spec = await response.json();
+    renderSpec();
+  } catch (error) {
+    document.getElementById('operations').replaceChildren(
+      element('p', `Could not load ${SPEC_URL}: ${error.message}`, 'failed')
+    );
+  }
+});
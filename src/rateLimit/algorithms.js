@@ -0,0 +1,72 @@
+// src/rateLimit/algorithms.js
+// =====================================================
+// RATE LIMITING ALGORITHMS
+// =====================================================
+// Each algorithm is a pure function:
+//
+//   consume(state, now, policy) → { state, allowed, limit, remaining, resetMs, retryAfterMs }
+//
+// `state` is whatever the algorithm stored last time for this key (or
+// null). Keeping them pure lets every store (memory, Postgres) run them
+// inside its own atomic read-modify-write.
+// =====================================================
+
+// =====================================================
+// FIXED WINDOW
+// =====================================================
+// "At most `limit` requests per `windowMs`". Cheap and easy to reason
+// about, but allows bursts of up to 2x limit around a window boundary.
+const fixedWindow = (state, now, { limit, windowMs }) => {
+  const current = state && now < state.windowStart + windowMs
+    ? state
+    : { windowStart: now, count: 0 };
+
+  const count = current.count + 1;
+  const allowed = count <= limit;
+  const resetMs = current.windowStart + windowMs - now;
+
+  return {
+    // Rejected requests don't count, so a client that backs off isn't punished
+    state: { windowStart: current.windowStart, count: allowed ? count : current.count },
+    allowed,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetMs,
+    retryAfterMs: allowed ? 0 : resetMs,
+    ttlMs: resetMs,
+  };
+};
+
+// =====================================================
+// TOKEN BUCKET
+// =====================================================
+// The bucket holds up to `limit` tokens and refills at limit/windowMs.
+// Each request takes one token. Allows short bursts while enforcing a
+// smooth long-run rate.
+const tokenBucket = (state, now, { limit, windowMs }) => {
+  const refillPerMs = limit / windowMs;
+  const previous = state || { tokens: limit, updatedAt: now };
+  const elapsed = Math.max(0, now - previous.updatedAt);
+  const available = Math.min(limit, previous.tokens + elapsed * refillPerMs);
+
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  const resetMs = Math.ceil((limit - tokens) / refillPerMs);
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    resetMs,
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+    ttlMs: resetMs,
+  };
+};
+
+const ALGORITHMS = {
+  'fixed-window': fixedWindow,
+  'token-bucket': tokenBucket,
+};
+
+module.exports = { ALGORITHMS, fixedWindow, tokenBucket };
@@ -0,0 +1,42 @@
+// src/rateLimit/index.js
+// =====================================================
+// RATE LIMIT STORES - PLUGGABLE BACKEND
+// =====================================================
+// Every store implements:
+//
+//   store.consume(key, consumeFn, now) → Promise<result>  (atomic per key)
+//   store.reset(key)              → Promise<void>
+//
+// RATE_LIMIT_STORE picks the shared default:
+//   memory   → per-process Map (default)
+//   postgres → rate_limits table, shared by all instances
+// =====================================================
+
+require('dotenv').config();
+const { createMemoryStore } = require('./stores/memoryStore');
+
+const createStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'postgres':
+      // Required lazily so the memory store never touches the database layer
+      return require('./stores/postgresStore').createPostgresStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected memory or postgres)`);
+  }
+};
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+};
+
+// Lets tests (or custom setups) swap the shared store
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+module.exports = { createStore, getDefaultStore, setDefaultStore };
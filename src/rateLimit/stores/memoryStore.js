@@ -0,0 +1,40 @@
+// src/rateLimit/stores/memoryStore.js
+// =====================================================
+// IN-MEMORY RATE LIMIT STORE
+// =====================================================
+// Fastest option, but counters live in this process only: they reset on
+// restart and are not shared between instances. Fine for a single
+// instance or for tests.
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // Drops expired keys so the map doesn't grow forever
+  const prune = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    // Node runs this synchronously, so read-modify-write is atomic
+    consume: async (key, consumeFn, now = Date.now()) => {
+      if (entries.size > 10000) prune(now);
+
+      const entry = entries.get(key);
+      const state = entry && entry.expiresAt > now ? entry.state : null;
+      const result = consumeFn(state, now);
+
+      entries.set(key, { state: result.state, expiresAt: now + result.ttlMs });
+      return result;
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
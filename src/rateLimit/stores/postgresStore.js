@@ -0,0 +1,32 @@
+// src/rateLimit/stores/postgresStore.js
+// =====================================================
+// POSTGRES RATE LIMIT STORE
+// =====================================================
+// Keeps counters in the rate_limits table so limits hold across restarts
+// and are shared by every instance behind the load balancer.
+
+const db = require('../../models');
+const logger = require('../../utils/logger');
+
+// Expired rows are cleaned up on roughly 1 in PRUNE_EVERY requests
+const PRUNE_EVERY = 500;
+
+const createPostgresStore = () => ({
+  name: 'postgres',
+
+  consume: async (key, consumeFn, now = Date.now()) => {
+    if (Math.random() * PRUNE_EVERY < 1) {
+      db.RateLimitModel.pruneExpired(new Date(now)).catch((error) => {
+        logger.error('Rate limit prune error', { err: error });
+      });
+    }
+
+    return await db.RateLimitModel.consume(key, (state) => consumeFn(state, now), now);
+  },
+
+  reset: async (key) => {
+    await db.RateLimitModel.reset(key);
+  },
+});
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,42 @@
+// src/routes/auditRoutes.js
+// =====================================================
+// AUDIT ROUTES - SECURITY EVENT LOG
+// =====================================================
+// Mounted at /api/audit-events (src/routes/index.js)
+
+const express = require('express');
+const router = express.Router();
+
+const auditController = require('../controllers/auditController');
+const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { listAuditEventsSchema } = require('../validation/auditSchemas');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Applies to every route in this file, per client IP
+router.use(rateLimit(RATE_LIMITS.api));
+
+const authenticatedLimit = rateLimit(RATE_LIMITS.authenticated);
+
+// =====================================================
+// ROUTE 1: LIST AUDIT EVENTS
+// =====================================================
+// Method: GET
+// Path: /api/audit-events
+// Access: Admin only
+// Headers: Authorization: Bearer {token}
+// Query: ?limit=50&sort=-occurredAt&action=auth.login&outcome=failure
+//        &actorId=3&targetType=user&targetId=3&ip=203.0.113.7
+//        &requestId=...&from=2026-01-01&to=2026-02-01&cursor={links.next}
+
+router.get(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  authenticatedLimit,
+  validate(listAuditEventsSchema),
+  auditController.listAuditEvents
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/index.js
+// =====================================================
+// ROUTE TABLE
+// =====================================================
+// Everything createApp() mounts, in order. The OpenAPI document
+// (src/openapi) is built from this same table, so a route added to any
+// of these routers is documented without further changes.
+
+const userRoutes = require('./userRoutes');
+const postRoutes = require('./postRoutes');
+const auditRoutes = require('./auditRoutes');
+const { createSystemRoutes } = require('./systemRoutes');
+
+// settings: the app config (src/config/app.js)
+const createRouteTable = (settings = {}) => [
+  { path: '/api/users', router: userRoutes, tag: 'Users' },
+  { path: '/api/posts', router: postRoutes, tag: 'Posts' },
+  { path: '/api/audit-events', router: auditRoutes, tag: 'Audit' },
+  { path: '', router: createSystemRoutes(settings), tag: 'System' },
+];
+
+module.exports = { createRouteTable };
@@ -0,0 +1,118 @@
+// src/routes/postRoutes.js
+// =====================================================
+// POST ROUTES - BLOG POST ENDPOINTS
+// =====================================================
+// Mounted at /api/posts (src/routes/index.js)
+
+const express = require('express');
+const router = express.Router();
+
+const postController = require('../controllers/postController');
+const commentController = require('../controllers/commentController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const postSchemas = require('../validation/postSchemas');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Applies to every route in this file, per client IP
+router.use(rateLimit(RATE_LIMITS.api));
+
+// =====================================================
+// ROUTE 1: LIST POSTS
+// =====================================================
+// Method: GET
+// Path: /api/posts
+// Access: Public
+// Query: ?limit=20&sort=-createdAt&search=express&authorId=3&cursor={links.next}
+
+router.get('/', validate(postSchemas.listPostsSchema), postController.getAllPosts);
+
+// =====================================================
+// ROUTE 2: CREATE POST
+// =====================================================
+// Method: POST
+// Path: /api/posts
+// Access: Protected (the logged-in user becomes the author)
+// Headers: Authorization: Bearer {token}
+// Body: { title, content }
+
+router.post('/', authenticateToken, validate(postSchemas.createPostSchema), postController.createPost);
+
+// =====================================================
+// ROUTE 3: GET POST BY ID
+// =====================================================
+// Method: GET
+// Path: /api/posts/:id
+// Access: Public
+
+router.get('/:id', validate(postSchemas.postIdSchema), postController.getPostById);
+
+// =====================================================
+// ROUTE 4: UPDATE POST
+// =====================================================
+// Method: PATCH
+// Path: /api/posts/:id
+// Access: Author of the post, or admin
+// Headers: Authorization: Bearer {token}
+// Body: { title?, content? }
+
+router.patch('/:id', authenticateToken, validate(postSchemas.updatePostSchema), postController.updatePost);
+
+// =====================================================
+// ROUTE 5: DELETE POST
+// =====================================================
+// Method: DELETE
+// Path: /api/posts/:id
+// Access: Author of the post, or admin
+// Headers: Authorization: Bearer {token}
+
+router.delete('/:id', authenticateToken, validate(postSchemas.postIdSchema), postController.deletePost);
+
+// =====================================================
+// ROUTE 6: LIST COMMENTS (THREADED)
+// =====================================================
+// Method: GET
+// Path: /api/posts/:id/comments
+// Access: Public
+// Returns top-level comments, each with nested `replies`
+
+router.get('/:id/comments', validate(postSchemas.postIdSchema), commentController.getComments);
+
+// =====================================================
+// ROUTE 7: ADD COMMENT OR REPLY
+// =====================================================
+// Method: POST
+// Path: /api/posts/:id/comments
+// Access: Protected
+// Headers: Authorization: Bearer {token}
+// Body: { content, parentId? } → parentId makes it a reply
+
+router.post('/:id/comments', authenticateToken, validate(postSchemas.createCommentSchema), commentController.createComment);
+
+// =====================================================
+// ROUTE 8: EDIT COMMENT
+// =====================================================
+// Method: PATCH
+// Path: /api/posts/:id/comments/:commentId
+// Access: Comment author, within the edit window (COMMENT_EDIT_WINDOW_MINUTES)
+// Headers: Authorization: Bearer {token}
+// Body: { content }
+
+router.patch('/:id/comments/:commentId', authenticateToken, validate(postSchemas.updateCommentSchema), commentController.updateComment);
+
+// =====================================================
+// ROUTE 9: DELETE COMMENT (SOFT)
+// =====================================================
+// Method: DELETE
+// Path: /api/posts/:id/comments/:commentId
+// Access: Comment author, moderator or admin
+// Headers: Authorization: Bearer {token}
+// The comment stays in the thread as "[deleted]"
+
+router.delete('/:id/comments/:commentId', authenticateToken, validate(postSchemas.commentIdSchema), commentController.deleteComment);
+
+// Posts by one author live under the user: GET /api/users/:id/posts
+// (see userRoutes.js)
+
+module.exports = router;
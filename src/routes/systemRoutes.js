@@ -0,0 +1,100 @@
+// src/routes/systemRoutes.js
+// =====================================================
+// SYSTEM ROUTES - INDEX, DOCS, HEALTH, METRICS + CSP REPORTS
+// =====================================================
+// Mounted at the root by createApp() (see src/routes/index.js). A
+// factory rather than a shared router because /metrics depends on the
+// app's METRICS_TOKEN.
+
+const path = require('path');
+const express = require('express');
+
+const docsController = require('../controllers/docsController');
+const healthController = require('../controllers/healthController');
+const cspController = require('../controllers/cspController');
+const { requireMetricsToken } = require('../middleware/metricsAuth');
+const { contentSecurityPolicy } = require('../middleware/securityHeaders');
+const { rateLimit } = require('../middleware/rateLimiter');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { DOCS_CSP, CSP_REPORT_PATH } = require('../config/security');
+
+// Static docs UI (HTML, JS and CSS only; it reads /openapi.json)
+const DOCS_UI_DIR = path.join(__dirname, '..', 'openapi', 'ui');
+
+// Browsers send reports with their own content types, which the app-wide
+// JSON parser skips
+const parseCspReport = express.json({
+  type: ['application/csp-report', 'application/reports+json', 'application/json'],
+  limit: '64kb',
+});
+
+const createSystemRoutes = ({ metricsToken } = {}) => {
+  const router = express.Router();
+
+  // =====================================================
+  // ROUTE 1: API INDEX
+  // =====================================================
+  // Method: GET
+  // Path: /
+  // Access: Public
+  // Lists every operation from the OpenAPI document
+
+  router.get('/', docsController.getApiIndex);
+
+  // =====================================================
+  // ROUTE 2: OPENAPI DOCUMENT + DOCS UI
+  // =====================================================
+  // Method: GET
+  // Path: /openapi.json, /docs/
+  // Access: Public
+  // The docs page runs scripts, so it gets its own CSP (still 'self' only)
+
+  router.get('/openapi.json', docsController.getOpenApiDocument);
+  router.use('/docs', contentSecurityPolicy(DOCS_CSP), express.static(DOCS_UI_DIR));
+
+  // =====================================================
+  // ROUTE 3: HEALTH PROBES
+  // =====================================================
+  // Method: GET
+  // Path: /health/live, /health/ready (also /health)
+  // Access: Public
+  // live: process is up; ready: database reachable and migrated (503 if not)
+
+  router.get('/health/live', healthController.liveness);
+  router.get('/health/ready', healthController.readiness);
+  router.get('/health', healthController.readiness);
+
+  // =====================================================
+  // ROUTE 4: METRICS
+  // =====================================================
+  // Method: GET
+  // Path: /metrics
+  // Access: Public, or Authorization: Bearer {METRICS_TOKEN} when set
+  // Prometheus text format
+
+  router.get('/metrics', requireMetricsToken(metricsToken), healthController.getMetrics);
+
+  // =====================================================
+  // ROUTE 5: ERROR CATALOG
+  // =====================================================
+  // Method: GET
+  // Path: /problems, /problems/:slug
+  // Access: Public
+
+  router.get('/problems', docsController.listProblems);
+  router.get('/problems/:slug', docsController.getProblem);
+
+  // =====================================================
+  // ROUTE 6: CSP VIOLATION REPORTS
+  // =====================================================
+  // Method: POST
+  // Path: /csp-report
+  // Access: Public (sent by browsers), rate limited per IP
+  // Body: application/csp-report or application/reports+json
+
+  router.post(CSP_REPORT_PATH, rateLimit(RATE_LIMITS.cspReport), parseCspReport, cspController.reportCspViolation);
+
+  return router;
+};
+
+module.exports = { createSystemRoutes };
@@ -12,9 +12,35 @@ const router = express.Router();
 
 // Import controllers (the functions that handle requests)
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
+const postController = require('../controllers/postController');
 
 // Import authentication middleware
-const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  authenticate,
+  authenticateToken,
+  authorizeRoles,
+  authorizeSelfOrRoles,
+} = require('../middleware/authMiddleware');
+
+// Import request validation (schemas live in src/validation)
+const { validate } = require('../middleware/validate');
+const userSchemas = require('../validation/userSchemas');
+const twoFactorSchemas = require('../validation/twoFactorSchemas');
+const { listAuthorPostsSchema } = require('../validation/postSchemas');
+
+// Import rate limiting (policies are tuned in src/config/rateLimits.js)
+const { rateLimit } = require('../middleware/rateLimiter');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Applies to every route in this file, per client IP
+router.use(rateLimit(RATE_LIMITS.api));
+
+// Stricter per-route budgets for endpoints attackers like to hammer
+const registerLimit = rateLimit(RATE_LIMITS.register);
+const loginLimit = rateLimit(RATE_LIMITS.login);
+const emailLimit = rateLimit(RATE_LIMITS.email);
+const authenticatedLimit = rateLimit(RATE_LIMITS.authenticated);
 
 // =====================================================
 // WHAT ARE ROUTES?
@@ -46,11 +72,15 @@ const { authenticateToken } = require('../middleware/authMiddleware');
 // Access: Public (anyone can register)
 // Body: { username, email, password }
 
-router.post('/register', userController.registerUser);
+router.post('/register', registerLimit, validate(userSchemas.registerSchema), userController.registerUser);
 
 // BREAKDOWN:
 // - router.post: Handles POST requests
 // - '/register': The endpoint path
+// - registerLimit: Rate limiter (max sign-ups per IP per hour)
+// - validate(...): Checks the body against registerSchema; on failure
+//   answers 400 with a VALIDATION_FAILED problem listing
+//   errors: [{ location, field, code, message }]
 // - userController.registerUser: Function to execute
 //
 // Full URL will be: http://localhost:3000/api/users/register
@@ -65,24 +95,114 @@ router.post('/register', userController.registerUser);
 // Access: Public (anyone can attempt to login)
 // Body: { email, password }
 
-router.post('/login', userController.loginUser);
+router.post('/login', loginLimit, validate(userSchemas.loginSchema), userController.loginUser);
 
+// Repeated failures (per email and per IP) are slowed down and then
+// locked out: 429 / 423 with a Retry-After header.
+//
 // Response will include JWT token that client stores
 // Client must send this token for protected routes
+// It also includes a refreshToken used to get new access tokens
+
+// =====================================================
+// ROUTE 3: LOGIN - SECOND FACTOR
+// =====================================================
+// Method: POST
+// Path: /api/users/login/2fa
+// Access: Public (needs the challengeToken from POST /login)
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+//
+// When 2FA is on, POST /login answers { twoFactorRequired: true,
+// challengeToken } instead of tokens. This route finishes the login.
+
+router.post('/login/2fa', loginLimit, validate(twoFactorSchemas.twoFactorLoginSchema), twoFactorController.verifyTwoFactorLogin);
+
+// =====================================================
+// ROUTE 4: VERIFY EMAIL
+// =====================================================
+// Method: GET (the link in the email) or POST (frontends/API clients)
+// Path: /api/users/verify-email?token={token}
+// Access: Public (the signed token itself is the credential)
+// Body (POST): { token }
+
+router.get('/verify-email', validate(userSchemas.verifyEmailLinkSchema), userController.verifyEmail);
+router.post('/verify-email', validate(userSchemas.verifyEmailBodySchema), userController.verifyEmail);
+
+// =====================================================
+// ROUTE 5: RESEND VERIFICATION EMAIL
+// =====================================================
+// Method: POST
+// Path: /api/users/resend-verification
+// Access: Public (rate limited per account)
+// Body: { email }
+
+router.post('/resend-verification', emailLimit, validate(userSchemas.emailSchema), userController.resendVerificationEmail);
+
+// =====================================================
+// ROUTE 6: REFRESH ACCESS TOKEN
+// =====================================================
+// Method: POST
+// Path: /api/users/refresh
+// Access: Public (the refresh token itself is the credential)
+// Body: { refreshToken }
+//
+// Returns a NEW access token AND a NEW refresh token.
+// The old refresh token stops working (rotation); presenting it
+// again revokes the whole session.
+
+router.post('/refresh', validate(userSchemas.refreshTokenSchema), userController.refreshTokens);
 
 // =====================================================
-// ROUTE 3: GET ALL USERS
+// ROUTE 7: LOGOUT
+// =====================================================
+// Method: POST
+// Path: /api/users/logout
+// Access: Public (the refresh token itself is the credential)
+// Body: { refreshToken }
+
+router.post('/logout', validate(userSchemas.refreshTokenSchema), userController.logoutUser);
+
+// =====================================================
+// ROUTE 8: FORGOT PASSWORD
+// =====================================================
+// Method: POST
+// Path: /api/users/forgot-password
+// Access: Public
+// Body: { email }
+//
+// Always answers 200 with the same message, whether or not the
+// email is registered, so it can't be used to discover accounts.
+
+router.post('/forgot-password', emailLimit, validate(userSchemas.emailSchema), userController.forgotPassword);
+
+// =====================================================
+// ROUTE 9: RESET PASSWORD
+// =====================================================
+// Method: POST
+// Path: /api/users/reset-password
+// Access: Public (the emailed token itself is the credential)
+// Body: { token, password }
+//
+// On success every existing session of the user is revoked.
+
+router.post('/reset-password', emailLimit, validate(userSchemas.resetPasswordSchema), userController.resetPassword);
+
+// =====================================================
+// ROUTE 10: GET ALL USERS
 // =====================================================
 // Method: GET (we're retrieving data)
 // Path: /api/users
 // Access: Protected (requires valid JWT token)
 // Headers: Authorization: Bearer {token}
+// Query: ?limit=20&sort=-createdAt&search=jo&role=admin
+//        &createdFrom=2024-01-01&createdTo=2024-12-31&cursor={links.next}
 
-router.get('/', authenticateToken, userController.getAllUsers);
+router.get('/', authenticateToken, authenticatedLimit, validate(userSchemas.listUsersSchema), userController.getAllUsers);
 //              ^----------------^
 //              This middleware runs FIRST
 //              If token is valid, controller runs
 //              If token is invalid, request is rejected
+//              authenticatedLimit then limits per user (not per IP)
 
 // MIDDLEWARE EXECUTION ORDER:
 // 1. Request comes in
@@ -95,23 +215,145 @@ router.get('/', authenticateToken, userController.getAllUsers);
 //    - Fetches and returns data
 
 // =====================================================
-// ADDITIONAL ROUTES (for students to implement)
+// ROUTE 11: CHANGE PASSWORD
 // =====================================================
+// Method: POST
+// Path: /api/users/change-password
+// Access: Protected (requires valid JWT token)
+// Headers: Authorization: Bearer {token}
+// Body: { currentPassword, newPassword }
+//
+// Every token issued before the change stops working; the response
+// contains a new token + refreshToken for the current client.
 
-// Get specific user by ID
-// router.get('/:id', authenticateToken, userController.getUserById);
+router.post('/change-password', authenticateToken, validate(userSchemas.changePasswordSchema), userController.changePassword);
 
-// Update user information
-// router.put('/:id', authenticateToken, userController.updateUser);
+// =====================================================
+// ROUTE 12: TWO-FACTOR AUTHENTICATION (TOTP)
+// =====================================================
+// All require: Authorization: Bearer {token}
+//
+// POST /api/users/2fa/setup          → Body: { currentPassword } → { secret, otpauthUrl }
+// POST /api/users/2fa/confirm        → Body: { currentPassword, code } → { recoveryCodes }
+// POST /api/users/2fa/disable        → Body: { password, code | recoveryCode }
+// POST /api/users/2fa/recovery-codes → Body: { code } → new { recoveryCodes }
+//
+// setup/confirm stay reachable for users whose role requires 2FA but
+// who haven't enrolled yet; every other protected route answers 403.
 
-// Delete user
-// router.delete('/:id', authenticateToken, userController.deleteUser);
+const authenticateForTwoFactorSetup = authenticate({ allowMissingTwoFactor: true });
 
-// Change password
-// router.post('/change-password', authenticateToken, userController.changePassword);
+router.post('/2fa/setup', authenticateForTwoFactorSetup, validate(twoFactorSchemas.setupTwoFactorSchema), twoFactorController.setupTwoFactor);
+router.post('/2fa/confirm', authenticateForTwoFactorSetup, validate(twoFactorSchemas.confirmTwoFactorSchema), twoFactorController.confirmTwoFactor);
+router.post('/2fa/disable', authenticateToken, validate(twoFactorSchemas.disableTwoFactorSchema), twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, validate(twoFactorSchemas.codeSchema), twoFactorController.regenerateRecoveryCodes);
+
+// =====================================================
+// ROUTE 13: TWO-FACTOR POLICY
+// =====================================================
+// Access: Admin only
+// GET /api/users/2fa/policy → { requiredRoles }
+// PUT /api/users/2fa/policy → Body: { requiredRoles: ['admin', 'moderator'] }
+
+router.get('/2fa/policy', authenticateToken, authorizeRoles('admin'), twoFactorController.getTwoFactorPolicy);
+router.put('/2fa/policy', authenticateToken, authorizeRoles('admin'), validate(twoFactorSchemas.twoFactorPolicySchema), twoFactorController.updateTwoFactorPolicy);
+
+// =====================================================
+// ROUTE 14: CHANGE USER ROLE (PROMOTE / DEMOTE)
+// =====================================================
+// Method: PATCH (we're updating one field of the user)
+// Path: /api/users/:id/role
+// Access: Admin only
+// Headers: Authorization: Bearer {token}
+// Body: { role } → one of 'user', 'moderator', 'admin'
+
+router.patch('/:id/role', authenticateToken, authorizeRoles('admin'), validate(userSchemas.updateRoleSchema), userController.updateUserRole);
+//                        ^----------------^ ^----------------------^
+//                        Who are you?       Are you allowed?
+
+// =====================================================
+// ROUTE 15: GET USER BY ID
+// =====================================================
+// Method: GET
+// Path: /api/users/:id
+// Access: Protected (any logged-in user)
+// Headers: Authorization: Bearer {token}
+
+router.get('/:id', authenticateToken, validate(userSchemas.userIdSchema), userController.getUserById);
+
+// =====================================================
+// ROUTE 16: LIST POSTS BY AUTHOR
+// =====================================================
+// Method: GET
+// Path: /api/users/:id/posts
+// Access: Public (same as GET /api/posts)
+// Query: same as GET /api/posts (limit, cursor, sort, search)
+
+router.get('/:id/posts', validate(listAuthorPostsSchema), postController.getPostsByAuthor);
+
+// =====================================================
+// ROUTE 17: UPDATE USER
+// =====================================================
+// Method: PATCH (only the fields sent are changed)
+// Path: /api/users/:id
+// Access: Owner of the account, or admin
+// Headers: Authorization: Bearer {token}
+// Body: { username?, email? }
+
+router.patch('/:id', authenticateToken, authorizeSelfOrRoles('admin'), validate(userSchemas.updateUserSchema), userController.updateUser);
+
+// =====================================================
+// ROUTE 18: DELETE USER
+// =====================================================
+// Method: DELETE
+// Path: /api/users/:id
+// Access: Owner of the account, or admin
+// Headers: Authorization: Bearer {token}
+//
+// Deactivates the account (same as ROUTE 21, without the password
+// check); nothing is removed from the database yet.
+
+router.delete('/:id', authenticateToken, authorizeSelfOrRoles('admin'), validate(userSchemas.userIdSchema), userController.deleteUser);
+
+// =====================================================
+// ROUTE 19: PURGE USER
+// =====================================================
+// Method: POST
+// Path: /api/users/:id/purge
+// Access: Admin only
+// Headers: Authorization: Bearer {token}
+//
+// Permanently deletes a deactivated account with its posts and
+// sessions, and frees its username and email. Active accounts have to
+// be deactivated first.
+
+router.post('/:id/purge', authenticateToken, authorizeRoles('admin'), validate(userSchemas.userIdSchema), userController.purgeUser);
+
+// =====================================================
+// ROUTE 20: RESTORE USER
+// =====================================================
+// Method: POST
+// Path: /api/users/:id/restore
+// Access: Admin only
+// Headers: Authorization: Bearer {token}
+//
+// Reactivates a deactivated account; its owner logs in again as before.
+
+router.post('/:id/restore', authenticateToken, authorizeRoles('admin'), validate(userSchemas.userIdSchema), userController.restoreUser);
+
+// =====================================================
+// ROUTE 21: DEACTIVATE OWN ACCOUNT
+// =====================================================
+// Method: POST
+// Path: /api/users/deactivate
+// Access: Protected (requires valid JWT token)
+// Headers: Authorization: Bearer {token}
+// Body: { password }
+//
+// Soft delete: every session ends, login is refused and the username
+// and email stay reserved; an admin can restore the account (ROUTE 20).
 
-// Logout (would invalidate token - requires additional setup)
-// router.post('/logout', authenticateToken, userController.logout);
+router.post('/deactivate', authenticateToken, validate(userSchemas.deactivateAccountSchema), userController.deactivateAccount);
 
 // =====================================================
 // UNDERSTANDING ROUTE PARAMETERS
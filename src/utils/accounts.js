@@ -0,0 +1,72 @@
+// src/utils/accounts.js
+// =====================================================
+// ACCOUNT LIFECYCLE
+// =====================================================
+//   active ──deactivate──▶ deactivated ──restore──▶ active
+//                              │
+//                              └──purge (admin, or grace period over)──▶ gone
+//
+// Deactivation is a soft delete (users."deletedAt"): the account can't
+// log in or use its tokens, drops out of listings, and keeps its
+// username and email reserved. For ACCOUNT_DEACTIVATION_GRACE_DAYS
+// (src/config/accounts.js) nobody else can take them; after that the
+// first registration or profile update that asks for one purges the
+// old account, as does `npm run users:purge`.
+// =====================================================
+
+const db = require('../models');
+const { loadAccountConfig } = require('../config/accounts');
+const audit = require('./audit');
+const clock = require('./clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts deactivated before this moment are past the grace period
+const graceCutoff = ({ now = clock.now(), graceDays = loadAccountConfig().graceDays } = {}) =>
+  new Date(now - graceDays * DAY_MS);
+
+// Soft delete + sign out everywhere
+const deactivate = async (req, userId) => {
+  const deactivated = await db.UserModel.deleteUser(userId, clock.currentDate());
+  if (!deactivated) return false;
+
+  await db.RefreshTokenModel.revokeAllForUser(userId);
+  await audit.record(req, { action: audit.AUDIT_ACTIONS.USER_DEACTIVATED, targetType: 'user', targetId: userId });
+  return true;
+};
+
+// Permanent; req is null for the purge job
+const purge = async (req, userId, reason) => {
+  const purged = await db.UserModel.purgeUser(userId);
+  if (purged) {
+    await audit.record(req, {
+      action: audit.AUDIT_ACTIONS.USER_DELETED,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { reason },
+    });
+  }
+  return purged;
+};
+
+// For duplicate checks: passes `user` (found with includeDeactivated)
+// through, unless it is a deactivated account past its grace period,
+// which is purged so its email/username can be reused
+const releaseIfExpired = async (req, user) => {
+  if (!user || !user.deletedAt || user.deletedAt > graceCutoff()) return user;
+
+  await purge(req, user.id, 'grace_period_expired');
+  return null;
+};
+
+// Returns the number of accounts purged
+const purgeExpired = async ({ now, graceDays } = {}) => {
+  const ids = await db.UserModel.findDeactivatedBefore(graceCutoff({ now, graceDays }));
+  let purged = 0;
+  for (const id of ids) {
+    if (await purge(null, id, 'grace_period_expired')) purged += 1;
+  }
+  return purged;
+};
+
+module.exports = { graceCutoff, deactivate, purge, releaseIfExpired, purgeExpired };
@@ -0,0 +1,88 @@
+// src/utils/audit.js
+// =====================================================
+// AUDIT LOG
+// =====================================================
+// Records security-relevant events in the audit_events table
+// (src/models/auditEventModel.js). Call it from controllers and
+// middleware with the request, so ip, user agent, request id and the
+// logged-in actor are filled in the same way everywhere:
+//
+//   await audit.record(req, {
+//     action: AUDIT_ACTIONS.LOGIN,
+//     outcome: AUDIT_OUTCOMES.FAILURE,
+//     reason: 'AUTH_INVALID_CREDENTIALS',
+//     targetType: 'user', targetId: user.id,
+//     metadata: { method: 'password' },
+//   });
+//
+// Jobs without a request (npm run users:purge) pass null for req.
+//
+// Recording never throws: a failed write is logged and the request goes
+// on, so an audit outage can't lock everyone out. Metadata is redacted
+// like log lines before it is stored.
+//
+// Retention (src/config/audit.js) is applied on roughly 1 in
+// PRUNE_EVERY writes, and by `npm run audit:prune`.
+// =====================================================
+
+const db = require('../models');
+const { AUDIT_ACTIONS, AUDIT_OUTCOMES } = require('../models/auditEventModel');
+const { loadAuditConfig } = require('../config/audit');
+const clock = require('./clock');
+const logger = require('./logger');
+
+const PRUNE_EVERY = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const truncate = (value, length) => (value === undefined || value === null ? null : String(value).slice(0, length));
+
+// Where the event came from; all null for jobs without a request
+const requestContext = (req) =>
+  req
+    ? {
+        ip: truncate(req.ip, 64),
+        userAgent: truncate(req.get('user-agent'), 512),
+        requestId: truncate(req.id, 128),
+        userId: (req.user && req.user.userId) || null,
+      }
+    : { ip: null, userAgent: null, requestId: null, userId: null };
+
+// =====================================================
+// RETENTION
+// =====================================================
+// Returns the number of events deleted (0 when retention is off)
+const prune = async ({ now = clock.now(), retentionDays = loadAuditConfig().retentionDays } = {}) => {
+  if (!retentionDays) return 0;
+  return await db.AuditEventModel.pruneBefore(new Date(now - retentionDays * DAY_MS));
+};
+
+// =====================================================
+// RECORDING
+// =====================================================
+const record = async (req, { action, outcome = AUDIT_OUTCOMES.SUCCESS, reason, actorId, targetType, targetId, metadata }) => {
+  try {
+    const { ip, userAgent, requestId, userId } = requestContext(req);
+    await db.AuditEventModel.record({
+      occurredAt: clock.currentDate(),
+      action,
+      outcome,
+      reason: truncate(reason, 64),
+      actorId: actorId !== undefined ? actorId : userId,
+      targetType: truncate(targetType, 32),
+      targetId: truncate(targetId, 64),
+      ip,
+      userAgent,
+      requestId,
+      metadata: metadata ? logger.redact(metadata) : null,
+    });
+  } catch (error) {
+    logger.error('Audit event write failed', { err: error, action, outcome });
+    return;
+  }
+
+  if (Math.random() * PRUNE_EVERY < 1) {
+    prune().catch((error) => logger.error('Audit retention prune error', { err: error }));
+  }
+};
+
+module.exports = { AUDIT_ACTIONS, AUDIT_OUTCOMES, record, prune };
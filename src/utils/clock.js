@@ -0,0 +1,26 @@
+// src/utils/clock.js
+// =====================================================
+// CLOCK
+// =====================================================
+// Everything that makes a time-based decision (token expiry, lockouts,
+// rate limits, edit windows, resend cooldowns) asks this module for the
+// time instead of calling Date.now() directly, so tests can move time
+// forward with createApp({ clock }).
+//
+// A clock is any object with now() → milliseconds since the epoch.
+// =====================================================
+
+const systemClock = { now: () => Date.now() };
+
+let clock = systemClock;
+
+const now = () => clock.now();
+
+const currentDate = () => new Date(clock.now());
+
+// Passing nothing restores the real clock
+const setClock = (customClock) => {
+  clock = customClock || systemClock;
+};
+
+module.exports = { systemClock, now, currentDate, setClock };
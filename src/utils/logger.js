@@ -0,0 +1,145 @@
+// src/utils/logger.js
+// =====================================================
+// STRUCTURED LOGGER
+// =====================================================
+// Writes one JSON object per line:
+//
+//   {"time":"2024-05-01T12:00:00.000Z","level":"error","msg":"Registration failed",
+//    "requestId":"3f0c…","err":{"name":"Error","message":"…","stack":"…"}}
+//
+// Usage:
+//
+//   const logger = require('../utils/logger');
+//   logger.error('Registration failed', { err: error });
+//   logger.info('Server listening', { port });
+//
+// Lines written while handling a request automatically carry its
+// requestId (see src/middleware/requestLogger.js), however deep the call.
+//
+// Fields whose name looks secret (password, token, authorization,
+// cookie, API key, recovery codes, ...) are replaced with [REDACTED]
+// before anything is written, at any depth.
+//
+// The level comes from src/config/logging.js; createApp({ logger })
+// swaps in another instance (tests capture lines this way).
+// =====================================================
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { LOG_LEVELS, loadLogConfig } = require('../config/logging');
+const clock = require('./clock');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|recovery/i;
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+// =====================================================
+// REDACTION
+// =====================================================
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+});
+
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value) || depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1, seen);
+  });
+  return result;
+};
+
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+};
+
+// Masks secret query parameters, e.g. /verify-email?token=… → ?token=[REDACTED]
+const redactUrl = (url) =>
+  url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, key) =>
+    SENSITIVE_KEY.test(safeDecode(key)) ? `${separator}${key}=${REDACTED}` : match
+  );
+
+// =====================================================
+// LOGGER
+// =====================================================
+// Options:
+//   level    → least severe level written (default: from LOG_LEVEL)
+//   stream   → anything with write(string) (default: process.stdout)
+//   bindings → fields added to every line (see child())
+const createLogger = ({ level = loadLogConfig().level, stream = process.stdout, bindings = {} } = {}) => {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level "${level}"`);
+  }
+
+  const write = (lineLevel, msg, fields = {}) => {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+
+    const entry = {
+      time: clock.currentDate().toISOString(),
+      level: lineLevel,
+      msg,
+      ...redact({ ...bindings, ...requestContext.getStore(), ...fields }),
+    };
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    level,
+    isLevelEnabled: (lineLevel) => LOG_LEVELS.indexOf(lineLevel) >= threshold,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger({ level, stream, bindings: { ...bindings, ...extra } }),
+  };
+};
+
+// =====================================================
+// PROCESS-WIDE LOGGER
+// =====================================================
+let logger = null;
+
+const getLogger = () => {
+  if (!logger) logger = createLogger();
+  return logger;
+};
+
+// Passing nothing goes back to the configured logger
+const setLogger = (customLogger) => {
+  logger = customLogger || null;
+};
+
+// Runs fn with `context` added to every line logged inside it
+const runWithContext = (context, fn) => requestContext.run(context, fn);
+
+module.exports = {
+  REDACTED,
+  createLogger,
+  getLogger,
+  setLogger,
+  runWithContext,
+  redact,
+  redactUrl,
+  debug: (msg, fields) => getLogger().debug(msg, fields),
+  info: (msg, fields) => getLogger().info(msg, fields),
+  warn: (msg, fields) => getLogger().warn(msg, fields),
+  error: (msg, fields) => getLogger().error(msg, fields),
+};
@@ -0,0 +1,125 @@
+// src/utils/loginThrottle.js
+// =====================================================
+// LOGIN BRUTE-FORCE PROTECTION
+// =====================================================
+// Failed logins are counted per account (email) AND per source IP:
+//
+//   1. The first LOGIN_FREE_ATTEMPTS failures cost nothing.
+//   2. After that, each failure adds a growing delay before the next
+//      attempt is accepted (1s, 2s, 4s, ... up to LOGIN_MAX_DELAY_SECONDS).
+//   3. At the lockout threshold the key is locked for
+//      LOGIN_LOCKOUT_MINUTES (accounts → 423, IPs → 429).
+//
+// Failures older than LOGIN_FAILURE_WINDOW_MINUTES are forgotten, and a
+// successful login clears the account's counter. The IP counter is left
+// alone: otherwise logging into an account you own would wipe the
+// failures from guessing at everyone else's.
+//
+// The password/code re-checks of the 2FA endpoints (setup, confirm,
+// disable, recovery codes) count against the same keys.
+// =====================================================
+
+require('dotenv').config();
+const db = require('../models');
+const clock = require('./clock');
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const THROTTLE_CONFIG = {
+  freeAttempts: numberFromEnv('LOGIN_FREE_ATTEMPTS', 3),
+  baseDelaySeconds: numberFromEnv('LOGIN_BASE_DELAY_SECONDS', 1),
+  maxDelaySeconds: numberFromEnv('LOGIN_MAX_DELAY_SECONDS', 30),
+  accountLockoutThreshold: numberFromEnv('LOGIN_LOCKOUT_THRESHOLD', 10),
+  ipLockoutThreshold: numberFromEnv('LOGIN_IP_LOCKOUT_THRESHOLD', 50),
+  lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+  failureWindowMinutes: numberFromEnv('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+};
+
+// =====================================================
+// KEYS
+// =====================================================
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const keysFor = ({ email, ip }) => [accountKey(email), ipKey(ip)];
+
+// =====================================================
+// POLICY
+// =====================================================
+const delayForFailures = (failedCount, config = THROTTLE_CONFIG) => {
+  if (failedCount <= config.freeAttempts) return 0;
+  const delay = config.baseDelaySeconds * 2 ** (failedCount - config.freeAttempts - 1);
+  return Math.min(delay, config.maxDelaySeconds);
+};
+
+const isStale = (row, now, config) =>
+  !row.lastFailedAt || now - row.lastFailedAt.getTime() > config.failureWindowMinutes * 60 * 1000;
+
+// Returns { allowed: true } or { allowed: false, code, retryAfter, detail },
+// where code is AUTH_ACCOUNT_LOCKED or AUTH_LOGIN_THROTTLED (src/errors/catalog.js)
+const checkLoginAllowed = async ({ email, ip }, now = clock.currentDate(), config = THROTTLE_CONFIG) => {
+  const rows = await db.LoginThrottleModel.findByKeys(keysFor({ email, ip }));
+  let blocked = { allowed: true };
+
+  rows.forEach((row) => {
+    const isAccount = row.key.startsWith('account:');
+    let retryAfter = 0;
+
+    if (row.lockedUntil && row.lockedUntil > now) {
+      retryAfter = Math.ceil((row.lockedUntil.getTime() - now.getTime()) / 1000);
+    } else if (!row.lockedUntil && !isStale(row, now.getTime(), config)) {
+      const nextAllowed = row.lastFailedAt.getTime() + delayForFailures(row.failedCount, config) * 1000;
+      retryAfter = Math.max(0, Math.ceil((nextAllowed - now.getTime()) / 1000));
+    }
+
+    if (retryAfter > 0 && (blocked.allowed || retryAfter > blocked.retryAfter)) {
+      const locked = row.lockedUntil && row.lockedUntil > now;
+      blocked = {
+        allowed: false,
+        retryAfter,
+        code: locked && isAccount ? 'AUTH_ACCOUNT_LOCKED' : 'AUTH_LOGIN_THROTTLED',
+        detail: locked && isAccount
+          ? `Account temporarily locked after too many failed login attempts. Try again in ${retryAfter} seconds.`
+          : `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+      };
+    }
+  });
+
+  return blocked;
+};
+
+const recordLoginFailure = async ({ email, ip }, now = clock.currentDate(), config = THROTTLE_CONFIG) => {
+  const thresholds = {
+    [accountKey(email)]: config.accountLockoutThreshold,
+    [ipKey(ip)]: config.ipLockoutThreshold,
+  };
+
+  for (const [key, threshold] of Object.entries(thresholds)) {
+    await db.LoginThrottleModel.recordFailure(key, (row) => {
+      const lockExpired = row.lockedUntil && row.lockedUntil <= now;
+      const previous = lockExpired || isStale(row, now.getTime(), config) ? 0 : row.failedCount;
+      const failedCount = previous + 1;
+
+      return {
+        failedCount,
+        lastFailedAt: now,
+        lockedUntil: threshold > 0 && failedCount >= threshold
+          ? new Date(now.getTime() + config.lockoutMinutes * 60 * 1000)
+          : null,
+      };
+    });
+  }
+};
+
+const recordLoginSuccess = async ({ email }) => await db.LoginThrottleModel.reset([accountKey(email)]);
+
+module.exports = {
+  THROTTLE_CONFIG,
+  delayForFailures,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -0,0 +1,177 @@
+// src/utils/pagination.js
+// =====================================================
+// CURSOR (KEYSET) PAGINATION HELPERS
+// =====================================================
+// Offset pagination (LIMIT/OFFSET) gets slower the deeper you page and
+// skips/duplicates rows when data changes between requests. Keyset
+// pagination instead remembers the last row seen ("cursor") and asks for
+// rows strictly after it in the current sort order.
+//
+// A cursor is an opaque base64url string wrapping { v, id }:
+//   v  → value of the sort column in the last row of the page
+//   id → primary key of that row (tie-breaker for duplicate values)
+// =====================================================
+
+const { Op } = require('sequelize');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// =====================================================
+// ERRORS
+// =====================================================
+// Thrown for bad client input so controllers can answer 400
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+  }
+}
+
+// =====================================================
+// CURSOR ENCODING
+// =====================================================
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object' || decoded.id === undefined || !('v' in decoded)) {
+      throw new Error('missing keys');
+    }
+    return decoded;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+// =====================================================
+// QUERY PARSING
+// =====================================================
+// limit=10            → page size (1..MAX_LIMIT)
+// sort=username       → ascending
+// sort=-createdAt     → descending
+const parseLimit = (limit) => {
+  if (limit === undefined || limit === '') return DEFAULT_LIMIT;
+
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+    throw new PaginationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return parsed;
+};
+
+const parseSort = (sort, allowedFields, defaultSort) => {
+  const raw = sort === undefined || sort === '' ? defaultSort : String(sort);
+  const direction = raw.startsWith('-') ? 'DESC' : 'ASC';
+  const field = raw.replace(/^[-+]/, '');
+
+  if (!allowedFields.includes(field)) {
+    throw new PaginationError(`sort must be one of: ${allowedFields.join(', ')} (prefix with - for descending)`);
+  }
+  return { field, direction };
+};
+
+// =====================================================
+// KEYSET WHERE CLAUSE
+// =====================================================
+// Rows with a NULL sort value (e.g. users created before createdAt was
+// set) always come last, in either direction, ordered by id. For sort
+// DESC on createdAt, "after the cursor" means:
+//   createdAt < v OR (createdAt = v AND id < cursorId) OR createdAt IS NULL
+// and once the cursor itself is in the NULL tail:
+//   createdAt IS NULL AND id < cursorId
+// (a plain "< NULL" matches nothing, which would end the listing early).
+const buildKeysetWhere = ({ field, direction }, cursor) => {
+  const op = direction === 'DESC' ? Op.lt : Op.gt;
+
+  if (field === 'id') {
+    return { id: { [op]: cursor.id } };
+  }
+
+  if (cursor.v === null) {
+    return { [field]: null, id: { [op]: cursor.id } };
+  }
+
+  return {
+    [Op.or]: [
+      { [field]: { [op]: cursor.v } },
+      { [field]: cursor.v, id: { [op]: cursor.id } },
+      { [field]: null },
+    ],
+  };
+};
+
+// =====================================================
+// PAGINATE A MODEL
+// =====================================================
+// Runs the page query and the total-count query for the same filters.
+// Returns { rows, count, nextCursor }; nextCursor is null on the last page.
+const paginate = async (model, { where = {}, attributes, include, limit, sort, cursor, castCursorValue }) => {
+  let pageWhere = where;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    const value = castCursorValue && decoded.v !== null ? castCursorValue(sort.field, decoded.v) : decoded.v;
+    pageWhere = { [Op.and]: [where, buildKeysetWhere(sort, { v: value, id: decoded.id })] };
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const [rows, count] = await Promise.all([
+    model.findAll({
+      where: pageWhere,
+      attributes,
+      include,
+      order: [
+        // Postgres and SQLite disagree on where NULLs go by default
+        [sort.field, `${sort.direction} NULLS LAST`],
+        ['id', sort.direction],
+      ],
+      limit: limit + 1,
+    }),
+    model.count({ where, include, distinct: true }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    count,
+    nextCursor: hasMore ? encodeCursor(last.get(sort.field), last.get('id')) : null,
+  };
+};
+
+// =====================================================
+// NEXT LINK
+// =====================================================
+// Rebuilds the current URL with the cursor swapped for the next one
+const buildNextLink = (req, nextCursor) => {
+  if (!nextCursor) return null;
+
+  const params = new URLSearchParams();
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (key !== 'cursor' && value !== undefined) params.set(key, value);
+  });
+  params.set('cursor', nextCursor);
+
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+};
+
+// Escapes LIKE wildcards so user input is matched literally
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  parseSort,
+  paginate,
+  buildNextLink,
+  escapeLike,
+};
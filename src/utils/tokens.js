@@ -0,0 +1,148 @@
+// src/utils/tokens.js
+// =====================================================
+// ACCESS + REFRESH TOKEN HELPERS
+// =====================================================
+// Access token  → short-lived JWT sent as "Authorization: Bearer ..."
+// Refresh token → long-lived random string, exchanged at
+//                 POST /api/users/refresh for a new pair
+//
+// The access token carries the session id (sid = refresh token family)
+// and the user's token version (tv), so authenticateToken can reject it
+// as soon as the session is revoked or the password changes.
+// =====================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+const db = require('../models');
+const clock = require('./clock');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+
+// =====================================================
+// PRIMITIVES
+// =====================================================
+// JWTs are issued and checked against the app clock (src/utils/clock.js)
+// rather than jsonwebtoken's own Date.now()
+const nowSeconds = () => Math.floor(clock.now() / 1000);
+
+const sign = (payload, expiresIn) =>
+  jwt.sign({ ...payload, iat: nowSeconds() }, process.env.JWT_SECRET, { expiresIn });
+
+// Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError)
+const verify = (token) => jwt.verify(token, process.env.JWT_SECRET, { clockTimestamp: nowSeconds() });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const generateResetToken = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  sign(
+    {
+      userId: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      sid: sessionId,
+      tv: user.tokenVersion,
+    },
+    ACCESS_TOKEN_TTL
+  );
+
+const verifyAccessToken = (token) => verify(token);
+
+// =====================================================
+// SESSIONS
+// =====================================================
+// Stores a new refresh token (hashed) and signs a matching access token.
+// Pass familyId to continue an existing session (rotation); omit it to
+// start a new one (login).
+const issueTokens = async (user, { familyId = crypto.randomUUID(), req } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  await db.RefreshTokenModel.createToken({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt: new Date(clock.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req ? (req.get('user-agent') || '').slice(0, 255) || null : null,
+    ip: req ? req.ip : null,
+  });
+
+  const accessToken = signAccessToken(user, familyId);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: exp - nowSeconds(),
+  };
+};
+
+// =====================================================
+// EMAIL VERIFICATION TOKENS
+// =====================================================
+// Signed with a distinct "purpose" so an access token can never be
+// replayed as a verification link (and vice versa).
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+
+const signEmailVerificationToken = (user, nonce) =>
+  sign(
+    { userId: user.id, email: user.email, nonce, purpose: EMAIL_VERIFICATION_PURPOSE },
+    EMAIL_VERIFICATION_TTL
+  );
+
+// Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError)
+const verifyEmailVerificationToken = (token) => {
+  const decoded = verify(token);
+  if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+// =====================================================
+// TWO-FACTOR CHALLENGE TOKENS
+// =====================================================
+// The "partial" token handed out after a correct password when 2FA is
+// on. It proves step one only: it has no session (sid), so
+// authenticateToken rejects it, and it can only be exchanged at
+// POST /api/users/login/2fa together with a valid code.
+const TWO_FACTOR_PURPOSE = 'two-factor-challenge';
+
+const signTwoFactorChallengeToken = (user) =>
+  sign(
+    { userId: user.id, email: user.email, tv: user.tokenVersion, purpose: TWO_FACTOR_PURPOSE },
+    TWO_FACTOR_CHALLENGE_TTL
+  );
+
+// Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError)
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = verify(token);
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  EMAIL_VERIFICATION_TTL,
+  TWO_FACTOR_CHALLENGE_TTL,
+  hashToken,
+  generateRefreshToken,
+  generateResetToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+};
@@ -0,0 +1,168 @@
+// src/utils/totp.js
+// =====================================================
+// TOTP (RFC 6238) TWO-FACTOR HELPERS
+// =====================================================
+// Time-based one-time passwords, as used by Google Authenticator,
+// Authy, 1Password, etc.:
+//
+//   code = HOTP(secret, floor(unixTime / 30))   (RFC 4226, HMAC-SHA1)
+//
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone
+// is not enough to generate codes.
+// =====================================================
+
+const crypto = require('crypto');
+require('dotenv').config();
+const clock = require('./clock');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'User Management';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the previous/next step too, to tolerate clock drift
+const TOTP_WINDOW = 1;
+
+// =====================================================
+// BASE32 (RFC 4648, no padding)
+// =====================================================
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// =====================================================
+// CODE GENERATION / VERIFICATION
+// =====================================================
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = clock.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const generateCode = (secret, now = clock.now()) => hotp(secret, currentStep(now));
+
+// Returns the matching time step (so callers can block replays), or null
+const verifyCode = (secret, code, now = clock.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+    const candidate = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI understood by authenticator apps (render it as a QR code)
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// =====================================================
+// SECRET ENCRYPTION AT REST
+// =====================================================
+// Key comes from TOTP_ENCRYPTION_KEY (falls back to JWT_SECRET)
+const encryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// =====================================================
+// RECOVERY CODES
+// =====================================================
+// Formatted like "ABCDE-FGHIJ"; compared case-insensitively, dash optional
+const RECOVERY_CODE_COUNT = 10;
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+
+module.exports = {
+  TOTP_ISSUER,
+  TOTP_PERIOD_SECONDS,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
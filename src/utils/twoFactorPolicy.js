@@ -0,0 +1,41 @@
+// src/utils/twoFactorPolicy.js
+// =====================================================
+// TWO-FACTOR POLICY (WHICH ROLES MUST USE 2FA)
+// =====================================================
+// Admins change the policy at runtime (PUT /api/users/2fa/policy); it is
+// stored in the settings table. Until an admin saves one, the default
+// comes from TWO_FACTOR_REQUIRED_ROLES (comma separated, e.g. "admin").
+//
+// authenticateToken reads the policy on every request, so it is cached
+// in memory for a few seconds.
+// =====================================================
+
+require('dotenv').config();
+const db = require('../models');
+const clock = require('./clock');
+
+const SETTING_KEY = 'twoFactor.requiredRoles';
+const CACHE_TTL_MS = 30 * 1000;
+
+const DEFAULT_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+let cache = null;
+
+const getRequiredRoles = async (now = clock.now()) => {
+  if (cache && cache.expiresAt > now) return cache.roles;
+
+  const roles = await db.SettingModel.getValue(SETTING_KEY, DEFAULT_REQUIRED_ROLES);
+  cache = { roles, expiresAt: now + CACHE_TTL_MS };
+  return roles;
+};
+
+const setRequiredRoles = async (roles) => {
+  await db.SettingModel.setValue(SETTING_KEY, roles);
+  cache = null;
+  return roles;
+};
+
+module.exports = { getRequiredRoles, setRequiredRoles };
@@ -0,0 +1,15 @@
+// src/utils/validators.js
+// =====================================================
+// SMALL SHARED INPUT CHECKS
+// =====================================================
+// Request validation itself lives in src/validation; emails are checked
+// with validator.isEmail, the same check as the User model's isEmail rule.
+
+// Largest value of the INTEGER id columns
+const MAX_ID = 2 ** 31 - 1;
+
+// Route params arrive as strings; reject anything that isn't a positive
+// integer id the database can hold
+const isValidId = (id) => /^[1-9]\d*$/.test(String(id)) && Number(id) <= MAX_ID;
+
+module.exports = { MAX_ID, isValidId };
@@ -0,0 +1,30 @@
+// src/validation/auditSchemas.js
+// =====================================================
+// AUDIT LOG ROUTE SCHEMAS
+// =====================================================
+// Used with validate() in src/routes/auditRoutes.js; see ./schema.js for
+// the rules and error codes.
+// =====================================================
+
+const { AUDIT_ACTIONS, AUDIT_OUTCOMES, AUDIT_SORT_FIELDS } = require('../models/auditEventModel');
+const { MAX_LIMIT } = require('../utils/pagination');
+const { string, id, integer, isoDate, oneOf, sortKey } = require('./schema');
+
+const listAuditEventsSchema = {
+  query: {
+    limit: integer({ min: 1, max: MAX_LIMIT, required: false }),
+    cursor: string({ required: false }),
+    sort: sortKey(AUDIT_SORT_FIELDS, { required: false }),
+    action: oneOf(Object.values(AUDIT_ACTIONS), { required: false }),
+    outcome: oneOf(Object.values(AUDIT_OUTCOMES), { required: false }),
+    actorId: id({ required: false }),
+    targetType: string({ required: false }),
+    targetId: string({ required: false }),
+    ip: string({ required: false }),
+    requestId: string({ required: false }),
+    from: isoDate({ required: false }),
+    to: isoDate({ required: false }),
+  },
+};
+
+module.exports = { listAuditEventsSchema };
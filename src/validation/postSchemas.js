@@ -0,0 +1,82 @@
+// src/validation/postSchemas.js
+// =====================================================
+// POST + COMMENT ROUTE SCHEMAS
+// =====================================================
+// Used with validate() in src/routes/postRoutes.js (and the per-author
+// listing in userRoutes.js); see ./schema.js for the rules and error codes.
+// =====================================================
+
+const { SORTABLE_POST_FIELDS, POST_TITLE_LENGTH } = require('../models/postModel');
+const { COMMENT_MAX_LENGTH } = require('../models/commentModel');
+const { MAX_LIMIT } = require('../utils/pagination');
+const { string, id, integer, sortKey, object } = require('./schema');
+
+const title = (flags) => string({ trim: true, max: POST_TITLE_LENGTH.max, ...flags });
+const content = (flags) => string({ notBlank: true, ...flags });
+const commentContent = () => string({ notBlank: true, max: COMMENT_MAX_LENGTH });
+
+const postIdParams = { id: id() };
+
+// =====================================================
+// POSTS
+// =====================================================
+const listQuery = {
+  limit: integer({ min: 1, max: MAX_LIMIT, required: false }),
+  cursor: string({ required: false }),
+  sort: sortKey(SORTABLE_POST_FIELDS, { required: false }),
+  search: string({ required: false }),
+};
+
+const listPostsSchema = {
+  query: { ...listQuery, authorId: id({ required: false }) },
+};
+
+// GET /api/users/:id/posts (the author comes from the path)
+const listAuthorPostsSchema = {
+  params: { id: id() },
+  query: listQuery,
+};
+
+const createPostSchema = {
+  body: { title: title(), content: content() },
+};
+
+const postIdSchema = {
+  params: postIdParams,
+};
+
+const updatePostSchema = {
+  params: postIdParams,
+  body: object(
+    { title: title({ required: false }), content: content({ required: false }) },
+    { atLeastOne: ['title', 'content'] }
+  ),
+};
+
+// =====================================================
+// COMMENTS
+// =====================================================
+const createCommentSchema = {
+  params: postIdParams,
+  body: { content: commentContent(), parentId: id({ required: false, nullable: true }) },
+};
+
+const commentIdSchema = {
+  params: { ...postIdParams, commentId: id() },
+};
+
+const updateCommentSchema = {
+  ...commentIdSchema,
+  body: { content: commentContent() },
+};
+
+module.exports = {
+  listPostsSchema,
+  listAuthorPostsSchema,
+  createPostSchema,
+  postIdSchema,
+  updatePostSchema,
+  createCommentSchema,
+  commentIdSchema,
+  updateCommentSchema,
+};
@@ -0,0 +1,260 @@
+// src/validation/schema.js
+// =====================================================
+// REQUEST SCHEMAS
+// =====================================================
+// A schema lists the fields a request part (body, query or params) may
+// carry and a rule for each:
+//
+//   const registerBody = {
+//     username: string({ min: 3, max: 100 }),
+//     email: email(),
+//     role: oneOf(ROLES, { required: false }),
+//   };
+//
+// Rules check one value and may normalize it (ids become numbers,
+// trimmed strings lose their whitespace). Fields the schema doesn't list
+// are dropped. Wrap the fields in object() for checks that span several
+// fields (atLeastOne, refine).
+//
+// Every failure is { field, code, message }; codes are stable and meant
+// for clients to branch on:
+//   required, invalid_type, too_short, too_long, invalid_email,
+//   invalid_id, out_of_range, not_allowed, invalid_date, no_fields,
+//   plus any code a refine() check returns.
+//
+// The limits come from the models where a column has one (USERNAME_LENGTH,
+// POST_TITLE_LENGTH, ...), and email() uses the same validator.js check
+// as the model's isEmail rule, so the API and the database agree.
+//
+// Each rule also describes itself as JSON Schema (rule.jsonSchema), and
+// toJSONSchema() does the same for a whole schema; the OpenAPI document
+// (src/openapi) is built from these, so it can't drift from the checks.
+// =====================================================
+
+const validator = require('validator');
+const { isValidId, MAX_ID } = require('../utils/validators');
+
+// =====================================================
+// RULES
+// =====================================================
+// A rule is (value, field) → { value } or { error: { code, message } },
+// with .required / .nullable flags read by validateObject and the
+// .jsonSchema it accepts.
+const createRule = (check, { required = true, nullable = false } = {}, jsonSchema = {}) =>
+  Object.assign(check, { required, nullable, jsonSchema });
+
+// Drops undefined keywords (e.g. maxLength when there is no max)
+const compact = (schema) =>
+  Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+
+const fail = (code, message) => ({ error: { code, message } });
+
+// Options: min, max (length), trim (store trimmed), notBlank (reject
+// whitespace-only values without trimming them), allowNumber (accept
+// JSON numbers and turn them into strings, e.g. one-time codes)
+const string = ({ min, max, trim = false, notBlank = false, allowNumber = false, ...flags } = {}) =>
+  createRule((input, field) => {
+    const raw = allowNumber && typeof input === 'number' ? String(input) : input;
+    if (typeof raw !== 'string') return fail('invalid_type', `${field} must be a string`);
+
+    const value = trim ? raw.trim() : raw;
+    if (!value || (notBlank && !value.trim())) {
+      return fail('too_short', `${field} must not be empty`);
+    }
+    if (min !== undefined && value.length < min) {
+      return fail('too_short', `${field} must be at least ${min} characters long`);
+    }
+    if (max !== undefined && value.length > max) {
+      return fail('too_long', `${field} must be at most ${max} characters long`);
+    }
+    return { value };
+  }, flags, compact({
+    type: allowNumber ? ['string', 'number'] : 'string',
+    minLength: Math.max(min || 0, 1),
+    maxLength: max,
+  }));
+
+// Options: max (length; the model's column size)
+const email = ({ max, ...flags } = {}) =>
+  createRule((value, field) => {
+    if (typeof value !== 'string' || !validator.isEmail(value)) {
+      return fail('invalid_email', `${field} must be a valid email address`);
+    }
+    if (max !== undefined && value.length > max) {
+      return fail('too_long', `${field} must be at most ${max} characters long`);
+    }
+    return { value };
+  }, flags, compact({ type: 'string', format: 'email', maxLength: max }));
+
+// Positive integer ids up to MAX_ID (the INTEGER column range); accepts
+// numbers or numeric strings (route params)
+const id = (flags) =>
+  createRule((value, field) => {
+    if ((typeof value !== 'string' && typeof value !== 'number') || !isValidId(value)) {
+      return fail('invalid_id', `${field} must be a positive integer id`);
+    }
+    return { value: Number(value) };
+  }, flags, { type: 'integer', minimum: 1, maximum: MAX_ID });
+
+// "between 1 and 100", "at least 1", "at most 100" or nothing
+const describeBounds = (min, max) => {
+  if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return '';
+};
+
+const integer = ({ min, max, ...flags } = {}) =>
+  createRule((raw, field) => {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (!Number.isInteger(value) || (min !== undefined && value < min) || (max !== undefined && value > max)) {
+      return fail('out_of_range', `${field} must be an integer${describeBounds(min, max)}`);
+    }
+    return { value };
+  }, flags, compact({ type: 'integer', minimum: min, maximum: max }));
+
+// Checks the format but keeps the string, so it can be echoed back in links
+const isoDate = (flags) =>
+  createRule((value, field) => {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+      return fail('invalid_date', `${field} must be a valid ISO 8601 date`);
+    }
+    return { value };
+  }, flags, { type: 'string', format: 'date-time' });
+
+const oneOf = (allowed, flags) =>
+  createRule((value, field) => {
+    if (!allowed.includes(value)) {
+      return fail('not_allowed', `${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return { value };
+  }, flags, { enum: [...allowed] });
+
+// field, -field or +field (descending / ascending)
+const sortKey = (allowed, flags) =>
+  createRule((value, field) => {
+    if (typeof value !== 'string' || !allowed.includes(value.replace(/^[-+]/, ''))) {
+      return fail('not_allowed', `${field} must be one of: ${allowed.join(', ')} (prefix with - for descending)`);
+    }
+    return { value };
+  }, flags, { type: 'string', enum: allowed.flatMap((key) => [key, `-${key}`, `+${key}`]) });
+
+const arrayOf = (itemRule, flags) =>
+  createRule((value, field) => {
+    if (!Array.isArray(value)) return fail('invalid_type', `${field} must be an array`);
+
+    const items = [];
+    for (const item of value) {
+      const result = itemRule(item, `${field}[]`);
+      if (result.error) return result;
+      items.push(result.value);
+    }
+    return { value: items };
+  }, flags, { type: 'array', items: itemRule.jsonSchema });
+
+// =====================================================
+// OBJECTS
+// =====================================================
+// Options:
+//   atLeastOne → field names of which at least one must be present
+//   refine     → (value) → [{ field, code, message }] for cross-field checks;
+//                only runs when every field passed
+class ObjectSchema {
+  constructor(fields, { atLeastOne, refine } = {}) {
+    this.fields = fields;
+    this.atLeastOne = atLeastOne;
+    this.refine = refine;
+  }
+}
+
+const object = (fields, options) => new ObjectSchema(fields, options);
+
+const toObjectSchema = (schema) => (schema instanceof ObjectSchema ? schema : object(schema));
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Returns { value, errors }; value only holds the schema's fields.
+// blankIsMissing treats '' like an absent field (query strings send
+// ?search= for an empty input); a required field left '' is always missing.
+const validateObject = (schema, input, { blankIsMissing = false } = {}) => {
+  const { fields, atLeastOne, refine } = toObjectSchema(schema);
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const raw = source[field];
+
+    if (raw === null && rule.nullable) {
+      value[field] = null;
+      return;
+    }
+
+    if (isMissing(raw) || (raw === '' && (rule.required || blankIsMissing))) {
+      if (rule.required) errors.push({ field, code: 'required', message: `${field} is required` });
+      return;
+    }
+
+    const result = rule(raw, field);
+    if (result.error) {
+      errors.push({ field, ...result.error });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  if (atLeastOne && !atLeastOne.some((field) => !isMissing(source[field]))) {
+    errors.push({
+      field: atLeastOne.join(','),
+      code: 'no_fields',
+      message: `Provide at least one field to update (${atLeastOne.join(', ')})`,
+    });
+  }
+
+  if (refine && errors.length === 0) {
+    errors.push(...refine(value));
+  }
+
+  return { value, errors };
+};
+
+const allowNull = (jsonSchema) => {
+  if (jsonSchema.type) return { ...jsonSchema, type: [...[].concat(jsonSchema.type), 'null'] };
+  if (jsonSchema.enum) return { ...jsonSchema, enum: [...jsonSchema.enum, null] };
+  return jsonSchema;
+};
+
+// JSON Schema for a whole schema (plain fields or object()). Undeclared
+// fields are dropped rather than rejected, so additionalProperties stays
+// open.
+const toJSONSchema = (schema) => {
+  const { fields, atLeastOne } = toObjectSchema(schema);
+  const properties = {};
+  const required = [];
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    properties[field] = rule.nullable ? allowNull(rule.jsonSchema) : { ...rule.jsonSchema };
+    if (rule.required) required.push(field);
+  });
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length && { required }),
+    ...(atLeastOne && { anyOf: atLeastOne.map((field) => ({ required: [field] })) }),
+  };
+};
+
+module.exports = {
+  string,
+  email,
+  id,
+  integer,
+  isoDate,
+  oneOf,
+  sortKey,
+  arrayOf,
+  object,
+  validateObject,
+  toJSONSchema,
+};
@@ -0,0 +1,61 @@
+// src/validation/twoFactorSchemas.js
+// =====================================================
+// TWO-FACTOR ROUTE SCHEMAS
+// =====================================================
+// Used with validate() in src/routes/userRoutes.js; see ./schema.js for
+// the rules and error codes. Only the shape is checked here; whether a
+// code is correct is the controller's job.
+// =====================================================
+
+const { ROLES } = require('../models/userModel');
+const { string, oneOf, arrayOf, object } = require('./schema');
+
+// Authenticator apps show 6 digits; some clients send them as a number
+const code = (flags) => string({ allowNumber: true, ...flags });
+
+// Either a current TOTP code or one of the recovery codes
+const requireCodeOrRecoveryCode = ({ code: totp, recoveryCode }) =>
+  totp === undefined && recoveryCode === undefined
+    ? [{ field: 'code,recoveryCode', code: 'required', message: 'code or recoveryCode is required' }]
+    : [];
+
+const codeSchema = {
+  body: { code: code() },
+};
+
+// Enrolling re-checks the password, so a stolen access token alone can't
+// bind the attacker's authenticator to the account
+const setupTwoFactorSchema = {
+  body: { currentPassword: string() },
+};
+
+const confirmTwoFactorSchema = {
+  body: { currentPassword: string(), code: code() },
+};
+
+const disableTwoFactorSchema = {
+  body: object(
+    { password: string(), code: code({ required: false }), recoveryCode: string({ required: false }) },
+    { refine: requireCodeOrRecoveryCode }
+  ),
+};
+
+const twoFactorLoginSchema = {
+  body: object(
+    { challengeToken: string(), code: code({ required: false }), recoveryCode: string({ required: false }) },
+    { refine: requireCodeOrRecoveryCode }
+  ),
+};
+
+const twoFactorPolicySchema = {
+  body: { requiredRoles: arrayOf(oneOf(ROLES)) },
+};
+
+module.exports = {
+  codeSchema,
+  setupTwoFactorSchema,
+  confirmTwoFactorSchema,
+  disableTwoFactorSchema,
+  twoFactorLoginSchema,
+  twoFactorPolicySchema,
+};
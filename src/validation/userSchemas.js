@@ -0,0 +1,118 @@
+// src/validation/userSchemas.js
+// =====================================================
+// USER ROUTE SCHEMAS
+// =====================================================
+// Used with validate() in src/routes/userRoutes.js; see ./schema.js for
+// the rules and error codes.
+// =====================================================
+
+const { ROLES, PUBLIC_ATTRIBUTES, USERNAME_LENGTH, EMAIL_MAX_LENGTH } = require('../models/userModel');
+const { MAX_LIMIT } = require('../utils/pagination');
+const { string, email, id, integer, isoDate, oneOf, sortKey, object } = require('./schema');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const username = (flags) => string({ ...USERNAME_LENGTH, ...flags });
+const emailAddress = (flags) => email({ max: EMAIL_MAX_LENGTH, ...flags });
+const password = () => string({ min: MIN_PASSWORD_LENGTH });
+const token = () => string();
+
+const userIdParams = { id: id() };
+
+// =====================================================
+// ACCOUNT
+// =====================================================
+const registerSchema = {
+  body: { username: username(), email: emailAddress(), password: password() },
+};
+
+const loginSchema = {
+  // Only presence is checked: format errors would hint at which accounts exist
+  body: { email: string(), password: string() },
+};
+
+// The emailed link sends ?token=...; clients may also POST it as JSON
+const verifyEmailLinkSchema = {
+  query: { token: token() },
+};
+
+const verifyEmailBodySchema = {
+  body: { token: token() },
+};
+
+const emailSchema = {
+  body: { email: emailAddress() },
+};
+
+const resetPasswordSchema = {
+  body: { token: token(), password: password() },
+};
+
+const changePasswordSchema = {
+  body: object(
+    { currentPassword: string(), newPassword: password() },
+    {
+      refine: ({ currentPassword, newPassword }) =>
+        newPassword === currentPassword
+          ? [{ field: 'newPassword', code: 'unchanged', message: 'newPassword must be different from the current password' }]
+          : [],
+    }
+  ),
+};
+
+const refreshTokenSchema = {
+  body: { refreshToken: token() },
+};
+
+// =====================================================
+// USERS RESOURCE
+// =====================================================
+// Self-service deactivation re-checks the password
+const deactivateAccountSchema = {
+  body: object({ password: string() }),
+};
+
+const listUsersSchema = {
+  query: {
+    limit: integer({ min: 1, max: MAX_LIMIT, required: false }),
+    cursor: string({ required: false }),
+    sort: sortKey(PUBLIC_ATTRIBUTES, { required: false }),
+    search: string({ required: false }),
+    role: oneOf(ROLES, { required: false }),
+    createdFrom: isoDate({ required: false }),
+    createdTo: isoDate({ required: false }),
+  },
+};
+
+const userIdSchema = {
+  params: userIdParams,
+};
+
+const updateUserSchema = {
+  params: userIdParams,
+  body: object(
+    { username: username({ required: false }), email: emailAddress({ required: false }) },
+    { atLeastOne: ['username', 'email'] }
+  ),
+};
+
+const updateRoleSchema = {
+  params: userIdParams,
+  body: { role: oneOf(ROLES) },
+};
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  verifyEmailLinkSchema,
+  verifyEmailBodySchema,
+  emailSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  deactivateAccountSchema,
+  refreshTokenSchema,
+  listUsersSchema,
+  userIdSchema,
+  updateUserSchema,
+  updateRoleSchema,
+};
@@ -0,0 +1,232 @@
+// test/audit.test.js
+// =====================================================
+// AUDIT LOG: recording, GET /api/audit-events, retention
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, invalidFields } = require('./helpers/testApp');
+const audit = require('../src/utils/audit');
+const { loadAuditConfig } = require('../src/config/audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('audit log', () => {
+  let ctx;
+  let admin;
+  let member;
+
+  // Newest event matching every given column
+  const lastEvent = async (where) => {
+    const { events } = await ctx.db.AuditEventModel.search({
+      limit: 1,
+      sort: { field: 'occurredAt', direction: 'DESC' },
+      filters: where,
+    });
+    return events[0] && events[0].toJSON();
+  };
+
+  before(async () => {
+    ctx = await startTestApp();
+    admin = await ctx.createSession({ role: 'admin' });
+    member = await ctx.createSession();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // =====================================================
+  // RECORDING
+  // =====================================================
+  describe('recording', () => {
+    it('records registrations', async () => {
+      const user = await ctx.createUser();
+      const event = await lastEvent({ action: audit.AUDIT_ACTIONS.USER_REGISTERED, targetId: String(user.id) });
+
+      assert.equal(event.outcome, 'success');
+      assert.equal(event.actorId, user.id);
+      assert.equal(event.targetType, 'user');
+    });
+
+    it('records logins with the client ip, user agent and request id', async () => {
+      const headers = { 'User-Agent': 'audit-test/1.0', 'X-Request-Id': 'audit-login-1' };
+      await ctx.request('POST', '/api/users/login', {
+        body: { email: member.email, password: member.password },
+        headers,
+      });
+
+      const event = await lastEvent({ action: audit.AUDIT_ACTIONS.LOGIN, requestId: 'audit-login-1' });
+      assert.equal(event.outcome, 'success');
+      assert.equal(event.actorId, member.id);
+      assert.equal(event.targetId, String(member.id));
+      assert.equal(event.userAgent, 'audit-test/1.0');
+      assert.match(event.ip, /127\.0\.0\.1/);
+      assert.deepEqual(event.metadata, { method: 'password', email: member.email });
+    });
+
+    it('records failed logins without an actor', async () => {
+      const headers = { 'X-Request-Id': 'audit-login-2' };
+      await ctx.request('POST', '/api/users/login', { body: { email: member.email, password: 'wrong-password' }, headers });
+
+      const event = await lastEvent({ requestId: 'audit-login-2' });
+      assert.equal(event.action, 'auth.login');
+      assert.equal(event.outcome, 'failure');
+      assert.equal(event.reason, 'AUTH_INVALID_CREDENTIALS');
+      assert.equal(event.actorId, null);
+      assert.equal(event.targetId, String(member.id));
+    });
+
+    it('records refusals of a known user', async () => {
+      await ctx.request('PATCH', `/api/users/${admin.id}/role`, {
+        token: member.token,
+        body: { role: 'admin' },
+        headers: { 'X-Request-Id': 'audit-denied-1' },
+      });
+
+      const forbidden = await lastEvent({ requestId: 'audit-denied-1' });
+      assert.equal(forbidden.action, 'auth.access_denied');
+      assert.equal(forbidden.outcome, 'denied');
+      assert.equal(forbidden.reason, 'AUTH_ROLE_REQUIRED');
+      assert.equal(forbidden.actorId, member.id);
+      assert.deepEqual(forbidden.metadata, { method: 'PATCH', path: `/api/users/${admin.id}/role` });
+    });
+
+    it('leaves anonymous refusals out of the audit log', async () => {
+      await ctx.request('GET', '/api/users', { headers: { 'X-Request-Id': 'audit-denied-2' } });
+      await ctx.request('GET', '/api/users', { token: 'not-a-jwt', headers: { 'X-Request-Id': 'audit-denied-3' } });
+
+      assert.equal(await lastEvent({ requestId: 'audit-denied-2' }), undefined);
+      assert.equal(await lastEvent({ requestId: 'audit-denied-3' }), undefined);
+    });
+
+    it('records role changes with the old and new role', async () => {
+      const user = await ctx.createUser();
+      await ctx.request('PATCH', `/api/users/${user.id}/role`, { token: admin.token, body: { role: 'moderator' } });
+
+      const event = await lastEvent({ action: audit.AUDIT_ACTIONS.USER_ROLE_CHANGED, targetId: String(user.id) });
+      assert.equal(event.actorId, admin.id);
+      assert.deepEqual(event.metadata, { from: 'user', to: 'moderator' });
+    });
+
+    it('redacts secrets in metadata', async () => {
+      await audit.record(
+        { ip: '203.0.113.7', get: () => undefined, id: 'audit-redact-1' },
+        { action: audit.AUDIT_ACTIONS.PASSWORD_CHANGED, actorId: member.id, metadata: { password: 'hunter22' } }
+      );
+
+      const event = await lastEvent({ requestId: 'audit-redact-1' });
+      assert.notEqual(event.metadata.password, 'hunter22');
+    });
+
+    it('never fails the request when the write fails', async (t) => {
+      t.mock.method(ctx.db.AuditEventModel, 'record', async () => {
+        throw new Error('database unavailable');
+      });
+
+      const res = await ctx.request('POST', '/api/users/login', { body: { email: member.email, password: member.password } });
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects updates to recorded events', async () => {
+      const event = await lastEvent({});
+      await assert.rejects(
+        ctx.db.sequelize.query('UPDATE audit_events SET outcome = ? WHERE id = ?', { replacements: ['success', event.id] }),
+        // Sequelize wraps the driver error; the trigger's message is on .original
+        (error) => /append-only/.test(error.original.message)
+      );
+    });
+  });
+
+  // =====================================================
+  // ADMIN QUERY API
+  // =====================================================
+  describe('GET /api/audit-events', () => {
+    const list = (query = '', token = admin.token) => ctx.request('GET', `/api/audit-events${query}`, { token });
+
+    it('is admin only', async () => {
+      assert.equal((await ctx.request('GET', '/api/audit-events')).status, 401);
+      const res = await list('', member.token);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'AUTH_ROLE_REQUIRED');
+    });
+
+    it('lists events newest first', async () => {
+      const res = await list();
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.count > 0);
+      const times = res.body.events.map((event) => Date.parse(event.occurredAt));
+      assert.deepEqual(times, [...times].sort((a, b) => b - a));
+      assert.equal(res.body.pageInfo.limit, 20);
+    });
+
+    it('filters by action, outcome, actor and target', async () => {
+      const byAction = await list('?action=auth.login&outcome=failure');
+      assert.ok(byAction.body.events.length > 0);
+      assert.ok(byAction.body.events.every((event) => event.action === 'auth.login' && event.outcome === 'failure'));
+
+      const byActor = await list(`?actorId=${member.id}`);
+      assert.ok(byActor.body.events.every((event) => event.actorId === member.id));
+
+      const byTarget = await list(`?targetType=user&targetId=${member.id}`);
+      assert.ok(byTarget.body.events.every((event) => event.targetId === String(member.id)));
+    });
+
+    it('filters by time range', async () => {
+      const from = new Date(ctx.clock.now() + DAY_MS).toISOString();
+      const res = await list(`?from=${encodeURIComponent(from)}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 0);
+    });
+
+    it('pages with a cursor', async () => {
+      const first = await list('?limit=2&sort=id');
+      assert.equal(first.body.events.length, 2);
+      assert.equal(first.body.pageInfo.hasMore, true);
+
+      const second = await ctx.request('GET', first.body.links.next.replace(ctx.baseUrl, ''), { token: admin.token });
+      assert.equal(second.status, 200);
+      assert.ok(second.body.events[0].id > first.body.events[1].id);
+    });
+
+    it('validates the query', async () => {
+      const res = await list('?action=auth.nope&outcome=maybe&from=yesterday&cursor=garbage');
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        invalidFields(res).map(([, field]) => field).sort(),
+        ['action', 'from', 'outcome']
+      );
+
+      const badCursor = await list('?cursor=garbage');
+      assert.equal(badCursor.status, 400);
+      assert.deepEqual(invalidFields(badCursor), [['query', 'cursor', 'invalid_cursor']]);
+    });
+  });
+
+  // =====================================================
+  // RETENTION
+  // =====================================================
+  describe('retention', () => {
+    it('deletes events older than the retention period', async () => {
+      const before = (await ctx.db.AuditEventModel.search({ limit: 1, sort: { field: 'id', direction: 'ASC' } })).count;
+      ctx.clock.advance(31 * DAY_MS);
+      await ctx.createUser();
+
+      assert.equal(await audit.prune({ now: ctx.clock.now(), retentionDays: 0 }), 0);
+      assert.equal(await audit.prune({ now: ctx.clock.now(), retentionDays: 30 }), before);
+
+      const remaining = await ctx.db.AuditEventModel.search({ limit: 10, sort: { field: 'id', direction: 'ASC' } });
+      assert.ok(remaining.count > 0);
+      assert.ok(remaining.events.every((event) => event.action === 'user.registered'));
+    });
+
+    it('reads AUDIT_RETENTION_DAYS', () => {
+      assert.equal(loadAuditConfig({}).retentionDays, 365);
+      assert.equal(loadAuditConfig({ AUDIT_RETENTION_DAYS: '0' }).retentionDays, 0);
+      assert.throws(() => loadAuditConfig({ AUDIT_RETENTION_DAYS: '-1' }), /AUDIT_RETENTION_DAYS/);
+      assert.throws(() => loadAuditConfig({ AUDIT_RETENTION_DAYS: 'year' }), /AUDIT_RETENTION_DAYS/);
+    });
+  });
+});
@@ -0,0 +1,571 @@
+// test/auth.test.js
+// =====================================================
+// AUTH FLOWS (userController): register, login, email verification,
+// password reset/change, refresh and logout
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startTestApp, tokenFromMail, invalidFields } = require('./helpers/testApp');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const failQuery = (t, queries, name) => {
+  t.mock.method(queries, name, async () => {
+    throw new Error('database unavailable');
+  });
+};
+
+describe('auth flows', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ config: { trustProxy: true } });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // =====================================================
+  // REGISTER
+  // =====================================================
+  describe('POST /api/users/register', () => {
+    const register = (body) => ctx.request('POST', '/api/users/register', { body });
+
+    it('creates an unverified user and emails a verification link', async () => {
+      const res = await register({ username: 'alice', email: 'alice@example.com', password: PASSWORD });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.username, 'alice');
+      assert.equal(res.body.user.role, 'user');
+      assert.equal(res.body.user.emailVerified, false);
+      assert.equal(res.body.user.password, undefined);
+      assert.ok(tokenFromMail(ctx.mailbox.lastTo('alice@example.com')));
+    });
+
+    it('requires username, email and password', async () => {
+      const res = await register({ username: 'bob', email: 'bob@example.com' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [['body', 'password', 'required']]);
+      assert.equal(res.body.code, 'VALIDATION_FAILED');
+      assert.equal(res.body.detail, 'password is required');
+    });
+
+    it('lists every invalid field at once', async () => {
+      const res = await register({ username: 'bo', email: 'not-an-email', password: '123' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [
+        ['body', 'username', 'too_short'],
+        ['body', 'email', 'invalid_email'],
+        ['body', 'password', 'too_short'],
+      ]);
+    });
+
+    it('applies the same email and username rules as the User model', async () => {
+      // The old regex accepted these; the model's isEmail rule never did
+      const email = await register({ username: 'bob', email: 'bob@example..com', password: PASSWORD });
+      assert.deepEqual(invalidFields(email), [['body', 'email', 'invalid_email']]);
+
+      const username = await register({ username: 'b'.repeat(101), email: 'bob@example.com', password: PASSWORD });
+      assert.deepEqual(invalidFields(username), [['body', 'username', 'too_long']]);
+
+      // Well-formed, but longer than the users.email column
+      const long = `${'a'.repeat(60)}@${'b'.repeat(60)}.${'c'.repeat(40)}.com`;
+      const tooLong = await register({ username: 'bob', email: long, password: PASSWORD });
+      assert.equal(tooLong.status, 400);
+      assert.deepEqual(invalidFields(tooLong), [['body', 'email', 'too_long']]);
+    });
+
+    it('rejects a duplicate email', async () => {
+      const res = await register({ username: 'alice2', email: 'alice@example.com', password: PASSWORD });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'USER_EMAIL_TAKEN');
+    });
+
+    it('rejects a duplicate username', async () => {
+      const res = await register({ username: 'alice', email: 'alice2@example.com', password: PASSWORD });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'USER_USERNAME_TAKEN');
+    });
+
+    it('still creates the account when the verification email fails', async (t) => {
+      t.mock.method(ctx.mailbox, 'send', async () => {
+        throw new Error('SMTP down');
+      });
+
+      const res = await register({ username: 'carol', email: 'carol@example.com', password: PASSWORD });
+      assert.equal(res.status, 201);
+      assert.match(res.body.message, /could not be sent/);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'findUserByEmail');
+      const res = await register({ username: 'dave', email: 'dave@example.com', password: PASSWORD });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // VERIFY EMAIL
+  // =====================================================
+  describe('GET|POST /api/users/verify-email', () => {
+    const verify = (token) => ctx.request('GET', `/api/users/verify-email?token=${encodeURIComponent(token)}`);
+
+    it('requires a token', async () => {
+      const link = await ctx.request('GET', '/api/users/verify-email');
+      assert.equal(link.status, 400);
+      assert.deepEqual(invalidFields(link), [['query', 'token', 'required']]);
+
+      const body = await ctx.request('POST', '/api/users/verify-email', { body: {} });
+      assert.deepEqual(invalidFields(body), [['body', 'token', 'required']]);
+    });
+
+    it('rejects a malformed token', async () => {
+      const res = await verify('garbage');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'EMAIL_VERIFICATION_LINK_INVALID');
+    });
+
+    it('rejects an expired link', async () => {
+      const user = await ctx.createUser({ verified: false });
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      ctx.clock.advance(DAY + MINUTE);
+      const res = await verify(token);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'EMAIL_VERIFICATION_LINK_EXPIRED');
+    });
+
+    it('rejects a link for an account that no longer exists', async () => {
+      const user = await ctx.createUser({ verified: false });
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+      await ctx.db.UserModel.deleteUser(user.id);
+
+      const res = await verify(token);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'EMAIL_VERIFICATION_LINK_INVALID');
+    });
+
+    it('rejects a link replaced by a newer one', async () => {
+      const user = await ctx.createUser({ verified: false });
+      const oldToken = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      ctx.clock.advance(2 * MINUTE);
+      const resend = await ctx.request('POST', '/api/users/resend-verification', { body: { email: user.email } });
+      assert.equal(resend.status, 200);
+
+      const res = await verify(oldToken);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'EMAIL_VERIFICATION_LINK_USED');
+    });
+
+    it('verifies the address (token in a JSON body) and then reports it as already verified', async () => {
+      const user = await ctx.createUser({ verified: false });
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      const res = await ctx.request('POST', '/api/users/verify-email', { body: { token } });
+      assert.equal(res.status, 200);
+      assert.match(res.body.message, /verified successfully/);
+
+      const again = await verify(token);
+      assert.equal(again.status, 200);
+      assert.equal(again.body.message, 'Email address is already verified');
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      const user = await ctx.createUser({ verified: false });
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      failQuery(t, ctx.db.UserModel, 'markEmailVerified');
+      const res = await verify(token);
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // RESEND VERIFICATION
+  // =====================================================
+  describe('POST /api/users/resend-verification', () => {
+    const resend = (body) => ctx.request('POST', '/api/users/resend-verification', { body });
+
+    it('requires a valid email', async () => {
+      const res = await resend({ email: 'nope' });
+      assert.equal(res.status, 400);
+    });
+
+    it('answers generically for unknown and already verified accounts', async () => {
+      const verified = await ctx.createUser();
+      const sent = ctx.mailbox.messages.length;
+
+      const unknown = await resend({ email: 'nobody@example.com' });
+      const known = await resend({ email: verified.email });
+
+      assert.equal(unknown.status, 200);
+      assert.deepEqual(known.body, unknown.body);
+      assert.equal(ctx.mailbox.messages.length, sent);
+    });
+
+    it('enforces the cooldown, then sends a new link', async () => {
+      const user = await ctx.createUser({ verified: false });
+
+      const tooSoon = await resend({ email: user.email });
+      assert.equal(tooSoon.status, 429);
+      assert.ok(Number(tooSoon.headers.get('retry-after')) > 0);
+
+      ctx.clock.advance(2 * MINUTE);
+      const sent = ctx.mailbox.messages.length;
+      const res = await resend({ email: user.email });
+      assert.equal(res.status, 200);
+      assert.equal(ctx.mailbox.messages.length, sent + 1);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'findUserByEmail');
+      const res = await resend({ email: 'someone@example.com' });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // LOGIN
+  // =====================================================
+  describe('POST /api/users/login', () => {
+    let ipCount = 0;
+    // Each test logs in from its own address so throttling doesn't leak
+    const login = (body, ip = `10.0.0.${++ipCount}`) =>
+      ctx.request('POST', '/api/users/login', { body, headers: { 'X-Forwarded-For': ip } });
+
+    it('logs a verified user in with an access and refresh token', async () => {
+      const user = await ctx.createUser();
+      const res = await login({ email: user.email, password: user.password });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.expiresIn, 15 * 60);
+      assert.equal(res.body.user.email, user.email);
+    });
+
+    it('requires email and password', async () => {
+      const res = await login({ email: 'x@example.com', password: '' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [['body', 'password', 'required']]);
+    });
+
+    it('rejects an unknown email and a wrong password the same way', async () => {
+      const user = await ctx.createUser();
+
+      const unknown = await login({ email: 'ghost@example.com', password: PASSWORD });
+      const wrong = await login({ email: user.email, password: 'wrong-password' });
+
+      assert.equal(unknown.status, 401);
+      assert.equal(wrong.status, 401);
+      assert.deepEqual(unknown.body, wrong.body);
+    });
+
+    it('refuses unverified accounts', async () => {
+      const user = await ctx.createUser({ verified: false });
+      const res = await login({ email: user.email, password: user.password });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'AUTH_EMAIL_NOT_VERIFIED');
+    });
+
+    it('asks for the second factor when 2FA is enabled', async () => {
+      const user = await ctx.createUser();
+      await ctx.db.models.User.update({ twoFactorEnabled: true }, { where: { id: user.id } });
+
+      const res = await login({ email: user.email, password: user.password });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.ok(res.body.challengeToken);
+      assert.equal(res.body.token, undefined);
+    });
+
+    it('slows down repeated failures, then locks the account', async () => {
+      const user = await ctx.createUser();
+      const ip = '10.1.0.1';
+      const attempt = () => login({ email: user.email, password: 'wrong-password' }, ip);
+
+      // Three free failures, then a delay before the next attempt
+      for (let i = 0; i < 4; i += 1) {
+        assert.equal((await attempt()).status, 401);
+      }
+      const throttled = await attempt();
+      assert.equal(throttled.status, 429);
+      assert.equal(throttled.body.code, 'AUTH_LOGIN_THROTTLED');
+      assert.equal(throttled.body.retryAfter, 1);
+      assert.equal(throttled.headers.get('retry-after'), '1');
+
+      // Wait out each delay until the lockout threshold (10 failures)
+      for (let i = 4; i < 10; i += 1) {
+        ctx.clock.advance(31 * 1000);
+        assert.equal((await attempt()).status, 401);
+      }
+      const locked = await login({ email: user.email, password: user.password }, '10.1.0.2');
+      assert.equal(locked.status, 423);
+      assert.equal(locked.body.code, 'AUTH_ACCOUNT_LOCKED');
+
+      ctx.clock.advance(16 * MINUTE);
+      const unlocked = await login({ email: user.email, password: user.password }, '10.1.0.2');
+      assert.equal(unlocked.status, 200);
+    });
+
+    it('keeps the IP failure count when another account logs in from it', async () => {
+      const victim = await ctx.createUser();
+      const attacker = await ctx.createUser();
+      const ip = '10.1.1.1';
+      const throttleRow = (key) => ctx.db.models.LoginThrottle.findOne({ where: { key } });
+
+      for (let i = 0; i < 3; i += 1) {
+        assert.equal((await login({ email: victim.email, password: 'wrong-password' }, ip)).status, 401);
+      }
+      assert.equal((await login({ email: attacker.email, password: attacker.password }, ip)).status, 200);
+
+      assert.equal((await throttleRow(`ip:${ip}`)).failedCount, 3);
+      assert.equal((await throttleRow(`account:${victim.email}`)).failedCount, 3);
+
+      // A success clears only its own account's counter
+      assert.equal((await login({ email: victim.email, password: victim.password }, ip)).status, 200);
+      assert.equal(await throttleRow(`account:${victim.email}`), null);
+      assert.equal((await throttleRow(`ip:${ip}`)).failedCount, 3);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'findUserByEmail');
+      const res = await login({ email: 'someone@example.com', password: PASSWORD });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // FORGOT / RESET PASSWORD
+  // =====================================================
+  describe('password reset', () => {
+    const forgot = (email) => ctx.request('POST', '/api/users/forgot-password', { body: { email } });
+    const reset = (body) => ctx.request('POST', '/api/users/reset-password', { body });
+
+    it('requires a valid email', async () => {
+      const res = await forgot('nope');
+      assert.equal(res.status, 400);
+    });
+
+    it('answers generically for unknown addresses and on errors', async (t) => {
+      const sent = ctx.mailbox.messages.length;
+      const unknown = await forgot('nobody@example.com');
+      assert.equal(unknown.status, 200);
+      assert.equal(ctx.mailbox.messages.length, sent);
+
+      const user = await ctx.createUser();
+      failQuery(t, ctx.db.PasswordResetTokenModel, 'createToken');
+      const failed = await forgot(user.email);
+      assert.equal(failed.status, 200);
+      assert.deepEqual(failed.body, unknown.body);
+    });
+
+    it('resets the password once and ends existing sessions', async () => {
+      const user = await ctx.createSession();
+      await forgot(user.email);
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      const res = await reset({ token, password: 'new-password' });
+      assert.equal(res.status, 200);
+
+      const reused = await reset({ token, password: 'another-password' });
+      assert.equal(reused.status, 400);
+      assert.equal(reused.body.code, 'AUTH_PASSWORD_RESET_TOKEN_INVALID');
+
+      const oldSession = await ctx.request('GET', '/api/users', { token: user.token });
+      assert.equal(oldSession.status, 401);
+
+      const login = await ctx.request('POST', '/api/users/login', {
+        body: { email: user.email, password: 'new-password' },
+      });
+      assert.equal(login.status, 200);
+    });
+
+    it('rejects an expired reset token', async () => {
+      const user = await ctx.createUser();
+      await forgot(user.email);
+      const token = tokenFromMail(ctx.mailbox.lastTo(user.email));
+
+      ctx.clock.advance(31 * MINUTE);
+      const res = await reset({ token, password: 'new-password' });
+      assert.equal(res.status, 400);
+    });
+
+    it('validates the token and new password', async () => {
+      const missing = await reset({ password: 'new-password' });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(invalidFields(missing), [['body', 'token', 'required']]);
+
+      const short = await reset({ token: 'abc', password: '123' });
+      assert.equal(short.status, 400);
+      assert.deepEqual(invalidFields(short), [['body', 'password', 'too_short']]);
+
+      const unknown = await reset({ token: 'abc', password: 'new-password' });
+      assert.equal(unknown.status, 400);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.PasswordResetTokenModel, 'findValidByHash');
+      const res = await reset({ token: 'abc', password: 'new-password' });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // CHANGE PASSWORD
+  // =====================================================
+  describe('POST /api/users/change-password', () => {
+    const change = (token, body) => ctx.request('POST', '/api/users/change-password', { token, body });
+
+    it('changes the password, ends other sessions and issues new tokens', async () => {
+      const user = await ctx.createSession();
+      const other = await ctx.request('POST', '/api/users/login', {
+        body: { email: user.email, password: user.password },
+      });
+
+      const res = await change(user.token, { currentPassword: user.password, newPassword: 'new-password' });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+
+      assert.equal((await ctx.request('GET', '/api/users', { token: other.body.token })).status, 401);
+      assert.equal((await ctx.request('GET', '/api/users', { token: res.body.token })).status, 200);
+    });
+
+    it('validates the request', async () => {
+      const user = await ctx.createSession();
+
+      const missing = await change(user.token, { currentPassword: user.password });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(invalidFields(missing), [['body', 'newPassword', 'required']]);
+
+      const short = await change(user.token, { currentPassword: user.password, newPassword: '123' });
+      assert.deepEqual(invalidFields(short), [['body', 'newPassword', 'too_short']]);
+
+      const same = await change(user.token, { currentPassword: user.password, newPassword: user.password });
+      assert.deepEqual(invalidFields(same), [['body', 'newPassword', 'unchanged']]);
+    });
+
+    it('rejects a wrong current password', async () => {
+      const user = await ctx.createSession();
+      const res = await change(user.token, { currentPassword: 'wrong-password', newPassword: 'new-password' });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'AUTH_CURRENT_PASSWORD_INCORRECT');
+    });
+
+    it('returns 404 when the user disappears mid-request', async (t) => {
+      const user = await ctx.createSession();
+      t.mock.method(ctx.db.UserModel, 'findUserByIdWithPassword', async () => null);
+
+      const res = await change(user.token, { currentPassword: user.password, newPassword: 'new-password' });
+      assert.equal(res.status, 404);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      const user = await ctx.createSession();
+      failQuery(t, ctx.db.UserModel, 'findUserByIdWithPassword');
+
+      const res = await change(user.token, { currentPassword: user.password, newPassword: 'new-password' });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // REFRESH
+  // =====================================================
+  describe('POST /api/users/refresh', () => {
+    const refresh = (refreshToken) => ctx.request('POST', '/api/users/refresh', { body: { refreshToken } });
+
+    it('rotates the refresh token', async () => {
+      const user = await ctx.createSession();
+      const res = await refresh(user.refreshToken);
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.notEqual(res.body.refreshToken, user.refreshToken);
+    });
+
+    it('treats reuse of a rotated token as theft and ends the session', async () => {
+      const user = await ctx.createSession();
+      const rotated = await refresh(user.refreshToken);
+
+      const reused = await refresh(user.refreshToken);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'AUTH_REFRESH_TOKEN_REUSED');
+
+      assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+      assert.equal((await ctx.request('GET', '/api/users', { token: rotated.body.token })).status, 401);
+    });
+
+    it('rejects missing, unknown and expired tokens', async () => {
+      const missing = await ctx.request('POST', '/api/users/refresh', { body: {} });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(invalidFields(missing), [['body', 'refreshToken', 'required']]);
+
+      const unknown = await refresh('not-a-real-token');
+      assert.equal(unknown.status, 401);
+      assert.equal(unknown.body.code, 'AUTH_REFRESH_TOKEN_INVALID');
+
+      const user = await ctx.createSession();
+      ctx.clock.advance(31 * DAY);
+      const expired = await refresh(user.refreshToken);
+      assert.equal(expired.status, 401);
+      assert.equal(expired.body.code, 'AUTH_REFRESH_TOKEN_EXPIRED');
+    });
+
+    it('rejects a token whose user no longer exists', async (t) => {
+      const user = await ctx.createSession();
+      t.mock.method(ctx.db.UserModel, 'findUserForAuth', async () => null);
+
+      const res = await refresh(user.refreshToken);
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'AUTH_USER_NOT_FOUND');
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.RefreshTokenModel, 'findByHash');
+      const res = await refresh('whatever');
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // LOGOUT
+  // =====================================================
+  describe('POST /api/users/logout', () => {
+    const logout = (body) => ctx.request('POST', '/api/users/logout', { body });
+
+    it('revokes the session', async () => {
+      const user = await ctx.createSession();
+      const res = await logout({ refreshToken: user.refreshToken });
+
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.request('GET', '/api/users', { token: user.token })).status, 401);
+      assert.equal((await ctx.request('POST', '/api/users/refresh', { body: user })).status, 401);
+    });
+
+    it('stamps revokedAt from the injected clock', async () => {
+      const user = await ctx.createSession();
+      ctx.clock.advance(DAY);
+      await logout({ refreshToken: user.refreshToken });
+
+      const [row] = await ctx.db.models.RefreshToken.findAll({ where: { userId: user.id } });
+      assert.equal(row.revokedAt.getTime(), ctx.clock.now());
+    });
+
+    it('requires a refresh token and accepts unknown ones', async () => {
+      assert.equal((await logout({})).status, 400);
+      assert.equal((await logout({ refreshToken: 'unknown' })).status, 200);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.RefreshTokenModel, 'findByHash');
+      const res = await logout({ refreshToken: 'whatever' });
+      assert.equal(res.status, 500);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// test/authMiddleware.test.js
+// =====================================================
+// AUTHENTICATION + AUTHORIZATION MIDDLEWARE
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startTestApp } = require('./helpers/testApp');
+const { authorizeRoles, authorizeSelfOrRoles } = require('../src/middleware/authMiddleware');
+const { setRequiredRoles } = require('../src/utils/twoFactorPolicy');
+
+// Runs a plain (req, res, next) middleware and reports what it did
+// (refusals with an actor are audited first, so wait for it to settle)
+const runMiddleware = async (middleware, req) => {
+  const result = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await middleware(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+};
+
+describe('authenticateToken', () => {
+  let ctx;
+  const listUsers = (token, headers) => ctx.request('GET', '/api/users', { token, headers });
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('lets a valid token through', async () => {
+    const user = await ctx.createSession();
+    assert.equal((await listUsers(user.token)).status, 200);
+  });
+
+  it('requires a token', async () => {
+    const res = await listUsers();
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_TOKEN_MISSING');
+  });
+
+  it('rejects a malformed or forged token', async () => {
+    const malformed = await listUsers('not-a-jwt');
+    assert.equal(malformed.status, 401);
+    assert.equal(malformed.body.code, 'AUTH_TOKEN_INVALID');
+
+    const forged = await listUsers(jwt.sign({ userId: 1, sid: 'x' }, 'wrong-secret'));
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'AUTH_TOKEN_INVALID');
+  });
+
+  it('rejects an expired token', async () => {
+    const user = await ctx.createSession();
+    ctx.clock.advance(16 * 60 * 1000);
+
+    const res = await listUsers(user.token);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_TOKEN_EXPIRED');
+  });
+
+  it('rejects tokens without a session or for a revoked session', async () => {
+    const user = await ctx.createSession();
+
+    const withoutSid = jwt.sign(
+      { userId: user.id, tv: 0, iat: Math.floor(ctx.clock.now() / 1000) },
+      process.env.JWT_SECRET,
+      { expiresIn: '15m' }
+    );
+    const noSession = await listUsers(withoutSid);
+    assert.equal(noSession.status, 401);
+    assert.equal(noSession.body.code, 'AUTH_SESSION_REVOKED');
+
+    await ctx.request('POST', '/api/users/logout', { body: { refreshToken: user.refreshToken } });
+    const revoked = await listUsers(user.token);
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.code, 'AUTH_SESSION_REVOKED');
+  });
+
+  it('rejects a token whose user no longer exists', async (t) => {
+    const user = await ctx.createSession();
+    t.mock.method(ctx.db.UserModel, 'findUserForAuth', async () => null);
+
+    const res = await listUsers(user.token);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_USER_NOT_FOUND');
+  });
+
+  it('rejects tokens issued before a password change', async () => {
+    const user = await ctx.createSession();
+    const existing = await ctx.db.UserModel.findUserByIdWithPassword(user.id);
+    await ctx.db.UserModel.updatePassword(user.id, existing.password);
+
+    const res = await listUsers(user.token);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_TOKEN_SUPERSEDED');
+  });
+
+  it('blocks roles that require 2FA until the user enrolls, except for setup', async (t) => {
+    const moderator = await ctx.createSession({ role: 'moderator' });
+    await setRequiredRoles(['moderator']);
+    t.after(() => setRequiredRoles([]));
+
+    const blocked = await listUsers(moderator.token);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'AUTH_TWO_FACTOR_SETUP_REQUIRED');
+
+    const setup = await ctx.request('POST', '/api/users/2fa/setup', {
+      token: moderator.token,
+      body: { currentPassword: moderator.password },
+    });
+    assert.equal(setup.status, 200);
+
+    const member = await ctx.createSession();
+    assert.equal((await listUsers(member.token)).status, 200);
+  });
+
+  it('returns 500 when the database fails', async (t) => {
+    const user = await ctx.createSession();
+    t.mock.method(ctx.db.RefreshTokenModel, 'isSessionActive', async () => {
+      throw new Error('database unavailable');
+    });
+
+    const res = await listUsers(user.token);
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+    assert.equal(res.body.detail, 'Server error during authentication');
+  });
+});
+
+describe('authorizeRoles', () => {
+  const adminOnly = authorizeRoles('admin');
+
+  it('requires a role on the request', async () => {
+    const result = await runMiddleware(adminOnly, { user: { userId: 1 } });
+    assert.equal(result.status, 403);
+    assert.equal(result.body.code, 'AUTH_ROLE_REQUIRED');
+  });
+
+  it('rejects other roles and lets allowed ones through', async () => {
+    const denied = await runMiddleware(adminOnly, { user: { userId: 1, role: 'user' } });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'AUTH_ROLE_REQUIRED');
+    assert.equal(denied.body.detail, 'Access denied. Requires one of these roles: admin');
+
+    assert.equal((await runMiddleware(adminOnly, { user: { userId: 1, role: 'admin' } })).nextCalled, true);
+  });
+});
+
+describe('authorizeSelfOrRoles', () => {
+  const selfOrAdmin = authorizeSelfOrRoles('admin');
+
+  it('requires an authenticated user', async () => {
+    const result = await runMiddleware(selfOrAdmin, { params: { id: '1' } });
+    assert.equal(result.status, 401);
+  });
+
+  it('lets the owner and allowed roles through', async () => {
+    assert.equal((await runMiddleware(selfOrAdmin, { user: { userId: 1, role: 'user' }, params: { id: '1' } })).nextCalled, true);
+    assert.equal((await runMiddleware(selfOrAdmin, { user: { userId: 2, role: 'admin' }, params: { id: '1' } })).nextCalled, true);
+  });
+
+  it('rejects everyone else', async () => {
+    const result = await runMiddleware(selfOrAdmin, { user: { userId: 2, role: 'user' }, params: { id: '1' } });
+    assert.equal(result.status, 403);
+    assert.equal(result.body.code, 'AUTH_NOT_OWNER');
+  });
+});
@@ -0,0 +1,203 @@
+// test/comments.test.js
+// =====================================================
+// THREADED COMMENTS (commentController): replies, edit window, soft
+// delete
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, invalidFields } = require('./helpers/testApp');
+
+const MINUTE = 60 * 1000;
+
+describe('comments', () => {
+  let ctx;
+  let author;
+  let commenter;
+  let moderator;
+  let post;
+
+  before(async () => {
+    ctx = await startTestApp();
+    author = await ctx.createSession();
+    commenter = await ctx.createSession();
+    moderator = await ctx.createSession({ role: 'moderator' });
+
+    const res = await ctx.request('POST', '/api/posts', { token: author.token, body: { title: 'Thread', content: 'Body' } });
+    post = res.body.post;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const path = (postId = post.id, commentId) =>
+    `/api/posts/${postId}/comments${commentId !== undefined ? `/${commentId}` : ''}`;
+
+  // Fresh access tokens after moving the clock past their lifetime
+  const login = async (user) => {
+    const res = await ctx.request('POST', '/api/users/login', { body: { email: user.email, password: user.password } });
+    return { ...user, token: res.body.token };
+  };
+
+  const addComment = async (body, user = commenter, postId = post.id) =>
+    await ctx.request('POST', path(postId), { token: user.token, body });
+
+  const edit = (user, commentId, content) =>
+    ctx.request('PATCH', path(post.id, commentId), { token: user.token, body: { content } });
+
+  const remove = (user, commentId) => ctx.request('DELETE', path(post.id, commentId), { token: user.token });
+
+  const thread = async () => (await ctx.request('GET', path())).body;
+
+  const findNode = (nodes, id) => {
+    for (const node of nodes) {
+      if (node.id === id) return node;
+      const found = findNode(node.replies, id);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  // =====================================================
+  // CREATE + THREAD
+  // =====================================================
+  describe('POST /api/posts/:id/comments', () => {
+    it('adds comments and nests replies under their parent', async () => {
+      const root = await addComment({ content: 'Root' });
+      assert.equal(root.status, 201);
+      assert.equal(root.body.comment.parentId, null);
+      assert.equal(new Date(root.body.comment.createdAt).getTime(), ctx.clock.now());
+      assert.deepEqual(root.body.comment.author, { id: commenter.id, username: commenter.username });
+
+      const reply = await addComment({ content: 'Reply', parentId: root.body.comment.id }, author);
+      const nested = await addComment({ content: 'Nested', parentId: reply.body.comment.id });
+      assert.equal(nested.status, 201);
+
+      const { comments } = await thread();
+      const node = findNode(comments, root.body.comment.id);
+      assert.equal(node.replies[0].id, reply.body.comment.id);
+      assert.equal(node.replies[0].replies[0].content, 'Nested');
+    });
+
+    it('requires a login', async () => {
+      const res = await ctx.request('POST', path(), { body: { content: 'x' } });
+      assert.equal(res.status, 401);
+    });
+
+    it('validates the request', async () => {
+      const res = await addComment({ content: '  ', parentId: 'abc' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [
+        ['body', 'content', 'too_short'],
+        ['body', 'parentId', 'invalid_id'],
+      ]);
+    });
+
+    it('rejects parents from another post and unknown posts', async () => {
+      const otherPost = (await ctx.request('POST', '/api/posts', {
+        token: author.token,
+        body: { title: 'Other', content: 'Body' },
+      })).body.post;
+      const foreign = await addComment({ content: 'Elsewhere' }, commenter, otherPost.id);
+
+      const mismatch = await addComment({ content: 'Reply', parentId: foreign.body.comment.id });
+      assert.equal(mismatch.status, 400);
+      assert.equal(mismatch.body.code, 'COMMENT_PARENT_MISMATCH');
+
+      const missing = await addComment({ content: 'x' }, commenter, 999999);
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'POST_NOT_FOUND');
+    });
+  });
+
+  // =====================================================
+  // EDIT WINDOW
+  // =====================================================
+  describe('PATCH /api/posts/:id/comments/:commentId', () => {
+    it('lets the author edit within the window, then refuses', async () => {
+      const comment = (await addComment({ content: 'Original' })).body.comment;
+
+      const res = await edit(commenter, comment.id, 'Edited');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.comment.content, 'Edited');
+      assert.equal(new Date(res.body.comment.editedAt).getTime(), ctx.clock.now());
+
+      ctx.clock.advance(14 * MINUTE);
+      assert.equal((await edit(commenter, comment.id, 'Still in time')).status, 200);
+
+      // Access tokens last as long as the window, so sign in again
+      ctx.clock.advance(2 * MINUTE);
+      [author, commenter, moderator] = await Promise.all([author, commenter, moderator].map(login));
+
+      const late = await edit(commenter, comment.id, 'Too late');
+      assert.equal(late.status, 403);
+      assert.equal(late.body.code, 'COMMENT_EDIT_WINDOW_CLOSED');
+    });
+
+    it("forbids editing someone else's comment, even for moderators", async () => {
+      const comment = (await addComment({ content: 'Mine' })).body.comment;
+
+      for (const user of [author, moderator]) {
+        const res = await edit(user, comment.id, 'Not yours');
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'AUTH_NOT_OWNER');
+      }
+    });
+
+    it('rejects unknown comments and comments of another post', async () => {
+      assert.equal((await edit(commenter, 999999, 'x')).status, 404);
+
+      const comment = (await addComment({ content: 'Here' })).body.comment;
+      const res = await ctx.request('PATCH', path(999999, comment.id), { token: commenter.token, body: { content: 'x' } });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  // =====================================================
+  // SOFT DELETE
+  // =====================================================
+  describe('DELETE /api/posts/:id/comments/:commentId', () => {
+    it('leaves a placeholder that keeps its replies in place', async () => {
+      const parent = (await addComment({ content: 'Parent' })).body.comment;
+      const reply = (await addComment({ content: 'Child', parentId: parent.id }, author)).body.comment;
+      const initial = await thread();
+
+      assert.equal((await remove(commenter, parent.id)).status, 200);
+
+      const updated = await thread();
+      const node = findNode(updated.comments, parent.id);
+      assert.equal(node.deleted, true);
+      assert.equal(node.content, '[deleted]');
+      assert.equal(node.author, null);
+      assert.equal(node.replies[0].id, reply.id);
+      assert.equal(node.replies[0].content, 'Child');
+      assert.equal(updated.count, initial.count - 1);
+    });
+
+    it('refuses edits and replies to a deleted comment', async () => {
+      const comment = (await addComment({ content: 'Gone soon' })).body.comment;
+      await remove(commenter, comment.id);
+
+      const editRes = await edit(commenter, comment.id, 'Back');
+      assert.equal(editRes.status, 400);
+      assert.equal(editRes.body.code, 'COMMENT_DELETED');
+
+      const replyRes = await addComment({ content: 'Reply', parentId: comment.id });
+      assert.equal(replyRes.status, 400);
+      assert.equal(replyRes.body.code, 'COMMENT_PARENT_DELETED');
+    });
+
+    it('lets moderators delete any comment, but not other users', async () => {
+      const comment = (await addComment({ content: 'Spam' })).body.comment;
+
+      const denied = await remove(author, comment.id);
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.code, 'AUTH_NOT_OWNER');
+
+      assert.equal((await remove(moderator, comment.id)).status, 200);
+      // Deleting twice is harmless
+      assert.equal((await remove(moderator, comment.id)).status, 200);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// test/cors.test.js
+// =====================================================
+// CORS ALLOWLIST (src/middleware/cors.js, src/config/cors.js)
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+const { loadCorsConfig } = require('../src/config/cors');
+
+const preflight = (ctx, origin, method = 'POST') =>
+  fetch(`${ctx.baseUrl}/api/users/login`, {
+    method: 'OPTIONS',
+    headers: { Origin: origin, 'Access-Control-Request-Method': method, 'Access-Control-Request-Headers': 'content-type' },
+  });
+
+const get = (ctx, headers = {}) => fetch(`${ctx.baseUrl}/health/live`, { headers });
+
+describe('loadCorsConfig', () => {
+  it('defaults to any origin without credentials', () => {
+    const config = loadCorsConfig({});
+    assert.deepEqual(config.origins, ['*']);
+    assert.equal(config.credentials, false);
+    assert.equal(config.maxAge, 600);
+  });
+
+  it('parses the allowlist and options', () => {
+    const config = loadCorsConfig({
+      CORS_ORIGINS: 'https://App.example.com/, https://*.example.org',
+      CORS_METHODS: 'get,post',
+      CORS_MAX_AGE: '60',
+      CORS_CREDENTIALS: 'true',
+    });
+    assert.deepEqual(config.origins, ['https://app.example.com', 'https://*.example.org']);
+    assert.deepEqual(config.methods, ['GET', 'POST']);
+    assert.equal(config.maxAge, 60);
+    assert.equal(config.credentials, true);
+  });
+
+  it('refuses unusable settings', () => {
+    assert.throws(() => loadCorsConfig({ CORS_ORIGINS: 'example.com' }), /Invalid CORS origin/);
+    assert.throws(() => loadCorsConfig({ CORS_ORIGINS: 'https://example.com/app' }), /Invalid CORS origin/);
+    assert.throws(() => loadCorsConfig({ CORS_CREDENTIALS: 'true' }), /explicit CORS_ORIGINS/);
+    assert.throws(() => loadCorsConfig({ CORS_MAX_AGE: 'ten' }), /CORS_MAX_AGE/);
+  });
+});
+
+describe('CORS with the default (any origin)', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('answers with * and no Vary: Origin', async () => {
+    const res = await get(ctx, { Origin: 'https://anywhere.test' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), '*');
+    assert.match(res.headers.get('access-control-expose-headers'), /X-Request-Id/);
+    assert.equal(res.headers.get('vary'), null);
+  });
+});
+
+describe('CORS with an allowlist and credentials', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({
+      config: {
+        cors: {
+          origins: ['https://app.example.com', 'https://*.preview.example.com'],
+          credentials: true,
+          maxAge: 120,
+        },
+      },
+    });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('echoes allowed origins, exact or by subdomain pattern', async () => {
+    for (const origin of ['https://app.example.com', 'https://pr-12.preview.example.com', 'https://a.b.preview.example.com']) {
+      const res = await get(ctx, { Origin: origin });
+      assert.equal(res.headers.get('access-control-allow-origin'), origin);
+      assert.equal(res.headers.get('access-control-allow-credentials'), 'true');
+      assert.equal(res.headers.get('vary'), 'Origin');
+    }
+  });
+
+  it('sends no CORS headers to unlisted origins', async () => {
+    for (const origin of ['https://evil.test', 'https://preview.example.com', 'http://app.example.com', 'https://app.example.com.evil.test']) {
+      const res = await get(ctx, { Origin: origin });
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('access-control-allow-origin'), null);
+      assert.equal(res.headers.get('vary'), 'Origin');
+    }
+  });
+
+  it('leaves same-origin and non-browser requests alone', async () => {
+    const res = await get(ctx);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('answers preflights from allowed origins', async () => {
+    const res = await preflight(ctx, 'https://app.example.com');
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('access-control-allow-origin'), 'https://app.example.com');
+    assert.equal(res.headers.get('access-control-allow-credentials'), 'true');
+    assert.match(res.headers.get('access-control-allow-methods'), /POST/);
+    assert.match(res.headers.get('access-control-allow-headers'), /Content-Type/);
+    assert.equal(res.headers.get('access-control-max-age'), '120');
+    assert.equal(res.headers.get('vary'), 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers');
+  });
+
+  it('rejects preflights from unlisted origins', async () => {
+    const res = await preflight(ctx, 'https://evil.test');
+    const body = await res.json();
+    assert.equal(res.status, 403);
+    assert.equal(body.code, 'CORS_ORIGIN_NOT_ALLOWED');
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+  });
+});
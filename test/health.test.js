@@ -0,0 +1,152 @@
+// test/health.test.js
+// =====================================================
+// HEALTH PROBES + METRICS ENDPOINT
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+const { createMigrator } = require('../src/db/migrator');
+
+// Value of one sample line in a Prometheus text body, or undefined
+const sampleValue = (text, series) => {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+const scrape = async (ctx, headers = {}) => {
+  const response = await fetch(`${ctx.baseUrl}/metrics`, { headers });
+  return { status: response.status, headers: response.headers, text: await response.text() };
+};
+
+describe('health probes', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('reports liveness without touching the database', async (t) => {
+    t.mock.method(ctx.db.sequelize, 'query', async () => {
+      throw new Error('database unavailable');
+    });
+
+    const res = await ctx.request('GET', '/health/live');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+  });
+
+  it('is ready when the database answers and is migrated', async () => {
+    for (const path of ['/health/ready', '/health']) {
+      const res = await ctx.request('GET', path);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'ready');
+      assert.equal(res.body.checks.database.status, 'up');
+      assert.deepEqual(res.body.checks.migrations, { status: 'up', pending: [] });
+    }
+  });
+
+  it('is not ready when the database is down', async (t) => {
+    t.mock.method(ctx.db.sequelize, 'query', async () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const res = await ctx.request('GET', '/health/ready');
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'SERVICE_NOT_READY');
+    assert.deepEqual(res.body.checks.database, { status: 'down', error: 'connect ECONNREFUSED' });
+    assert.equal(res.body.checks.migrations.status, 'unknown');
+  });
+
+  it('is not ready while migrations are pending', async () => {
+    const migrator = createMigrator({ sequelize: ctx.db.sequelize, logger: { log: () => {} } });
+    const [reverted] = await migrator.down();
+
+    try {
+      const res = await ctx.request('GET', '/health/ready');
+      assert.equal(res.status, 503);
+      assert.equal(res.body.checks.database.status, 'up');
+      assert.deepEqual(res.body.checks.migrations, { status: 'pending', pending: [reverted] });
+    } finally {
+      await migrator.up();
+    }
+  });
+});
+
+describe('GET /metrics', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('serves the Prometheus text format', async () => {
+    const res = await scrape(ctx);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    assert.match(res.headers.get('content-type'), /version=0\.0\.4/);
+    assert.match(res.text, /# TYPE http_requests_total counter/);
+    assert.match(res.text, /# TYPE http_request_duration_seconds histogram/);
+    assert.match(res.text, /^db_pool_max_connections \d+$/m);
+  });
+
+  it('counts requests and latency per route pattern', async () => {
+    const user = await ctx.createSession();
+    await ctx.request('GET', `/api/users/${user.id}`, { token: user.token });
+    await ctx.request('GET', '/api/users/99999', { token: user.token });
+    await ctx.request('GET', '/no/such/route');
+
+    const { text } = await scrape(ctx);
+
+    assert.equal(sampleValue(text, 'http_requests_total{method="GET",route="/api/users/:id",status="200"}'), 1);
+    assert.equal(sampleValue(text, 'http_requests_total{method="GET",route="/api/users/:id",status="404"}'), 1);
+    assert.equal(sampleValue(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+    assert.equal(sampleValue(text, 'http_request_duration_seconds_count{method="GET",route="/api/users/:id"}'), 2);
+    assert.equal(sampleValue(text, 'http_request_duration_seconds_bucket{method="GET",route="/api/users/:id",le="+Inf"}'), 2);
+    assert.ok(!text.includes('/api/users/99999'));
+    assert.ok(!text.includes('route="/metrics"'));
+  });
+
+  it('counts login outcomes', async () => {
+    const series = (result) => `auth_login_attempts_total{method="password",result="${result}"}`;
+    const before = await scrape(ctx);
+    const user = await ctx.createUser();
+
+    await ctx.request('POST', '/api/users/login', { body: { email: user.email, password: user.password } });
+    await ctx.request('POST', '/api/users/login', { body: { email: user.email, password: 'wrong-password' } });
+
+    const after = await scrape(ctx);
+    const delta = (result) =>
+      (sampleValue(after.text, series(result)) || 0) - (sampleValue(before.text, series(result)) || 0);
+
+    assert.equal(delta('success'), 1);
+    assert.equal(delta('failure'), 1);
+  });
+});
+
+describe('GET /metrics with METRICS_TOKEN', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ config: { metricsToken: 'scrape-secret' } });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('requires the bearer token', async () => {
+    assert.equal((await scrape(ctx)).status, 401);
+    assert.equal((await scrape(ctx, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await scrape(ctx, { Authorization: 'Bearer scrape-secret' })).status, 200);
+  });
+});
@@ -0,0 +1,164 @@
+// test/helpers/testApp.js
+// =====================================================
+// INTEGRATION TEST HARNESS
+// =====================================================
+// Boots the real app (createApp) against a fresh in-memory SQLite
+// database with the migrations applied, a fake clock and a mailbox that
+// keeps sent emails instead of delivering them. Logging is silent
+// (NODE_ENV=test) unless a logger is passed in:
+//
+//   const ctx = await startTestApp();
+//   const res = await ctx.request('POST', '/api/users/login', { body });
+//   ctx.clock.advance(16 * 60 * 1000);
+//   await ctx.close();
+//
+// Must be required before anything in src/ so the settings below are in
+// place when modules read process.env at load time.
+// =====================================================
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'integration-test-secret';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+process.env.TWO_FACTOR_REQUIRED_ROLES = '';
+process.env.MAIL_DRIVER = 'console';
+// The default registry is never used (every test injects its own), but
+// src/config/database.js still builds it on require
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+
+const { createApp } = require('../../src/app');
+const { createSequelize } = require('../../src/config/database');
+const { createModels, setDatabase } = require('../../src/models');
+const { createMigrator } = require('../../src/db/migrator');
+const { setClock } = require('../../src/utils/clock');
+const { setTransport } = require('../../src/mail');
+const { createLogger, setLogger } = require('../../src/utils/logger');
+
+const PASSWORD = 'password123';
+
+// =====================================================
+// FAKES
+// =====================================================
+const createFakeClock = (start = Date.now()) => {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => {
+      current += ms;
+    },
+  };
+};
+
+const createMailbox = () => {
+  const messages = [];
+  return {
+    messages,
+    send: async (message) => {
+      messages.push(message);
+      return { messageId: `test-${messages.length}` };
+    },
+    // Newest message to this address, or undefined
+    lastTo: (to) => [...messages].reverse().find((message) => message.to === to),
+  };
+};
+
+// Logger that keeps parsed lines in memory
+const createLogCapture = (level = 'debug') => {
+  const lines = [];
+  const logger = createLogger({
+    level,
+    stream: { write: (text) => lines.push(JSON.parse(text)) },
+  });
+  return { logger, lines };
+};
+
+// Pulls the ?token=... value out of an emailed link
+const tokenFromMail = (message) => {
+  const match = message && message.text.match(/[?&]token=([^\s&]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// [location, field, code] for each entry of a 400 validation response
+const invalidFields = (res) => res.body.errors.map(({ location, field, code }) => [location, field, code]);
+
+// =====================================================
+// APP
+// =====================================================
+const startTestApp = async ({ config, logger } = {}) => {
+  const sequelize = createSequelize({ DB_DIALECT: 'sqlite', DB_STORAGE: ':memory:' });
+  const db = createModels(sequelize);
+  await createMigrator({ sequelize, logger: { log: () => {} } }).up();
+
+  const clock = createFakeClock();
+  const mailbox = createMailbox();
+  const app = createApp({ db, clock, mailTransport: mailbox, config, logger });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, headers, body } for any status code
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  // Registers through the API, optionally verifies via the emailed link,
+  // and optionally sets a role directly in the database
+  let userCount = 0;
+  const createUser = async ({ role, verified = true, password = PASSWORD } = {}) => {
+    userCount += 1;
+    const username = `user${userCount}`;
+    const email = `${username}@example.com`;
+
+    const registered = await request('POST', '/api/users/register', { body: { username, email, password } });
+    if (registered.status !== 201) {
+      throw new Error(`register failed: ${registered.status} ${JSON.stringify(registered.body)}`);
+    }
+
+    if (verified) {
+      const token = tokenFromMail(mailbox.lastTo(email));
+      await request('GET', `/api/users/verify-email?token=${encodeURIComponent(token)}`);
+    }
+
+    if (role) {
+      await db.UserModel.updateUserRole(registered.body.user.id, role);
+    }
+
+    return { id: registered.body.user.id, username, email, password };
+  };
+
+  // createUser + login; returns the user with token and refreshToken
+  const createSession = async (options) => {
+    const user = await createUser(options);
+    const login = await request('POST', '/api/users/login', { body: { email: user.email, password: user.password } });
+    if (login.status !== 200) {
+      throw new Error(`login failed: ${login.status} ${JSON.stringify(login.body)}`);
+    }
+    return { ...user, token: login.body.token, refreshToken: login.body.refreshToken };
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await sequelize.close();
+    setDatabase(null);
+    setClock();
+    setTransport(null);
+    setLogger();
+  };
+
+  return { app, db, clock, mailbox, baseUrl, request, createUser, createSession, close };
+};
+
+module.exports = { PASSWORD, startTestApp, createLogCapture, tokenFromMail, invalidFields };
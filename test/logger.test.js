@@ -0,0 +1,160 @@
+// test/logger.test.js
+// =====================================================
+// STRUCTURED LOGGING + REQUEST IDS
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createLogCapture } = require('./helpers/testApp');
+const { createLogger, redact, redactUrl, runWithContext, REDACTED } = require('../src/utils/logger');
+const { loadLogConfig } = require('../src/config/logging');
+
+describe('createLogger', () => {
+  it('writes JSON lines at or above its level', () => {
+    const { logger, lines } = createLogCapture('warn');
+
+    logger.debug('hidden');
+    logger.info('hidden');
+    logger.warn('careful', { attempt: 2 });
+    logger.error('broken');
+
+    assert.deepEqual(
+      lines.map(({ level, msg }) => `${level}:${msg}`),
+      ['warn:careful', 'error:broken']
+    );
+    assert.equal(lines[0].attempt, 2);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+
+  it('writes nothing when silent, and rejects unknown levels', () => {
+    const { logger, lines } = createLogCapture('silent');
+    logger.error('hidden');
+
+    assert.deepEqual(lines, []);
+    assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level/);
+  });
+
+  it('adds child bindings and the current context to every line', () => {
+    const { logger, lines } = createLogCapture();
+
+    runWithContext({ requestId: 'req-1' }, () => logger.child({ component: 'mailer' }).info('sent'));
+
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal(lines[0].component, 'mailer');
+  });
+});
+
+describe('redaction', () => {
+  it('redacts secret-looking fields at any depth and serializes errors', () => {
+    const error = new Error('boom');
+    const result = redact({
+      body: { email: 'a@example.com', password: 'hunter22', newPassword: 'x', refreshToken: 'r' },
+      headers: { Authorization: 'Bearer abc', 'x-api-key': 'k', accept: 'json' },
+      recoveryCodes: ['a', 'b'],
+      err: error,
+    });
+
+    assert.deepEqual(result.body, {
+      email: 'a@example.com',
+      password: REDACTED,
+      newPassword: REDACTED,
+      refreshToken: REDACTED,
+    });
+    assert.deepEqual(result.headers, { Authorization: REDACTED, 'x-api-key': REDACTED, accept: 'json' });
+    assert.equal(result.recoveryCodes, REDACTED);
+    assert.equal(result.err.message, 'boom');
+    assert.equal(result.err.stack, error.stack);
+  });
+
+  it('copes with cycles', () => {
+    const node = { name: 'loop' };
+    node.self = node;
+    assert.deepEqual(redact(node), { name: 'loop', self: '[Truncated]' });
+  });
+
+  it('masks secret query parameters in URLs', () => {
+    assert.equal(
+      redactUrl('/api/users/verify-email?token=abc.def&lang=en'),
+      `/api/users/verify-email?token=${REDACTED}&lang=en`
+    );
+    assert.equal(redactUrl('/api/users?limit=5'), '/api/users?limit=5');
+  });
+});
+
+describe('loadLogConfig', () => {
+  it('defaults per environment and honours LOG_LEVEL', () => {
+    assert.equal(loadLogConfig({ NODE_ENV: 'development' }).level, 'debug');
+    assert.equal(loadLogConfig({ NODE_ENV: 'test' }).level, 'silent');
+    assert.equal(loadLogConfig({ NODE_ENV: 'production' }).level, 'info');
+    assert.equal(loadLogConfig({}).level, 'info');
+    assert.equal(loadLogConfig({ NODE_ENV: 'production', LOG_LEVEL: 'WARN' }).level, 'warn');
+    assert.throws(() => loadLogConfig({ LOG_LEVEL: 'loud' }), /Unknown LOG_LEVEL/);
+  });
+});
+
+describe('request logging', () => {
+  let ctx;
+  let capture;
+
+  before(async () => {
+    capture = createLogCapture();
+    ctx = await startTestApp({ logger: capture.logger });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const accessLines = (requestId) =>
+    capture.lines.filter((line) => line.msg === 'request completed' && line.requestId === requestId);
+
+  it('generates a request id and logs status and latency', async () => {
+    const res = await ctx.request('GET', '/health');
+    const requestId = res.headers.get('x-request-id');
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+
+    const [line] = accessLines(requestId);
+    assert.equal(line.level, 'info');
+    assert.equal(line.method, 'GET');
+    assert.equal(line.path, '/health');
+    assert.equal(line.status, 200);
+    assert.equal(typeof line.durationMs, 'number');
+  });
+
+  it('propagates a caller-supplied request id, and replaces unsafe ones', async () => {
+    const res = await ctx.request('GET', '/health', { headers: { 'X-Request-Id': 'upstream-42' } });
+    assert.equal(res.headers.get('x-request-id'), 'upstream-42');
+    assert.equal(accessLines('upstream-42').length, 1);
+
+    const unsafe = await ctx.request('GET', '/health', { headers: { 'X-Request-Id': 'a b\tc' } });
+    assert.notEqual(unsafe.headers.get('x-request-id'), 'a b\tc');
+  });
+
+  it('logs 4xx as warn and redacts secrets in the path', async () => {
+    const res = await ctx.request('GET', '/api/users/verify-email?token=secret-value');
+    const [line] = accessLines(res.headers.get('x-request-id'));
+
+    assert.equal(line.level, 'warn');
+    assert.equal(line.status, 400);
+    assert.equal(line.path, `/api/users/verify-email?token=${REDACTED}`);
+    assert.ok(!JSON.stringify(capture.lines).includes('secret-value'));
+  });
+
+  it('tags errors logged deep in a controller with the request id', async (t) => {
+    const user = await ctx.createSession();
+    t.mock.method(ctx.db.UserModel, 'getAllUsers', async () => {
+      throw new Error('database unavailable');
+    });
+
+    const res = await ctx.request('GET', '/api/users', { token: user.token });
+    const requestId = res.headers.get('x-request-id');
+    const errorLine = capture.lines.find((line) => line.requestId === requestId && line.msg === 'Fetch users error');
+
+    assert.equal(res.status, 500);
+    assert.equal(errorLine.level, 'error');
+    assert.equal(errorLine.err.message, 'database unavailable');
+    assert.equal(accessLines(requestId)[0].level, 'error');
+    assert.equal(accessLines(requestId)[0].userId, user.id);
+  });
+});
@@ -0,0 +1,61 @@
+// test/mail.test.js
+// =====================================================
+// MAILER (src/mail): driver selection and transports
+// =====================================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogCapture } = require('./helpers/testApp');
+const { checkMailConfig } = require('../src/mail');
+const { createConsoleTransport } = require('../src/mail/transports/consoleTransport');
+const { REDACTED } = require('../src/utils/logger');
+
+describe('checkMailConfig', () => {
+  it('defaults to the console driver outside production', () => {
+    assert.equal(checkMailConfig({}), 'console');
+    assert.equal(checkMailConfig({ NODE_ENV: 'development', MAIL_DRIVER: 'console' }), 'console');
+  });
+
+  it('refuses the console driver in production', () => {
+    assert.throws(() => checkMailConfig({ NODE_ENV: 'production' }), /MAIL_DRIVER=console/);
+    assert.throws(() => checkMailConfig({ NODE_ENV: 'production', MAIL_DRIVER: 'console' }), /MAIL_DRIVER=console/);
+  });
+
+  it('accepts real delivery in production', () => {
+    assert.equal(checkMailConfig({ NODE_ENV: 'production', MAIL_DRIVER: 'smtp' }), 'smtp');
+  });
+});
+
+describe('console transport', () => {
+  const message = {
+    from: 'no-reply@localhost',
+    to: 'alice@example.com',
+    subject: 'Verify your email address',
+    text: 'Open http://localhost:3000/api/users/reset-password?token=abc.def&lang=en\nOr send this code: abc.def',
+  };
+
+  it('logs the message as one line, with only the links', async () => {
+    const { logger, lines } = createLogCapture();
+    const transport = createConsoleTransport({ logger });
+
+    const { messageId } = await transport.send(message);
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].messageId, messageId);
+    assert.equal(lines[0].to, 'alice@example.com');
+    // Followable outside production
+    assert.deepEqual(lines[0].links, ['http://localhost:3000/api/users/reset-password?token=abc.def&lang=en']);
+    assert.equal(lines[0].text, undefined);
+  });
+
+  it('masks the secrets in links in production', async () => {
+    const { logger, lines } = createLogCapture();
+    const transport = createConsoleTransport({ logger, revealLinks: false });
+
+    await transport.send(message);
+
+    assert.deepEqual(lines[0].links, [`http://localhost:3000/api/users/reset-password?token=${REDACTED}&lang=en`]);
+    assert.ok(!JSON.stringify(lines[0]).includes('abc.def'));
+  });
+});
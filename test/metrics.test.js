@@ -0,0 +1,66 @@
+// test/metrics.test.js
+// =====================================================
+// METRICS REGISTRY (src/metrics/registry.js)
+// =====================================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../src/metrics/registry');
+
+describe('createRegistry', () => {
+  it('renders counters with escaped labels', () => {
+    const registry = createRegistry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+
+    counter.inc({ queue: 'mail' });
+    counter.inc({ queue: 'mail' }, 2);
+    counter.inc({ queue: 'say "hi"\n' });
+
+    assert.equal(
+      registry.render(),
+      [
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total{queue="mail"} 3',
+        'jobs_total{queue="say \\"hi\\"\\n"} 1',
+        '',
+      ].join('\n')
+    );
+    assert.throws(() => counter.inc({ queue: 'mail' }, -1), /cannot decrease/);
+    assert.throws(() => counter.inc({ shard: 1 }), /no label "shard"/);
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const histogram = registry.histogram({ name: 'work_seconds', help: 'Work time', buckets: [0.1, 1] });
+
+    [0.05, 0.5, 0.5, 3].forEach((value) => histogram.observe({}, value));
+
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('work_seconds_bucket{le="0.1"} 1'));
+    assert.ok(lines.includes('work_seconds_bucket{le="1"} 3'));
+    assert.ok(lines.includes('work_seconds_bucket{le="+Inf"} 4'));
+    assert.ok(lines.includes('work_seconds_sum 4.05'));
+    assert.ok(lines.includes('work_seconds_count 4'));
+  });
+
+  it('reads collected gauges at render time', () => {
+    const registry = createRegistry();
+    let depth = 1;
+    registry.gauge({ name: 'queue_depth', help: 'Queued jobs', collect: () => [{ labels: {}, value: depth }] });
+
+    assert.match(registry.render(), /^queue_depth 1$/m);
+    depth = 7;
+    assert.match(registry.render(), /^queue_depth 7$/m);
+  });
+
+  it('rejects invalid or duplicate definitions', () => {
+    const registry = createRegistry();
+    registry.counter({ name: 'a_total', help: 'A' });
+
+    assert.throws(() => registry.counter({ name: 'a_total', help: 'A' }), /already registered/);
+    assert.throws(() => registry.counter({ name: 'bad-name', help: 'x' }), /Invalid metric name/);
+    assert.throws(() => registry.counter({ name: 'b_total', help: 'x', labelNames: ['le'] }), /Invalid label name/);
+    assert.throws(() => registry.counter({ name: 'c_total' }), /needs help text/);
+  });
+});
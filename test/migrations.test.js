@@ -0,0 +1,313 @@
+// test/migrations.test.js
+// =====================================================
+// SCHEMA MIGRATIONS (src/db/migrator.js) and the pending-migration
+// check in server.js
+// =====================================================
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+require('./helpers/testApp');
+const { createSequelize } = require('../src/config/database');
+const { createMigrator, loadMigrations, HISTORY_TABLE, MIGRATIONS_DIR } = require('../src/db/migrator');
+
+const ROOT = path.join(__dirname, '..');
+
+// Three migrations where each one depends on the one before it, written
+// out of order so only the file-name sort puts them right
+const FIXTURES = {
+  '20260103000000-add-author-index.js': `module.exports = {
+    up: async ({ queryInterface, transaction }) => {
+      await queryInterface.addIndex('books', ['author'], { name: 'books_author', transaction });
+    },
+    down: async ({ queryInterface, transaction }) => {
+      await queryInterface.removeIndex('books', 'books_author', { transaction });
+    },
+  };`,
+  '20260101000000-create-books.js': `module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+      await queryInterface.createTable('books', { id: { type: DataTypes.INTEGER, primaryKey: true } }, { transaction });
+    },
+    down: async ({ queryInterface, transaction }) => {
+      await queryInterface.dropTable('books', { transaction });
+    },
+  };`,
+  '20260102000000-add-author.js': `module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+      await queryInterface.addColumn('books', 'author', { type: DataTypes.STRING }, { transaction });
+    },
+    down: async ({ queryInterface, transaction }) => {
+      await queryInterface.sequelize.query('ALTER TABLE "books" DROP COLUMN "author"', { transaction });
+    },
+  };`,
+  'README.md': 'Not a migration',
+};
+
+const NAMES = ['20260101000000-create-books', '20260102000000-add-author', '20260103000000-add-author-index'];
+
+const writeMigrations = (directory, files) => {
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, file), source);
+  }
+};
+
+const silent = { log: () => {} };
+
+describe('migrator', () => {
+  let directory;
+  let sequelize;
+  let migrator;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigrations(directory, FIXTURES);
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    sequelize = createSequelize({ DB_DIALECT: 'sqlite', DB_STORAGE: ':memory:' });
+    migrator = createMigrator({ sequelize, directory, logger: silent });
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  const history = async () =>
+    (await sequelize.query(`SELECT "name" FROM "${HISTORY_TABLE}" ORDER BY "name"`, { type: 'SELECT' }))
+      .map((row) => row.name);
+
+  const columns = async () => Object.keys(await sequelize.getQueryInterface().describeTable('books'));
+
+  const tableExists = async () =>
+    (await sequelize.getQueryInterface().showAllTables()).includes('books');
+
+  it('loads migration files sorted by name and ignores other files', () => {
+    assert.deepEqual(loadMigrations(directory).map(({ name }) => name), NAMES);
+    assert.deepEqual(migrator.migrations.map(({ name }) => name), NAMES);
+  });
+
+  it('refuses a migration without up() and down()', () => {
+    const broken = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      writeMigrations(broken, { '20260101000000-broken.js': 'module.exports = { up: async () => {} };' });
+      assert.throws(() => loadMigrations(broken), /must export up\(\) and down\(\)/);
+    } finally {
+      fs.rmSync(broken, { recursive: true, force: true });
+    }
+  });
+
+  it('applies pending migrations in order and records them', async () => {
+    assert.deepEqual(await migrator.pending(), NAMES);
+
+    assert.deepEqual(await migrator.up(), NAMES);
+    assert.deepEqual(await columns(), ['id', 'author']);
+    assert.deepEqual(await history(), NAMES);
+    assert.deepEqual(await migrator.pending(), []);
+
+    const status = await migrator.status();
+    assert.ok(status.every((row) => row.applied && row.appliedAt));
+
+    // Nothing left to do
+    assert.deepEqual(await migrator.up(), []);
+  });
+
+  it('reports status and pending migrations without touching the schema', async () => {
+    assert.deepEqual(await migrator.pending(), NAMES);
+    assert.deepEqual(await migrator.status(), NAMES.map((name) => ({ name, applied: false, appliedAt: null })));
+    assert.deepEqual(await sequelize.getQueryInterface().showAllTables(), []);
+  });
+
+  it('stops after the migration named by `to`', async () => {
+    assert.deepEqual(await migrator.up({ to: NAMES[0] }), [NAMES[0]]);
+    assert.deepEqual(await columns(), ['id']);
+    assert.deepEqual(await migrator.pending(), NAMES.slice(1));
+
+    const status = await migrator.status();
+    assert.deepEqual(status.map((row) => row.applied), [true, false, false]);
+    assert.equal(status[1].appliedAt, null);
+  });
+
+  it('rolls back with down() and forgets the history rows', async () => {
+    await migrator.up();
+
+    assert.deepEqual(await migrator.down(), [NAMES[2]]);
+    assert.deepEqual(await history(), NAMES.slice(0, 2));
+
+    assert.deepEqual(await migrator.down({ steps: 1 }), [NAMES[1]]);
+    assert.deepEqual(await columns(), ['id']);
+
+    // Re-applying picks up exactly what was reverted
+    assert.deepEqual(await migrator.up(), NAMES.slice(1));
+
+    assert.deepEqual(await migrator.down({ to: NAMES[0] }), [NAMES[2], NAMES[1]]);
+    assert.deepEqual(await history(), [NAMES[0]]);
+
+    assert.deepEqual(await migrator.down({ steps: 5 }), [NAMES[0]]);
+    assert.equal(await tableExists(), false);
+    assert.deepEqual(await migrator.down(), []);
+  });
+
+  it('rolls the whole batch back when a migration fails', async () => {
+    const failing = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      writeMigrations(failing, {
+        '20260101000000-create-books.js': FIXTURES['20260101000000-create-books.js'],
+        '20260102000000-fail.js': `module.exports = {
+          up: async () => { throw new Error('boom'); },
+          down: async () => {},
+        };`,
+      });
+      const broken = createMigrator({ sequelize, directory: failing, logger: silent });
+
+      await assert.rejects(broken.up(), /boom/);
+      assert.equal(await tableExists(), false);
+      assert.deepEqual(await broken.pending(), ['20260101000000-create-books', '20260102000000-fail']);
+    } finally {
+      fs.rmSync(failing, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses to roll back a migration whose file is missing', async () => {
+    await migrator.up();
+    const partial = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      writeMigrations(partial, { '20260101000000-create-books.js': FIXTURES['20260101000000-create-books.js'] });
+      const stale = createMigrator({ sequelize, directory: partial, logger: silent });
+
+      await assert.rejects(stale.down(), /Cannot roll back 20260103000000-add-author-index/);
+      assert.deepEqual(await history(), NAMES);
+    } finally {
+      fs.rmSync(partial, { recursive: true, force: true });
+    }
+  });
+
+  it('applies and reverts the real migrations on SQLite', async () => {
+    const real = createMigrator({ sequelize, logger: silent });
+    const names = loadMigrations(MIGRATIONS_DIR).map(({ name }) => name);
+
+    assert.deepEqual(await real.up(), names);
+    assert.deepEqual(await real.down({ to: names[0] }), names.slice(1).reverse());
+    assert.deepEqual(await real.pending(), names.slice(1));
+  });
+
+  it('refuses to roll back the baseline', async () => {
+    const real = createMigrator({ sequelize, logger: silent });
+    await real.up();
+    await sequelize.query("INSERT INTO users (username, email, password) VALUES ('kept', 'kept@example.com', 'x')");
+
+    await assert.rejects(real.down({ steps: real.migrations.length }), /baseline migration is irreversible/);
+    assert.deepEqual(await real.pending(), []);
+    assert.equal((await sequelize.query('SELECT id FROM users', { type: 'SELECT' })).length, 1);
+  });
+
+  it('marks accounts of an adopted users table verified', async () => {
+    // A users table from before email verification existed
+    await sequelize.query(`CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username VARCHAR(100) UNIQUE NOT NULL,
+      email VARCHAR(150) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      "createdAt" DATETIME,
+      "updatedAt" DATETIME
+    )`);
+    await sequelize.query("INSERT INTO users (username, email, password) VALUES ('old', 'old@example.com', 'x')");
+
+    await createMigrator({ sequelize, logger: silent }).up();
+    await sequelize.query("INSERT INTO users (username, email, password) VALUES ('new', 'new@example.com', 'x')");
+
+    const rows = await sequelize.query('SELECT username, "emailVerified" FROM users ORDER BY id', { type: 'SELECT' });
+    assert.deepEqual(rows.map((row) => [row.username, Boolean(row.emailVerified)]), [['old', true], ['new', false]]);
+  });
+});
+
+// =====================================================
+// server.js
+// =====================================================
+describe('server startup', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Runs `node server.js` until it exits or logs "Server running", then
+  // stops it; resolves with its exit code and parsed log lines
+  const startServer = (storage) =>
+    new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+          PATH: process.env.PATH,
+          NODE_ENV: 'development',
+          LOG_LEVEL: 'info',
+          JWT_SECRET: 'server-startup-test-secret',
+          MAIL_DRIVER: 'console',
+          DB_DIALECT: 'sqlite',
+          DB_STORAGE: storage,
+          PORT: '0',
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      let output = '';
+      const lines = () =>
+        output.split('\n').filter((line) => line.startsWith('{')).map((line) => JSON.parse(line));
+
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`server.js did not start or exit in time:\n${output}`));
+      }, 20000);
+
+      const collect = (chunk) => {
+        output += chunk;
+        if (lines().some((line) => line.msg === 'Server running')) child.kill();
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+
+      child.on('exit', (code) => {
+        clearTimeout(timer);
+        resolve({ code, lines: lines() });
+      });
+    });
+
+  it('refuses to start while migrations are pending', async () => {
+    const storage = path.join(directory, 'pending.sqlite');
+    const sequelize = createSequelize({ DB_DIALECT: 'sqlite', DB_STORAGE: storage });
+    const migrator = createMigrator({ sequelize, logger: silent });
+    const names = migrator.migrations.map(({ name }) => name);
+    await migrator.up({ to: names[0] });
+    await sequelize.close();
+
+    const { code, lines } = await startServer(storage);
+
+    assert.equal(code, 1);
+    const error = lines.find((line) => line.msg.startsWith('Pending migrations'));
+    assert.equal(error.level, 'error');
+    assert.deepEqual(error.pending, names.slice(1));
+    assert.ok(!lines.some((line) => line.msg === 'Server running'));
+  });
+
+  it('starts once every migration is applied', async () => {
+    const storage = path.join(directory, 'current.sqlite');
+    const sequelize = createSequelize({ DB_DIALECT: 'sqlite', DB_STORAGE: storage });
+    await createMigrator({ sequelize, logger: silent }).up();
+    await sequelize.close();
+
+    const { lines } = await startServer(storage);
+
+    assert.ok(lines.some((line) => line.msg === 'Server running'));
+    assert.ok(!lines.some((line) => line.level === 'error'));
+  });
+});
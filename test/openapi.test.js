@@ -0,0 +1,145 @@
+// test/openapi.test.js
+// =====================================================
+// OPENAPI DOCUMENT + DOCS UI
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startTestApp } = require('./helpers/testApp');
+const { toOpenApiPath } = require('../src/openapi');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'src', 'routes');
+
+// Every router.METHOD('path', ...) declared in a route file, read from
+// the source so a route can't hide from the check
+const declaredRoutes = (file, prefix) => {
+  const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+  return [...source.matchAll(/router\.(get|post|put|patch|delete)\(\s*'([^']+)'/g)].map(([, method, routePath]) => ({
+    method,
+    path: toOpenApiPath(prefix, routePath),
+  }));
+};
+
+describe('GET /openapi.json', () => {
+  let ctx;
+  let spec;
+
+  before(async () => {
+    ctx = await startTestApp();
+    spec = (await ctx.request('GET', '/openapi.json')).body;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('serves an OpenAPI 3.1 document', () => {
+    assert.equal(spec.openapi, '3.1.0');
+    assert.equal(spec.info.title, 'User Management API');
+    assert.deepEqual(spec.tags.map(({ name }) => name), ['Users', 'Posts', 'Audit', 'System']);
+  });
+
+  for (const [file, prefix] of [
+    ['userRoutes.js', '/api/users'],
+    ['postRoutes.js', '/api/posts'],
+    ['auditRoutes.js', '/api/audit-events'],
+  ]) {
+    it(`documents every route in ${file}`, () => {
+      const routes = declaredRoutes(file, prefix);
+      assert.ok(routes.length > 0);
+
+      const missing = routes.filter((route) => !(spec.paths[route.path] && spec.paths[route.path][route.method]));
+      assert.deepEqual(missing, [], `routes missing from /openapi.json: ${missing.map((r) => `${r.method.toUpperCase()} ${r.path}`).join(', ')}`);
+    });
+  }
+
+  it('gives every operation a unique operationId', () => {
+    const ids = Object.values(spec.paths).flatMap((methods) => Object.values(methods).map((op) => op.operationId));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.equal(spec.paths['/api/users/{id}'].get.operationId, 'getUserById');
+  });
+
+  it('describes parameters and bodies from the validation schemas', () => {
+    const register = spec.paths['/api/users/register'].post;
+    const body = register.requestBody.content['application/json'].schema;
+    assert.deepEqual(body.required, ['username', 'email', 'password']);
+    assert.equal(body.properties.email.format, 'email');
+    assert.equal(body.properties.email.maxLength, 150);
+    assert.equal(register.responses['400'].$ref, '#/components/responses/ValidationFailed');
+
+    const getComments = spec.paths['/api/posts/{id}/comments'].get;
+    const id = getComments.parameters.find((parameter) => parameter.name === 'id');
+    assert.deepEqual(id, { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 2147483647 } });
+
+    const listPosts = spec.paths['/api/posts'].get;
+    assert.ok(listPosts.parameters.some((parameter) => parameter.in === 'query' && parameter.name === 'limit'));
+  });
+
+  it('marks authentication, roles and rate limits', () => {
+    const updateRole = spec.paths['/api/users/{id}/role'].patch;
+    assert.deepEqual(updateRole.security, [{ bearerAuth: [] }]);
+    assert.equal(updateRole.responses['401'].$ref, '#/components/responses/Unauthorized');
+    assert.equal(updateRole.responses['403'].$ref, '#/components/responses/Forbidden');
+    assert.match(updateRole.description, /Requires role: admin/);
+
+    const login = spec.paths['/api/users/login'].post;
+    assert.equal(login.security, undefined);
+    assert.equal(login.responses['429'].$ref, '#/components/responses/TooManyRequests');
+
+    assert.ok(spec.components.securitySchemes.bearerAuth);
+    assert.ok(spec.components.schemas.Problem.properties.code.enum.includes('USER_EMAIL_TAKEN'));
+  });
+
+  it('lists the documented operations at the root', async () => {
+    const res = await ctx.request('GET', '/');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.documentation.openapi, '/openapi.json');
+    assert.equal(res.body.endpoints.registerUser, 'POST /api/users/register');
+    assert.equal(res.body.endpoints.getOpenApiDocument, 'GET /openapi.json');
+  });
+});
+
+describe('GET /docs', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('serves the docs UI from this origin only', async () => {
+    const page = await fetch(`${ctx.baseUrl}/docs/`);
+    const html = await page.text();
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /^text\/html/);
+    assert.match(html, /<script src="docs\.js"><\/script>/);
+    assert.doesNotMatch(html, /<script>|https?:\/\//);
+
+    const script = await fetch(`${ctx.baseUrl}/docs/docs.js`);
+    assert.equal(script.status, 200);
+    assert.match(await script.text(), /\/openapi\.json/);
+  });
+});
+
+describe('GET /openapi.json with METRICS_TOKEN', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ config: { metricsToken: 'scrape-secret' } });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('documents the metrics token', async () => {
+    const spec = (await ctx.request('GET', '/openapi.json')).body;
+    assert.deepEqual(spec.paths['/metrics'].get.security, [{ metricsToken: [] }]);
+    assert.equal(spec.paths['/metrics'].get.responses['401'].$ref, '#/components/responses/Unauthorized');
+  });
+});
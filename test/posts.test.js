@@ -0,0 +1,247 @@
+// test/posts.test.js
+// =====================================================
+// BLOG POSTS (postController): CRUD, ownership, listing
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, invalidFields } = require('./helpers/testApp');
+
+const failQuery = (t, queries, name) => {
+  t.mock.method(queries, name, async () => {
+    throw new Error('database unavailable');
+  });
+};
+
+describe('posts', () => {
+  let ctx;
+  let author;
+  let other;
+  let admin;
+
+  before(async () => {
+    ctx = await startTestApp();
+    author = await ctx.createSession();
+    other = await ctx.createSession();
+    admin = await ctx.createSession({ role: 'admin' });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  let postCount = 0;
+  const createPost = async (user = author, body = {}) => {
+    postCount += 1;
+    const res = await ctx.request('POST', '/api/posts', {
+      token: user.token,
+      body: { title: `Post ${postCount}`, content: `Content ${postCount}`, ...body },
+    });
+    assert.equal(res.status, 201);
+    return res.body.post;
+  };
+
+  // =====================================================
+  // CREATE
+  // =====================================================
+  describe('POST /api/posts', () => {
+    it('creates a post authored by the caller', async () => {
+      const res = await ctx.request('POST', '/api/posts', {
+        token: author.token,
+        body: { title: '  Hello  ', content: 'World', authorId: other.id },
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.post.title, 'Hello');
+      assert.equal(res.body.post.authorId, author.id);
+      assert.deepEqual(res.body.post.author, { id: author.id, username: author.username });
+      assert.equal(res.body.post.commentCount, 0);
+    });
+
+    it('requires a login', async () => {
+      const res = await ctx.request('POST', '/api/posts', { body: { title: 'x', content: 'y' } });
+      assert.equal(res.status, 401);
+    });
+
+    it('validates the request', async () => {
+      const res = await ctx.request('POST', '/api/posts', {
+        token: author.token,
+        body: { title: 'x'.repeat(201), content: '   ' },
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [
+        ['body', 'title', 'too_long'],
+        ['body', 'content', 'too_short'],
+      ]);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.PostModel, 'createPost');
+      const res = await ctx.request('POST', '/api/posts', { token: author.token, body: { title: 'x', content: 'y' } });
+      assert.equal(res.status, 500);
+    });
+  });
+
+  // =====================================================
+  // READ
+  // =====================================================
+  describe('GET /api/posts', () => {
+    it('is public and paginates with a cursor', async () => {
+      await createPost();
+      await createPost();
+
+      const first = await ctx.request('GET', '/api/posts?limit=1&sort=id');
+      assert.equal(first.status, 200);
+      assert.equal(first.body.posts.length, 1);
+      assert.equal(first.body.pageInfo.hasMore, true);
+
+      const second = await ctx.request('GET', first.body.links.next);
+      assert.equal(second.status, 200);
+      assert.ok(second.body.posts[0].id > first.body.posts[0].id);
+    });
+
+    it('filters by author and search', async () => {
+      const mine = await createPost(other, { title: 'Unique needle title' });
+
+      const byAuthor = await ctx.request('GET', `/api/posts?authorId=${other.id}`);
+      assert.ok(byAuthor.body.posts.every((post) => post.authorId === other.id));
+
+      const bySearch = await ctx.request('GET', '/api/posts?search=NEEDLE');
+      assert.deepEqual(bySearch.body.posts.map((post) => post.id), [mine.id]);
+
+      const nested = await ctx.request('GET', `/api/users/${other.id}/posts`);
+      assert.ok(nested.body.posts.some((post) => post.id === mine.id));
+    });
+
+    it('rejects invalid query parameters', async () => {
+      const res = await ctx.request('GET', '/api/posts?limit=500&sort=content&authorId=abc');
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [
+        ['query', 'limit', 'out_of_range'],
+        ['query', 'sort', 'not_allowed'],
+        ['query', 'authorId', 'invalid_id'],
+      ]);
+    });
+
+    it("keeps listing a deactivated author's posts on both endpoints", async () => {
+      const leaving = await ctx.createSession();
+      const post = await createPost(leaving);
+      assert.equal((await ctx.request('DELETE', `/api/users/${leaving.id}`, { token: admin.token })).status, 200);
+
+      const byAuthor = await ctx.request('GET', `/api/users/${leaving.id}/posts`);
+      assert.equal(byAuthor.status, 200);
+      assert.deepEqual(byAuthor.body.posts.map((item) => item.id), [post.id]);
+
+      const filtered = await ctx.request('GET', `/api/posts?authorId=${leaving.id}`);
+      assert.deepEqual(filtered.body.posts.map((item) => item.id), [post.id]);
+      assert.equal((await ctx.request('GET', `/api/posts/${post.id}`)).status, 200);
+    });
+
+    it('answers 404 for an unknown author', async () => {
+      const res = await ctx.request('GET', '/api/users/999999/posts');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'USER_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/posts/:id', () => {
+    it('returns the post with its author and live comment count', async () => {
+      const post = await createPost();
+      const comment = (content) =>
+        ctx.request('POST', `/api/posts/${post.id}/comments`, { token: other.token, body: { content } });
+
+      await comment('first');
+      const second = await comment('second');
+      await ctx.request('DELETE', `/api/posts/${post.id}/comments/${second.body.comment.id}`, { token: other.token });
+
+      const res = await ctx.request('GET', `/api/posts/${post.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.post.title, post.title);
+      assert.equal(res.body.post.author.username, author.username);
+      assert.equal(res.body.post.commentCount, 1);
+
+      const listed = await ctx.request('GET', `/api/posts?authorId=${author.id}&sort=-id&limit=1`);
+      assert.equal(listed.body.posts[0].commentCount, 1);
+    });
+
+    it('rejects invalid ids and unknown posts', async () => {
+      assert.equal((await ctx.request('GET', '/api/posts/abc')).status, 400);
+
+      const res = await ctx.request('GET', '/api/posts/999999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'POST_NOT_FOUND');
+    });
+  });
+
+  // =====================================================
+  // UPDATE
+  // =====================================================
+  describe('PATCH /api/posts/:id', () => {
+    const update = (user, id, body) => ctx.request('PATCH', `/api/posts/${id}`, { token: user.token, body });
+
+    it('lets the author and admins edit', async () => {
+      const post = await createPost();
+
+      const own = await update(author, post.id, { title: 'Edited' });
+      assert.equal(own.status, 200);
+      assert.equal(own.body.post.title, 'Edited');
+      assert.equal(own.body.post.content, post.content);
+
+      const byAdmin = await update(admin, post.id, { content: 'Moderated' });
+      assert.equal(byAdmin.status, 200);
+      assert.equal(byAdmin.body.post.content, 'Moderated');
+      assert.equal(byAdmin.body.post.authorId, author.id);
+    });
+
+    it("forbids editing someone else's post", async () => {
+      const post = await createPost();
+      const res = await update(other, post.id, { title: 'Hijacked' });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'AUTH_NOT_OWNER');
+
+      assert.equal((await ctx.request('GET', `/api/posts/${post.id}`)).body.post.title, post.title);
+    });
+
+    it('validates the request', async () => {
+      const post = await createPost();
+      const res = await update(author, post.id, {});
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [['body', 'title,content', 'no_fields']]);
+
+      assert.equal((await update(author, 999999, { title: 'x' })).status, 404);
+    });
+  });
+
+  // =====================================================
+  // DELETE
+  // =====================================================
+  describe('DELETE /api/posts/:id', () => {
+    const remove = (user, id) => ctx.request('DELETE', `/api/posts/${id}`, { token: user.token });
+
+    it('lets the author delete, with the comments', async () => {
+      const post = await createPost();
+      await ctx.request('POST', `/api/posts/${post.id}/comments`, { token: other.token, body: { content: 'hi' } });
+
+      assert.equal((await remove(author, post.id)).status, 200);
+      assert.equal((await ctx.request('GET', `/api/posts/${post.id}`)).status, 404);
+      assert.equal(await ctx.db.models.Comment.count({ where: { postId: post.id } }), 0);
+    });
+
+    it("lets admins delete anyone's post, but not other users", async () => {
+      const post = await createPost();
+
+      const denied = await remove(other, post.id);
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.code, 'AUTH_NOT_OWNER');
+
+      assert.equal((await remove(admin, post.id)).status, 200);
+      assert.equal((await remove(admin, post.id)).status, 404);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      const post = await createPost();
+      failQuery(t, ctx.db.PostModel, 'deletePost');
+      assert.equal((await remove(author, post.id)).status, 500);
+    });
+  });
+});
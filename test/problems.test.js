@@ -0,0 +1,145 @@
+// test/problems.test.js
+// =====================================================
+// PROBLEM DETAILS + ERROR CODE CATALOG
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startTestApp } = require('./helpers/testApp');
+const { ERROR_CATALOG } = require('../src/errors/catalog');
+const { ApiError, buildProblem } = require('../src/errors/problem');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+// Every .js file under src/
+const sourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(full);
+    return entry.name.endsWith('.js') ? [full] : [];
+  });
+
+describe('problem responses', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('answers errors with application/problem+json', async () => {
+    const user = await ctx.createUser();
+    const res = await ctx.request('POST', '/api/users/register', {
+      body: { username: 'someone-else', email: user.email, password: 'password123' },
+    });
+
+    assert.equal(res.status, 409);
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+    assert.deepEqual(res.body, {
+      type: '/problems/user-email-taken',
+      title: 'Email is already registered',
+      status: 409,
+      detail: 'Email is already registered',
+      instance: '/api/users/register',
+      code: 'USER_EMAIL_TAKEN',
+    });
+  });
+
+  it('lists validation errors as an extension', async () => {
+    const res = await ctx.request('POST', '/api/users/register?next=1', { body: { username: 'carol', email: 'nope' } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.equal(res.body.instance, '/api/users/register?next=1');
+    assert.deepEqual(
+      res.body.errors.map(({ field, code }) => `${field}:${code}`),
+      ['email:invalid_email', 'password:required']
+    );
+  });
+
+  it('answers unknown routes with ROUTE_NOT_FOUND', async () => {
+    const res = await ctx.request('GET', '/api/nothing-here');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'ROUTE_NOT_FOUND');
+    assert.equal(res.body.detail, 'Cannot GET /api/nothing-here');
+  });
+
+  it('answers unparseable bodies with REQUEST_BODY_INVALID', async () => {
+    const malformed = await fetch(`${ctx.baseUrl}/api/users/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"email":',
+    });
+    const problem = await malformed.json();
+
+    assert.equal(malformed.status, 400);
+    assert.equal(problem.code, 'REQUEST_BODY_INVALID');
+  });
+});
+
+describe('GET /problems', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('documents every code in the catalog', async () => {
+    const res = await ctx.request('GET', '/problems');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.problems.map((problem) => problem.code), Object.keys(ERROR_CATALOG));
+  });
+
+  it('resolves each problem type', async () => {
+    const res = await ctx.request('GET', '/problems/auth-token-expired');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      code: 'AUTH_TOKEN_EXPIRED',
+      type: '/problems/auth-token-expired',
+      status: 401,
+      title: 'Access token has expired',
+    });
+
+    assert.equal((await ctx.request('GET', '/problems/no-such-problem')).status, 404);
+    assert.equal((await ctx.request('GET', '/problems/AUTH_TOKEN_EXPIRED')).status, 404);
+  });
+});
+
+describe('error code catalog', () => {
+  it('knows every code the source sends', () => {
+    const used = new Set();
+    sourceFiles(SRC_DIR).forEach((file) => {
+      const source = fs.readFileSync(file, 'utf8');
+      for (const [, code] of source.matchAll(/(?:sendProblem\(res, |ApiError\(|code: )'([A-Z][A-Z0-9_]+)'/g)) {
+        used.add(code);
+      }
+    });
+
+    assert.ok(used.size > 0);
+    assert.deepEqual([...used].filter((code) => !ERROR_CATALOG[code]), []);
+  });
+
+  it('rejects codes that are not in the catalog', () => {
+    assert.throws(() => buildProblem('NOT_A_CODE'), /Unknown error code/);
+    assert.throws(() => new ApiError('NOT_A_CODE'), /Unknown error code/);
+  });
+
+  it('defaults detail to the title', () => {
+    const error = new ApiError('POST_NOT_FOUND');
+
+    assert.equal(error.status, 404);
+    assert.equal(buildProblem(error.code).detail, 'Post not found');
+  });
+});
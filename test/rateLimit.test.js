@@ -0,0 +1,209 @@
+// test/rateLimit.test.js
+// =====================================================
+// RATE LIMITING: algorithms (src/rateLimit/algorithms.js), the memory
+// and Postgres stores, and the middleware (src/middleware/rateLimiter.js)
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startTestApp } = require('./helpers/testApp');
+const { fixedWindow, tokenBucket } = require('../src/rateLimit/algorithms');
+const { createMemoryStore } = require('../src/rateLimit/stores/memoryStore');
+const { createPostgresStore } = require('../src/rateLimit/stores/postgresStore');
+const { rateLimit, hashApiKey } = require('../src/middleware/rateLimiter');
+const { parseApiKeyHashes } = require('../src/config/rateLimits');
+
+const SECOND = 1000;
+const POLICY = { limit: 3, windowMs: 60 * SECOND };
+
+// Runs consume() n times at `now`, threading the state through
+const run = (consume, n, now, state = null) => {
+  const results = [];
+  for (let i = 0; i < n; i += 1) {
+    const result = consume(state, now, POLICY);
+    state = result.state;
+    results.push(result);
+  }
+  return { results, state };
+};
+
+// =====================================================
+// ALGORITHMS
+// =====================================================
+describe('fixedWindow', () => {
+  it('allows `limit` requests per window, then rejects until it ends', () => {
+    const { results, state } = run(fixedWindow, 4, 0);
+
+    assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map((result) => result.remaining), [2, 1, 0, 0]);
+    assert.equal(results[3].retryAfterMs, 60 * SECOND);
+
+    const later = fixedWindow(state, 45 * SECOND, POLICY);
+    assert.equal(later.allowed, false);
+    assert.equal(later.retryAfterMs, 15 * SECOND);
+    assert.equal(later.resetMs, 15 * SECOND);
+
+    const next = fixedWindow(state, 60 * SECOND, POLICY);
+    assert.equal(next.allowed, true);
+    assert.equal(next.remaining, 2);
+  });
+
+  it('does not count rejected requests', () => {
+    const { state } = run(fixedWindow, 10, 0);
+    assert.equal(state.count, 3);
+  });
+});
+
+describe('tokenBucket', () => {
+  it('allows a burst of `limit`, then refills at limit/window', () => {
+    const { results, state } = run(tokenBucket, 4, 0);
+
+    assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map((result) => result.remaining), [2, 1, 0, 0]);
+    // One token every 20 seconds
+    assert.equal(results[3].retryAfterMs, 20 * SECOND);
+
+    assert.equal(tokenBucket(state, 19 * SECOND, POLICY).allowed, false);
+
+    const refilled = tokenBucket(state, 20 * SECOND, POLICY);
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+  });
+
+  it('never holds more than `limit` tokens', () => {
+    const { state } = run(tokenBucket, 1, 0);
+    const { results } = run(tokenBucket, 4, 10 * 60 * SECOND, state);
+    assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false]);
+  });
+});
+
+// =====================================================
+// STORES
+// =====================================================
+// Same contract for both: state per key, expiry after ttlMs, reset
+const storeContract = (getStore) => {
+  const consume = (key, now) => getStore().consume(key, (state, at) => fixedWindow(state, at, POLICY), now);
+
+  it('keeps state per key', async () => {
+    for (let i = 0; i < 3; i += 1) await consume('contract:a', 0);
+    assert.equal((await consume('contract:a', 0)).allowed, false);
+    assert.equal((await consume('contract:b', 0)).allowed, true);
+  });
+
+  it('forgets state once it expires', async () => {
+    for (let i = 0; i < 4; i += 1) await consume('contract:expiry', 0);
+    const result = await consume('contract:expiry', 60 * SECOND);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 2);
+  });
+
+  it('resets a key', async () => {
+    for (let i = 0; i < 4; i += 1) await consume('contract:reset', 0);
+    await getStore().reset('contract:reset');
+    assert.equal((await consume('contract:reset', 0)).remaining, 2);
+  });
+};
+
+describe('memory store', () => {
+  const store = createMemoryStore();
+  storeContract(() => store);
+});
+
+describe('postgres store', () => {
+  let ctx;
+  const store = createPostgresStore();
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  storeContract(() => store);
+
+  it('saves the state in rate_limits', async () => {
+    await store.consume('contract:row', (state, now) => tokenBucket(state, now, POLICY), 0);
+    const row = await ctx.db.models.RateLimit.findOne({ where: { key: 'contract:row' } });
+    assert.equal(row.state.tokens, 2);
+    assert.equal(row.expiresAt.getTime(), 20 * SECOND);
+  });
+});
+
+// =====================================================
+// MIDDLEWARE
+// =====================================================
+describe('rateLimit middleware', () => {
+  const KNOWN_KEY = 'known-client-key';
+  let server;
+  let baseUrl;
+  let keys;
+
+  before(async () => {
+    keys = [];
+    const recordingStore = createMemoryStore();
+    const store = {
+      consume: (key, ...rest) => {
+        keys.push(key);
+        return recordingStore.consume(key, ...rest);
+      },
+    };
+
+    const app = express();
+    app.get(
+      '/',
+      rateLimit({
+        name: 'test',
+        limit: 2,
+        windowSeconds: 60,
+        keyBy: 'apiKey',
+        store,
+        enabled: true,
+        apiKeyHashes: new Set([hashApiKey(KNOWN_KEY)]),
+      }),
+      (req, res) => res.json({ ok: true })
+    );
+
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const get = (apiKey) => fetch(baseUrl, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+
+  it('gives a known API key its own bucket, keyed by its digest', async () => {
+    const res = await get(KNOWN_KEY);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-remaining'), '1');
+    assert.equal(keys.at(-1), `test:key:${hashApiKey(KNOWN_KEY)}`);
+    assert.ok(!keys.at(-1).includes(KNOWN_KEY));
+  });
+
+  it('limits unknown API keys by IP, so random values share one bucket', async () => {
+    assert.equal((await get('random-1')).status, 200);
+    assert.equal(keys.at(-1), 'test:ip:127.0.0.1');
+
+    assert.equal((await get('x'.repeat(1000))).status, 200);
+    assert.equal(keys.at(-1), 'test:ip:127.0.0.1');
+
+    const res = await get();
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).code, 'RATE_LIMITED');
+  });
+});
+
+describe('parseApiKeyHashes', () => {
+  it('accepts SHA-256 hex digests and refuses anything else', () => {
+    const hash = hashApiKey('secret');
+    assert.deepEqual([...parseApiKeyHashes(` ${hash.toUpperCase()} ,`)], [hash]);
+    assert.equal(parseApiKeyHashes().size, 0);
+    assert.throws(() => parseApiKeyHashes('secret'), /SHA-256/);
+  });
+});
@@ -0,0 +1,208 @@
+// test/security.test.js
+// =====================================================
+// SECURITY HEADERS, CSP + VIOLATION REPORTS
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startTestApp, createLogCapture } = require('./helpers/testApp');
+const { loadSecurityConfig } = require('../src/config/security');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// "a 'b'; c d" → { a: ["'b'"], c: ['d'] }
+const parseCsp = (header) =>
+  Object.fromEntries(
+    header.split(';').map((part) => {
+      const [name, ...values] = part.trim().split(/\s+/);
+      return [name, values];
+    })
+  );
+
+describe('loadSecurityConfig', () => {
+  it('is strict by default', () => {
+    const config = loadSecurityConfig({});
+    assert.deepEqual(config.hsts, { maxAge: 15552000, includeSubDomains: true, preload: false });
+    assert.equal(config.csp.reportOnly, false);
+    assert.equal(config.csp.reportUri, '/csp-report');
+  });
+
+  it('reads the environment', () => {
+    const config = loadSecurityConfig({ HSTS_MAX_AGE: '0', CSP_REPORT_ONLY: 'true', CSP_REPORT_URI: '' });
+    assert.equal(config.hsts.maxAge, 0);
+    assert.equal(config.csp.reportOnly, true);
+    assert.equal(config.csp.reportUri, undefined);
+    assert.throws(() => loadSecurityConfig({ HSTS_MAX_AGE: '1y' }), /HSTS_MAX_AGE/);
+  });
+});
+
+describe('security headers', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('sets strict headers on every response, errors included', async () => {
+    for (const url of ['/health/live', '/no/such/route', '/api/users']) {
+      const res = await fetch(`${ctx.baseUrl}${url}`);
+      assert.equal(res.headers.get('strict-transport-security'), 'max-age=15552000; includeSubDomains');
+      assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+      assert.equal(res.headers.get('x-frame-options'), 'DENY');
+      assert.equal(res.headers.get('referrer-policy'), 'no-referrer');
+      assert.equal(res.headers.get('x-powered-by'), null);
+
+      const csp = parseCsp(res.headers.get('content-security-policy'));
+      assert.deepEqual(csp['default-src'], ["'none'"]);
+      assert.deepEqual(csp['frame-ancestors'], ["'none'"]);
+      assert.deepEqual(csp['report-uri'], ['/csp-report']);
+    }
+  });
+
+  it('gives the docs UI its own policy', async () => {
+    const res = await fetch(`${ctx.baseUrl}/docs/`);
+    const csp = parseCsp(res.headers.get('content-security-policy'));
+
+    assert.deepEqual(csp['script-src'], ["'self'"]);
+    assert.deepEqual(csp['style-src'], ["'self'"]);
+    assert.deepEqual(csp['connect-src'], ["'self'"]);
+    assert.deepEqual(csp['frame-ancestors'], ["'none'"]);
+    assert.equal(res.headers.get('content-security-policy-report-only'), null);
+  });
+});
+
+describe('security headers in report-only mode', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({
+      config: { security: { hsts: { maxAge: 0 }, csp: { reportOnly: true, reportUri: '/csp-report' } } },
+    });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('reports instead of enforcing, on every route', async () => {
+    for (const url of ['/health/live', '/docs/']) {
+      const res = await fetch(`${ctx.baseUrl}${url}`);
+      assert.equal(res.headers.get('content-security-policy'), null);
+      assert.match(res.headers.get('content-security-policy-report-only'), /report-uri \/csp-report/);
+      assert.equal(res.headers.get('strict-transport-security'), null);
+    }
+  });
+});
+
+describe('POST /csp-report', () => {
+  let ctx;
+  let capture;
+
+  before(async () => {
+    capture = createLogCapture('warn');
+    ctx = await startTestApp({ logger: capture.logger });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const report = (contentType, body) =>
+    fetch(`${ctx.baseUrl}/csp-report`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: JSON.stringify(body),
+    });
+
+  const violationCount = async (directive, disposition) => {
+    const text = await (await fetch(`${ctx.baseUrl}/metrics`)).text();
+    const series = `csp_violations_total{directive="${directive}",disposition="${disposition}"} `;
+    const line = text.split('\n').find((candidate) => candidate.startsWith(series));
+    return line ? Number(line.slice(series.length)) : 0;
+  };
+
+  it('collects report-uri reports', async () => {
+    capture.lines.length = 0;
+    const before = await violationCount('script-src-elem', 'enforce');
+
+    const res = await report('application/csp-report', {
+      'csp-report': {
+        'document-uri': 'https://app.example.com/reset?token=secret-token',
+        'blocked-uri': 'inline',
+        'violated-directive': 'script-src-elem',
+        'effective-directive': 'script-src-elem',
+        disposition: 'enforce',
+        'line-number': 12,
+      },
+    });
+
+    assert.equal(res.status, 204);
+    assert.equal(await violationCount('script-src-elem', 'enforce'), before + 1);
+
+    const line = capture.lines.find(({ msg }) => msg === 'CSP violation');
+    assert.equal(line.level, 'warn');
+    assert.equal(line.csp.effectiveDirective, 'script-src-elem');
+    assert.equal(line.csp.lineNumber, 12);
+    assert.ok(!line.csp.documentURL.includes('secret-token'));
+  });
+
+  it('collects Reporting API batches', async () => {
+    const before = await violationCount('connect-src', 'report');
+
+    const res = await report('application/reports+json', [
+      { type: 'csp-violation', body: { documentURL: 'https://app.example.com/', effectiveDirective: 'connect-src', disposition: 'report' } },
+      { type: 'csp-violation', body: { documentURL: 'https://app.example.com/', effectiveDirective: 'made-up', disposition: 'report' } },
+      { type: 'deprecation', body: {} },
+    ]);
+
+    assert.equal(res.status, 204);
+    assert.equal(await violationCount('connect-src', 'report'), before + 1);
+    assert.equal(await violationCount('other', 'report'), 1);
+  });
+
+  it('accepts Reporting API entries with a null or non-object body', async () => {
+    const res = await report('application/reports+json', [
+      { type: 'csp-violation', body: null },
+      { type: 'csp-violation', body: 'oops' },
+    ]);
+    assert.equal(res.status, 204);
+  });
+
+  it('rejects bodies that are not violation reports', async () => {
+    const res = await report('application/json', { hello: 'world' });
+    const body = await res.json();
+    assert.equal(res.status, 400);
+    assert.equal(body.code, 'REQUEST_BODY_INVALID');
+  });
+});
+
+describe('frontend CSP (vercel.json)', () => {
+  const vercel = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'vercel.json'), 'utf8'));
+  const headers = vercel.routes.find((route) => route.headers).headers;
+
+  it('sends a strict policy that reports to the API', () => {
+    const policy = headers['Content-Security-Policy'] || headers['Content-Security-Policy-Report-Only'];
+    const csp = parseCsp(policy);
+
+    assert.deepEqual(csp['default-src'], ["'none'"]);
+    assert.deepEqual(csp['script-src'], ["'self'"]);
+    assert.deepEqual(csp['style-src'], ["'self'"]);
+    assert.deepEqual(csp['frame-ancestors'], ["'none'"]);
+    assert.ok(!policy.includes('unsafe-'));
+    assert.match(csp['report-uri'][0], /\/csp-report$/);
+    assert.equal(headers['X-Content-Type-Options'], 'nosniff');
+  });
+
+  it('has no inline scripts, handlers or styles the policy would block', () => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'frontend', 'index.html'), 'utf8');
+    assert.doesNotMatch(html, /<script(?![^>]*\bsrc=)[^>]*>/);
+    assert.doesNotMatch(html, /\son[a-z]+\s*=/i);
+    assert.doesNotMatch(html, /\sstyle\s*=|<style/i);
+  });
+});
@@ -0,0 +1,308 @@
+// test/twoFactor.test.js
+// =====================================================
+// TWO-FACTOR AUTHENTICATION: TOTP helpers (src/utils/totp.js) and the
+// enrollment, login challenge, recovery code and disable flows
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, invalidFields } = require('./helpers/testApp');
+const { base32Encode, generateCode, verifyCode, TOTP_PERIOD_SECONDS } = require('../src/utils/totp');
+
+const STEP = TOTP_PERIOD_SECONDS * 1000;
+
+// =====================================================
+// TOTP
+// =====================================================
+describe('totp', () => {
+  // RFC 6238 appendix B (SHA1 secret); 6-digit codes are the last six
+  // digits of the published 8-digit values
+  const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+  const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ];
+
+  it('matches the RFC 6238 test vectors', () => {
+    RFC_VECTORS.forEach(([seconds, code]) => {
+      assert.equal(generateCode(RFC_SECRET, seconds * 1000), code);
+      assert.equal(verifyCode(RFC_SECRET, code, seconds * 1000), Math.floor(seconds / TOTP_PERIOD_SECONDS));
+    });
+  });
+
+  it('accepts the previous and next step, but no further', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / STEP);
+
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - STEP), now), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + STEP), now), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 2 * STEP), now), null);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 2 * STEP), now), null);
+  });
+
+  it('rejects malformed codes', () => {
+    const now = 59 * 1000;
+    assert.equal(verifyCode(RFC_SECRET, '', now), null);
+    assert.equal(verifyCode(RFC_SECRET, '28708', now), null);
+    assert.equal(verifyCode(RFC_SECRET, '28708a', now), null);
+    assert.equal(verifyCode(RFC_SECRET, '287 082', now), 1);
+  });
+});
+
+// =====================================================
+// FLOWS
+// =====================================================
+describe('two-factor flows', () => {
+  let ctx;
+  let ipCount = 0;
+
+  before(async () => {
+    ctx = await startTestApp({ config: { trustProxy: true } });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  const setup = (user, body = { currentPassword: user.password }) =>
+    ctx.request('POST', '/api/users/2fa/setup', { token: user.token, body });
+
+  const confirm = (user, body) => ctx.request('POST', '/api/users/2fa/confirm', { token: user.token, body });
+
+  // Each login comes from its own address so throttling doesn't leak
+  const login = (user) =>
+    ctx.request('POST', '/api/users/login', {
+      body: { email: user.email, password: user.password },
+      headers: { 'X-Forwarded-For': `10.2.0.${++ipCount}` },
+    });
+
+  const loginSecondStep = (body) =>
+    ctx.request('POST', '/api/users/login/2fa', { body, headers: { 'X-Forwarded-For': `10.2.0.${++ipCount}` } });
+
+  const codeFor = (secret) => generateCode(secret, ctx.clock.now());
+
+  // Session with 2FA fully enabled; the clock is moved past the step used
+  // to confirm, so the next code is fresh
+  const enrolledSession = async () => {
+    const user = await ctx.createSession();
+    const { secret } = (await setup(user)).body;
+    const { recoveryCodes } = (await confirm(user, { currentPassword: user.password, code: codeFor(secret) })).body;
+    ctx.clock.advance(STEP);
+    return { ...user, secret, recoveryCodes };
+  };
+
+  describe('POST /api/users/2fa/setup', () => {
+    it('returns a secret and otpauth URI', async () => {
+      const user = await ctx.createSession();
+      const res = await setup(user);
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.secret, /^[A-Z2-7]{32}$/);
+      assert.ok(res.body.otpauthUrl.startsWith('otpauth://totp/'));
+      assert.ok(res.body.otpauthUrl.includes(`secret=${res.body.secret}`));
+    });
+
+    it('requires the current password', async () => {
+      const user = await ctx.createSession();
+
+      const missing = await setup(user, {});
+      assert.equal(missing.status, 400);
+      assert.deepEqual(invalidFields(missing), [['body', 'currentPassword', 'required']]);
+
+      const wrong = await setup(user, { currentPassword: 'wrong-password' });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.code, 'AUTH_CURRENT_PASSWORD_INCORRECT');
+
+      const stored = await ctx.db.UserModel.findUserByIdWithPassword(user.id);
+      assert.equal(stored.twoFactorSecret, null);
+    });
+
+    it('refuses users who already have 2FA', async () => {
+      const user = await enrolledSession();
+      const res = await setup(user);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'TWO_FACTOR_ALREADY_ENABLED');
+    });
+  });
+
+  describe('POST /api/users/2fa/confirm', () => {
+    it('enables 2FA and returns recovery codes', async () => {
+      const user = await ctx.createSession();
+      const { secret } = (await setup(user)).body;
+
+      const res = await confirm(user, { currentPassword: user.password, code: codeFor(secret) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodes.length, 10);
+      res.body.recoveryCodes.forEach((code) => assert.match(code, /^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+
+      const stored = await ctx.db.UserModel.findUserByIdWithPassword(user.id);
+      assert.equal(stored.twoFactorEnabled, true);
+    });
+
+    it('requires the current password', async () => {
+      const user = await ctx.createSession();
+      const { secret } = (await setup(user)).body;
+
+      const res = await confirm(user, { currentPassword: 'wrong-password', code: codeFor(secret) });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'AUTH_CURRENT_PASSWORD_INCORRECT');
+
+      const stored = await ctx.db.UserModel.findUserByIdWithPassword(user.id);
+      assert.equal(stored.twoFactorEnabled, false);
+    });
+
+    it('rejects a wrong code', async () => {
+      const user = await ctx.createSession();
+      const { secret } = (await setup(user)).body;
+      const wrong = generateCode(secret, ctx.clock.now() + 5 * STEP);
+
+      const res = await confirm(user, { currentPassword: user.password, code: wrong });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'TWO_FACTOR_SETUP_CODE_INVALID');
+    });
+
+    it('needs setup first', async () => {
+      const user = await ctx.createSession();
+      const res = await confirm(user, { currentPassword: user.password, code: '123456' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'TWO_FACTOR_SETUP_NOT_STARTED');
+    });
+  });
+
+  describe('POST /api/users/login/2fa', () => {
+    it('issues tokens for a valid code and refuses to reuse it', async () => {
+      const user = await enrolledSession();
+      const code = codeFor(user.secret);
+
+      const first = await login(user);
+      assert.equal(first.body.twoFactorRequired, true);
+      const res = await loginSecondStep({ challengeToken: first.body.challengeToken, code });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+
+      const second = await login(user);
+      const replay = await loginSecondStep({ challengeToken: second.body.challengeToken, code });
+      assert.equal(replay.status, 401);
+      assert.equal(replay.body.code, 'TWO_FACTOR_CODE_INVALID');
+
+      ctx.clock.advance(STEP);
+      const fresh = await loginSecondStep({ challengeToken: second.body.challengeToken, code: codeFor(user.secret) });
+      assert.equal(fresh.status, 200);
+    });
+
+    it('rejects a wrong code and a forged challenge', async () => {
+      const user = await enrolledSession();
+      const { challengeToken } = (await login(user)).body;
+
+      const wrong = await loginSecondStep({ challengeToken, code: generateCode(user.secret, ctx.clock.now() + 5 * STEP) });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.code, 'TWO_FACTOR_CODE_INVALID');
+
+      const forged = await loginSecondStep({ challengeToken: user.token, code: codeFor(user.secret) });
+      assert.equal(forged.status, 401);
+      assert.equal(forged.body.code, 'TWO_FACTOR_CHALLENGE_INVALID');
+    });
+
+    it('accepts each recovery code once', async () => {
+      const user = await enrolledSession();
+      const recoveryCode = user.recoveryCodes[0].toLowerCase().replace('-', '');
+
+      const res = await loginSecondStep({ challengeToken: (await login(user)).body.challengeToken, recoveryCode });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodesRemaining, 9);
+
+      const reused = await loginSecondStep({ challengeToken: (await login(user)).body.challengeToken, recoveryCode });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'TWO_FACTOR_CODE_INVALID');
+    });
+
+    it('requires a code or recovery code', async () => {
+      const res = await loginSecondStep({ challengeToken: 'x' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [['body', 'code,recoveryCode', 'required']]);
+    });
+  });
+
+  describe('POST /api/users/2fa/recovery-codes', () => {
+    it('replaces the previous recovery codes', async () => {
+      const user = await enrolledSession();
+
+      const res = await ctx.request('POST', '/api/users/2fa/recovery-codes', {
+        token: user.token,
+        body: { code: codeFor(user.secret) },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.recoveryCodes.length, 10);
+
+      const old = await loginSecondStep({
+        challengeToken: (await login(user)).body.challengeToken,
+        recoveryCode: user.recoveryCodes[0],
+      });
+      assert.equal(old.status, 401);
+
+      const fresh = await loginSecondStep({
+        challengeToken: (await login(user)).body.challengeToken,
+        recoveryCode: res.body.recoveryCodes[0],
+      });
+      assert.equal(fresh.status, 200);
+    });
+
+    it('shares the login throttle, so a stolen token cannot guess codes', async () => {
+      const user = await enrolledSession();
+      const headers = { 'X-Forwarded-For': `10.2.0.${++ipCount}` };
+      const regenerate = (code) =>
+        ctx.request('POST', '/api/users/2fa/recovery-codes', { token: user.token, body: { code }, headers });
+
+      for (let i = 0; i < 4; i += 1) {
+        assert.equal((await regenerate('000000')).status, 401);
+      }
+
+      const blocked = await regenerate(codeFor(user.secret));
+      assert.equal(blocked.status, 429);
+      assert.equal(blocked.body.code, 'AUTH_LOGIN_THROTTLED');
+      assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+
+      // Same account counter as POST /login
+      assert.equal((await login(user)).status, 429);
+    });
+  });
+
+  describe('POST /api/users/2fa/disable', () => {
+    const disable = (user, body) => ctx.request('POST', '/api/users/2fa/disable', { token: user.token, body });
+
+    it('needs the password and a current code', async () => {
+      const user = await enrolledSession();
+
+      const wrongPassword = await disable(user, { password: 'wrong-password', code: codeFor(user.secret) });
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(wrongPassword.body.code, 'TWO_FACTOR_CODE_INVALID');
+
+      const res = await disable(user, { password: user.password, code: codeFor(user.secret) });
+      assert.equal(res.status, 200);
+
+      const next = await login(user);
+      assert.equal(next.status, 200);
+      assert.equal(next.body.twoFactorRequired, undefined);
+      assert.ok(next.body.token);
+    });
+
+    it('accepts a recovery code instead of a TOTP code', async () => {
+      const user = await enrolledSession();
+      const res = await disable(user, { password: user.password, recoveryCode: user.recoveryCodes[1] });
+      assert.equal(res.status, 200);
+      assert.equal(await ctx.db.RecoveryCodeModel.countRemaining(user.id), 0);
+    });
+
+    it('refuses users without 2FA', async () => {
+      const user = await ctx.createSession();
+      const res = await disable(user, { password: user.password, code: '123456' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'TWO_FACTOR_NOT_ENABLED');
+    });
+  });
+});
@@ -0,0 +1,409 @@
+// test/users.test.js
+// =====================================================
+// USER RESOURCE (userController): listing, read, update, delete, roles
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, tokenFromMail, invalidFields } = require('./helpers/testApp');
+const accounts = require('../src/utils/accounts');
+const { loadAccountConfig } = require('../src/config/accounts');
+
+const failQuery = (t, queries, name) => {
+  t.mock.method(queries, name, async () => {
+    throw new Error('database unavailable');
+  });
+};
+
+describe('users', () => {
+  let ctx;
+  let admin;
+  let member;
+
+  before(async () => {
+    ctx = await startTestApp();
+    admin = await ctx.createSession({ role: 'admin' });
+    member = await ctx.createSession();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // =====================================================
+  // LIST
+  // =====================================================
+  describe('GET /api/users', () => {
+    const list = (query = '') => ctx.request('GET', `/api/users${query}`, { token: member.token });
+
+    it('lists users for any authenticated user, without password hashes', async () => {
+      const res = await list();
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Users retrieved successfully');
+      assert.ok(res.body.count >= 2);
+      assert.ok(res.body.users.every((user) => user.password === undefined));
+    });
+
+    it('paginates with a cursor', async () => {
+      const first = await list('?limit=1&sort=id');
+      assert.equal(first.body.users.length, 1);
+      assert.equal(first.body.pageInfo.hasMore, true);
+
+      const second = await list(`?limit=1&sort=id&cursor=${encodeURIComponent(first.body.pageInfo.nextCursor)}`);
+      assert.equal(second.status, 200);
+      assert.ok(second.body.users[0].id > first.body.users[0].id);
+    });
+
+    it('pages through rows with a NULL sort value, last in either direction', async () => {
+      const legacy = [await ctx.createUser(), await ctx.createUser()];
+      await ctx.db.models.User.update(
+        { createdAt: null },
+        { where: { id: legacy.map((user) => user.id) }, silent: true }
+      );
+      const total = (await list()).body.count;
+
+      for (const sort of ['createdAt', '-createdAt']) {
+        const ids = [];
+        let cursor;
+        do {
+          const res = await list(`?limit=1&sort=${sort}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+          assert.equal(res.status, 200);
+          ids.push(...res.body.users.map((user) => user.id));
+          cursor = res.body.pageInfo.nextCursor;
+        } while (cursor);
+
+        assert.equal(ids.length, total);
+        assert.equal(new Set(ids).size, total);
+        assert.deepEqual(ids.slice(-2).sort(), legacy.map((user) => user.id).sort());
+      }
+    });
+
+    it('filters by search and role', async () => {
+      const byName = await list(`?search=${member.username}`);
+      assert.deepEqual(byName.body.users.map((user) => user.id), [member.id]);
+
+      const admins = await list('?role=admin');
+      assert.deepEqual(admins.body.users.map((user) => user.id), [admin.id]);
+    });
+
+    it('rejects invalid query parameters', async () => {
+      const res = await list('?limit=0&sort=password&role=owner&createdFrom=yesterday');
+      assert.equal(res.status, 400);
+      assert.deepEqual(invalidFields(res), [
+        ['query', 'limit', 'out_of_range'],
+        ['query', 'sort', 'not_allowed'],
+        ['query', 'role', 'not_allowed'],
+        ['query', 'createdFrom', 'invalid_date'],
+      ]);
+
+      const cursor = await list('?cursor=bogus');
+      assert.equal(cursor.status, 400);
+      assert.deepEqual(invalidFields(cursor), [['query', 'cursor', 'invalid_cursor']]);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'getAllUsers');
+      const res = await list();
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'INTERNAL_ERROR');
+    });
+  });
+
+  // =====================================================
+  // GET ONE
+  // =====================================================
+  describe('GET /api/users/:id', () => {
+    const get = (id) => ctx.request('GET', `/api/users/${id}`, { token: member.token });
+
+    it('returns the user', async () => {
+      const res = await get(admin.id);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.username, admin.username);
+    });
+
+    it('rejects invalid ids and unknown users', async () => {
+      assert.equal((await get('abc')).status, 400);
+      assert.equal((await get(99999)).status, 404);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'findUserById');
+      assert.equal((await get(admin.id)).status, 500);
+    });
+  });
+
+  // =====================================================
+  // UPDATE
+  // =====================================================
+  describe('PATCH /api/users/:id', () => {
+    const update = (id, body, token = admin.token) => ctx.request('PATCH', `/api/users/${id}`, { token, body });
+
+    it('lets users update themselves; a new email must be re-verified', async () => {
+      const user = await ctx.createSession();
+      const res = await update(user.id, { username: `${user.username}-renamed`, email: 'renamed@example.com' }, user.token);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.username, `${user.username}-renamed`);
+      assert.equal(res.body.user.emailVerified, false);
+      assert.ok(tokenFromMail(ctx.mailbox.lastTo('renamed@example.com')));
+    });
+
+    it('keeps the verified status when the same email is sent again', async () => {
+      const res = await update(member.id, { email: member.email });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.emailVerified, true);
+    });
+
+    it('still updates when the verification email fails', async (t) => {
+      const user = await ctx.createUser();
+      t.mock.method(ctx.mailbox, 'send', async () => {
+        throw new Error('SMTP down');
+      });
+
+      const res = await update(user.id, { email: 'unreachable@example.com' });
+      assert.equal(res.status, 200);
+    });
+
+    it("forbids updating someone else's account", async () => {
+      const res = await update(admin.id, { username: 'hijacked' }, member.token);
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the request', async () => {
+      const cases = [
+        ['abc', { username: 'valid-name' }, ['params', 'id', 'invalid_id']],
+        [member.id, {}, ['body', 'username,email', 'no_fields']],
+        [member.id, { username: 'ab' }, ['body', 'username', 'too_short']],
+        [member.id, { email: 'nope' }, ['body', 'email', 'invalid_email']],
+      ];
+
+      for (const [id, body, expected] of cases) {
+        const res = await update(id, body);
+        assert.equal(res.status, 400);
+        assert.deepEqual(invalidFields(res), [expected]);
+      }
+    });
+
+    it('rejects unknown users and values taken by someone else', async () => {
+      assert.equal((await update(99999, { username: 'whoever' })).status, 404);
+
+      const email = await update(member.id, { email: admin.email });
+      assert.equal(email.status, 409);
+      assert.equal(email.body.code, 'USER_EMAIL_TAKEN');
+
+      const username = await update(member.id, { username: admin.username });
+      assert.equal(username.status, 409);
+      assert.equal(username.body.code, 'USER_USERNAME_TAKEN');
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'updateUser');
+      assert.equal((await update(member.id, { username: 'renamed' })).status, 500);
+    });
+  });
+
+  // =====================================================
+  // ROLE
+  // =====================================================
+  describe('PATCH /api/users/:id/role', () => {
+    const setRole = (id, role, token = admin.token) =>
+      ctx.request('PATCH', `/api/users/${id}/role`, { token, body: { role } });
+
+    it('lets admins change roles', async () => {
+      const user = await ctx.createUser();
+      const res = await setRole(user.id, 'moderator');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.role, 'moderator');
+    });
+
+    it('is admin only', async () => {
+      const res = await setRole(admin.id, 'user', member.token);
+      assert.equal(res.status, 403);
+    });
+
+    it('validates the request', async () => {
+      assert.equal((await setRole('abc', 'user')).status, 400);
+      assert.equal((await setRole(member.id, 'owner')).status, 400);
+
+      const self = await setRole(admin.id, 'user');
+      assert.equal(self.status, 400);
+      assert.equal(self.body.code, 'USER_CANNOT_CHANGE_OWN_ROLE');
+    });
+
+    it('rejects unknown users', async () => {
+      assert.equal((await setRole(99999, 'user')).status, 404);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'updateUserRole');
+      assert.equal((await setRole(member.id, 'user')).status, 500);
+    });
+  });
+
+  // =====================================================
+  // DELETE
+  // =====================================================
+  describe('DELETE /api/users/:id', () => {
+    const remove = (id, token = admin.token) => ctx.request('DELETE', `/api/users/${id}`, { token });
+
+    it('lets users delete themselves and admins delete anyone', async () => {
+      const self = await ctx.createSession();
+      assert.equal((await remove(self.id, self.token)).status, 200);
+
+      const other = await ctx.createUser();
+      assert.equal((await remove(other.id)).status, 200);
+      assert.equal((await remove(other.id)).status, 404);
+    });
+
+    it("forbids deleting someone else's account", async () => {
+      assert.equal((await remove(admin.id, member.token)).status, 403);
+    });
+
+    it('rejects invalid ids', async () => {
+      assert.equal((await remove('abc')).status, 400);
+    });
+
+    it('returns 500 when the database fails', async (t) => {
+      failQuery(t, ctx.db.UserModel, 'deleteUser');
+      assert.equal((await remove(member.id)).status, 500);
+    });
+  });
+
+  // =====================================================
+  // DEACTIVATION, RESTORE, PURGE
+  // =====================================================
+  describe('account deactivation', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const deactivate = (user, password = user.password) =>
+      ctx.request('POST', '/api/users/deactivate', { token: user.token, body: { password } });
+    const login = (user) => ctx.request('POST', '/api/users/login', { body: { email: user.email, password: user.password } });
+    const register = (user) =>
+      ctx.request('POST', '/api/users/register', {
+        body: { username: user.username, email: user.email, password: 'another-password' },
+      });
+
+    it('needs the password', async () => {
+      const user = await ctx.createSession();
+      const res = await deactivate(user, 'wrong-password');
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'AUTH_CURRENT_PASSWORD_INCORRECT');
+      assert.equal((await login(user)).status, 200);
+    });
+
+    it('signs the user out, refuses logins and hides the account', async () => {
+      const user = await ctx.createSession();
+      const res = await deactivate(user);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.graceDays, 30);
+
+      const refused = await login(user);
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.code, 'AUTH_ACCOUNT_DEACTIVATED');
+
+      const wrongPassword = await ctx.request('POST', '/api/users/login', { body: { email: user.email, password: 'nope-nope' } });
+      assert.equal(wrongPassword.body.code, 'AUTH_INVALID_CREDENTIALS');
+
+      assert.equal((await ctx.request('GET', '/api/users', { token: user.token })).status, 401);
+      assert.equal((await ctx.request('POST', '/api/users/refresh', { body: { refreshToken: user.refreshToken } })).status, 401);
+
+      const listed = await ctx.request('GET', `/api/users?search=${user.username}`, { token: member.token });
+      assert.deepEqual(listed.body.users, []);
+      assert.equal((await ctx.request('GET', `/api/users/${user.id}`, { token: member.token })).status, 404);
+    });
+
+    it('keeps the username and email reserved', async () => {
+      const user = await ctx.createSession();
+      await deactivate(user);
+
+      const taken = await register(user);
+      assert.equal(taken.status, 409);
+      assert.equal(taken.body.code, 'USER_EMAIL_TAKEN');
+
+      const renamed = await ctx.request('PATCH', `/api/users/${member.id}`, {
+        token: member.token,
+        body: { username: user.username },
+      });
+      assert.equal(renamed.body.code, 'USER_USERNAME_TAKEN');
+    });
+
+    it('keeps the author on posts', async () => {
+      const user = await ctx.createSession();
+      const post = await ctx.request('POST', '/api/posts', { token: user.token, body: { title: 'Still here', content: 'Hello' } });
+      await deactivate(user);
+
+      const res = await ctx.request('GET', `/api/posts/${post.body.post.id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.post.author, { id: user.id, username: user.username });
+    });
+
+    it('lets admins restore an account', async () => {
+      const user = await ctx.createSession();
+      await deactivate(user);
+
+      assert.equal((await ctx.request('POST', `/api/users/${user.id}/restore`, { token: member.token })).status, 403);
+
+      const res = await ctx.request('POST', `/api/users/${user.id}/restore`, { token: admin.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.id, user.id);
+      assert.equal((await login(user)).status, 200);
+
+      const again = await ctx.request('POST', `/api/users/${user.id}/restore`, { token: admin.token });
+      assert.equal(again.status, 404);
+      assert.equal(again.body.code, 'USER_NOT_DEACTIVATED');
+    });
+
+    it('lets admins purge deactivated accounts only', async () => {
+      const user = await ctx.createSession();
+      const purge = () => ctx.request('POST', `/api/users/${user.id}/purge`, { token: admin.token });
+
+      assert.equal((await purge()).body.code, 'USER_NOT_DEACTIVATED');
+      await ctx.request('DELETE', `/api/users/${user.id}`, { token: admin.token });
+
+      assert.equal((await purge()).status, 200);
+      assert.equal((await ctx.request('POST', `/api/users/${user.id}/restore`, { token: admin.token })).status, 404);
+      assert.equal((await register(user)).status, 201);
+    });
+
+    it('releases the username and email after the grace period', async () => {
+      const user = await ctx.createSession();
+      await deactivate(user);
+      ctx.clock.advance(31 * DAY_MS);
+
+      const res = await register(user);
+      assert.equal(res.status, 201);
+      assert.notEqual(res.body.user.id, user.id);
+      assert.equal(await ctx.db.UserModel.findDeactivatedUser(user.id), null);
+    });
+
+    it('purges expired accounts in bulk (npm run users:purge)', async () => {
+      const expired = await ctx.createSession();
+      await deactivate(expired);
+      ctx.clock.advance(31 * DAY_MS);
+      const recent = await ctx.createSession();
+      await deactivate(recent);
+
+      // Also catches accounts deactivated by the tests above
+      assert.ok((await accounts.purgeExpired({ now: ctx.clock.now() })) >= 1);
+      assert.equal(await ctx.db.UserModel.findDeactivatedUser(expired.id), null);
+      assert.ok(await ctx.db.UserModel.findDeactivatedUser(recent.id));
+
+      const event = await ctx.db.AuditEventModel.search({
+        limit: 1,
+        sort: { field: 'id', direction: 'DESC' },
+        filters: { action: 'user.deleted', targetId: String(expired.id) },
+      });
+      assert.equal(event.events[0].actorId, null);
+      assert.equal(event.events[0].ip, null);
+    });
+
+    it('reads ACCOUNT_DEACTIVATION_GRACE_DAYS', () => {
+      assert.equal(loadAccountConfig({}).graceDays, 30);
+      assert.equal(loadAccountConfig({ ACCOUNT_DEACTIVATION_GRACE_DAYS: '7' }).graceDays, 7);
+      assert.throws(() => loadAccountConfig({ ACCOUNT_DEACTIVATION_GRACE_DAYS: 'soon' }), /ACCOUNT_DEACTIVATION_GRACE_DAYS/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// test/validation.test.js
+// =====================================================
+// REQUEST SCHEMAS (src/validation/schema.js)
+// =====================================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { string, email, id, integer, oneOf, arrayOf, object, validateObject, toJSONSchema } = require('../src/validation/schema');
+
+const codes = ({ errors }) => errors.map(({ field, code }) => `${field}:${code}`);
+
+describe('validateObject', () => {
+  it('normalizes values and drops undeclared fields', () => {
+    const { value, errors } = validateObject(
+      { id: id(), title: string({ trim: true }), code: string({ allowNumber: true }), limit: integer({ min: 1, max: 10 }) },
+      { id: '42', title: '  Hello ', code: 123456, limit: '5', isAdmin: true }
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { id: 42, title: 'Hello', code: '123456', limit: 5 });
+  });
+
+  it('reports every failing field with a code', () => {
+    const result = validateObject(
+      { username: string({ min: 3 }), email: email(), role: oneOf(['user', 'admin']), password: string() },
+      { username: 'ab', email: 'nope', role: 'owner' }
+    );
+
+    assert.deepEqual(codes(result), [
+      'username:too_short',
+      'email:invalid_email',
+      'role:not_allowed',
+      'password:required',
+    ]);
+  });
+
+  it("treats '' as missing for required fields, and for optional ones only when asked", () => {
+    const schema = { name: string(), nickname: string({ required: false }) };
+
+    assert.deepEqual(codes(validateObject(schema, { name: '', nickname: '' })), ['name:required', 'nickname:too_short']);
+    assert.deepEqual(codes(validateObject(schema, { name: 'x', nickname: '' }, { blankIsMissing: true })), []);
+  });
+
+  it('keeps null only for nullable fields', () => {
+    const schema = { parentId: id({ required: false, nullable: true }), postId: id() };
+    const { value, errors } = validateObject(schema, { parentId: null, postId: null });
+
+    assert.deepEqual(value, { parentId: null });
+    assert.deepEqual(codes({ errors }), ['postId:required']);
+  });
+
+  it('caps email length and id range', () => {
+    const schema = { email: email({ max: 20 }), id: id() };
+
+    assert.deepEqual(codes(validateObject(schema, { email: 'a@example.com', id: '2147483647' })), []);
+    assert.deepEqual(codes(validateObject(schema, { email: 'someone@example.com.au', id: '2147483648' })), [
+      'email:too_long',
+      'id:invalid_id',
+    ]);
+  });
+
+  it('describes only the integer bounds that are set', () => {
+    const message = (rule, value) => validateObject({ n: rule }, { n: value }).errors[0].message;
+
+    assert.equal(message(integer({ min: 1, max: 10 }), 11), 'n must be an integer between 1 and 10');
+    assert.equal(message(integer({ min: 1 }), 0), 'n must be an integer of at least 1');
+    assert.equal(message(integer({ max: 10 }), 11), 'n must be an integer of at most 10');
+    assert.equal(message(integer(), 'x'), 'n must be an integer');
+  });
+
+  it('checks array items', () => {
+    const schema = { roles: arrayOf(oneOf(['user', 'admin'])) };
+
+    assert.deepEqual(codes(validateObject(schema, { roles: 'admin' })), ['roles:invalid_type']);
+    assert.deepEqual(codes(validateObject(schema, { roles: ['admin', 'owner'] })), ['roles:not_allowed']);
+  });
+
+  it('supports atLeastOne and cross-field refine checks', () => {
+    const schema = object(
+      { from: integer({ min: 0, max: 100, required: false }), to: integer({ min: 0, max: 100, required: false }) },
+      {
+        atLeastOne: ['from', 'to'],
+        refine: ({ from, to }) => (from > to ? [{ field: 'to', code: 'before_from', message: 'to must be >= from' }] : []),
+      }
+    );
+
+    assert.deepEqual(codes(validateObject(schema, {})), ['from,to:no_fields']);
+    assert.deepEqual(codes(validateObject(schema, { from: 5, to: 1 })), ['to:before_from']);
+    assert.deepEqual(codes(validateObject(schema, { from: 1, to: 5 })), []);
+  });
+});
+
+describe('toJSONSchema', () => {
+  it('describes each rule as JSON Schema', () => {
+    const schema = object(
+      {
+        name: string({ min: 3, max: 20 }),
+        email: email({ required: false }),
+        parentId: id({ required: false, nullable: true }),
+        role: oneOf(['user', 'admin']),
+        tags: arrayOf(string(), { required: false }),
+      },
+      { atLeastOne: ['name', 'email'] }
+    );
+
+    assert.deepEqual(toJSONSchema(schema), {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 3, maxLength: 20 },
+        email: { type: 'string', format: 'email' },
+        parentId: { type: ['integer', 'null'], minimum: 1, maximum: 2147483647 },
+        role: { enum: ['user', 'admin'] },
+        tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+      },
+      required: ['name', 'role'],
+      anyOf: [{ required: ['name'] }, { required: ['email'] }],
+    });
+  });
+});